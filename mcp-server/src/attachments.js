@@ -0,0 +1,136 @@
+/**
+ * Task Attachments
+ *
+ * Upload and download rules for the attachment tools:
+ * - size limit  - VIKUNJA_ATTACHMENT_MAX_MB (default 20, Vikunja's own
+ *                 default); checked before anything is read or sent
+ * - local paths - only inside VIKUNJA_ATTACHMENT_DIR; without it, files
+ *                 can only be uploaded as base64 content, so a remote
+ *                 connector can't read files off the server
+ * - downloads   - returned as MCP blob resources (vikunja://task/{id}/attachment/{id})
+ *
+ * @license AGPL-3.0
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const DEFAULT_ATTACHMENT_MAX_MB = 20;
+
+const ATTACHMENT_URI_PATTERN = /^vikunja:\/\/task\/(\d+)\/attachment\/(\d+)$/;
+
+/**
+ * Attachment limits from the environment
+ */
+export function attachmentLimitsFromEnv(env = process.env) {
+  const maxMb = parseFloat(env.VIKUNJA_ATTACHMENT_MAX_MB || String(DEFAULT_ATTACHMENT_MAX_MB));
+  return {
+    maxBytes: Math.floor(maxMb * 1024 * 1024),
+    uploadDir: env.VIKUNJA_ATTACHMENT_DIR || null,
+  };
+}
+
+export function attachmentUri(taskId, attachmentId) {
+  return `vikunja://task/${taskId}/attachment/${attachmentId}`;
+}
+
+/**
+ * { taskId, attachmentId } of an attachment resource URI, or null
+ */
+export function parseAttachmentUri(uri) {
+  const match = uri.match(ATTACHMENT_URI_PATTERN);
+  return match ? { taskId: Number(match[1]), attachmentId: Number(match[2]) } : null;
+}
+
+/**
+ * Read the file to upload from a local path or base64 content
+ *
+ * @returns {Promise<{ filename: string, data: Buffer, mimeType?: string }>}
+ */
+export async function readUpload({ path: filePath, content_base64: contentBase64, filename, mime_type: mimeType }, limits) {
+  if (Boolean(filePath) === Boolean(contentBase64)) {
+    throw new Error('Pass either path or content_base64');
+  }
+
+  if (contentBase64) {
+    if (!filename) {
+      throw new Error('filename is required with content_base64');
+    }
+    // Check the decoded size before decoding
+    assertSize(Math.floor((contentBase64.length * 3) / 4), limits.maxBytes, filename);
+    const data = Buffer.from(contentBase64, 'base64');
+    assertSize(data.length, limits.maxBytes, filename);
+    return { filename, data, mimeType };
+  }
+
+  const resolved = await resolveUploadPath(filePath, limits.uploadDir);
+  const stat = await fs.stat(resolved);
+  if (!stat.isFile()) {
+    throw new Error(`Not a file: ${filePath}`);
+  }
+  assertSize(stat.size, limits.maxBytes, filePath);
+
+  return { filename: filename || path.basename(resolved), data: await fs.readFile(resolved), mimeType };
+}
+
+/**
+ * Download an attachment within the size limit
+ *
+ * @returns {Promise<{ attachment: object, data: Buffer, mimeType: string }>}
+ */
+export async function downloadAttachment(client, taskId, attachmentId, limits) {
+  const attachment = await client.getAttachment(taskId, attachmentId);
+  const name = attachment.file?.name || `attachment ${attachmentId}`;
+  assertSize(attachment.file?.size || 0, limits.maxBytes, name);
+
+  const data = await client.downloadAttachment(taskId, attachmentId);
+  assertSize(data.length, limits.maxBytes, name);
+
+  return { attachment, data, mimeType: attachment.file?.mime || 'application/octet-stream' };
+}
+
+/**
+ * Attachment metadata as returned by the tools
+ */
+export function describeAttachment(taskId, attachment) {
+  return {
+    id: attachment.id,
+    task_id: taskId,
+    filename: attachment.file?.name,
+    mime_type: attachment.file?.mime,
+    size: attachment.file?.size,
+    created: attachment.created,
+    created_by: attachment.created_by?.username,
+    uri: attachmentUri(taskId, attachment.id),
+  };
+}
+
+/**
+ * Resolve a path for upload, refusing anything outside the upload
+ * directory (symlinks included)
+ */
+async function resolveUploadPath(filePath, uploadDir) {
+  if (!uploadDir) {
+    throw new Error('Uploading from a path is disabled; set VIKUNJA_ATTACHMENT_DIR or pass content_base64');
+  }
+
+  const root = await fs.realpath(uploadDir);
+  let resolved;
+  try {
+    resolved = await fs.realpath(path.resolve(root, filePath));
+  } catch {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  if (resolved !== root && !resolved.startsWith(root + path.sep)) {
+    throw new Error(`${filePath} is outside the attachment directory ${uploadDir}`);
+  }
+  return resolved;
+}
+
+function assertSize(size, maxBytes, name) {
+  if (size > maxBytes) {
+    const mb = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+    throw new Error(`${name} is ${mb(size)} MB, over the ${mb(maxBytes)} MB attachment limit`);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Batch Task Operations
+ *
+ * Runs lists of task operations against Vikunja with bounded concurrency
+ * and collects a per-item success/error report.
+ *
+ * @license AGPL-3.0
+ */
+
+import { createLogger } from './logger.js';
+import { TaskConflictError } from './vikunja-client.js';
+
+const logger = createLogger();
+
+export const BATCH_MAX_OPERATIONS = 50;
+export const BATCH_DEFAULT_CONCURRENCY = 4;
+export const BATCH_MAX_CONCURRENCY = 10;
+
+export const BATCH_OPERATIONS = ['create', 'update', 'complete', 'delete', 'move'];
+
+/**
+ * Map over items with at most `limit` promises in flight.
+ * Results keep the input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+/**
+ * Execute a single batch operation
+ */
+async function runOperation(client, operation) {
+  const { op, task_id: taskId, project_id: projectId, fields = {} } = operation;
+  const updateOptions = { expectedUpdated: operation.expected_updated };
+
+  switch (op) {
+    case 'create':
+      if (!projectId) throw new Error('project_id is required for create');
+      return client.createTask({ ...fields, project_id: projectId });
+
+    case 'update':
+      if (!taskId) throw new Error('task_id is required for update');
+      return client.updateTask(taskId, fields, updateOptions);
+
+    case 'complete':
+      if (!taskId) throw new Error('task_id is required for complete');
+      return client.completeTask(taskId, { ...updateOptions, comment: operation.comment });
+
+    case 'delete':
+      if (!taskId) throw new Error('task_id is required for delete');
+      return client.deleteTask(taskId);
+
+    case 'move':
+      if (!taskId) throw new Error('task_id is required for move');
+      if (!projectId) throw new Error('project_id is required for move');
+      return client.updateTask(taskId, { project_id: projectId });
+
+    default:
+      throw new Error(`Unknown batch operation: ${op}`);
+  }
+}
+
+/**
+ * Run a list of operations and report the outcome of each one.
+ * A failing item never aborts the rest of the batch.
+ */
+export async function runBatch(client, operations, { concurrency = BATCH_DEFAULT_CONCURRENCY } = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw new Error('operations must be a non-empty array');
+  }
+
+  if (operations.length > BATCH_MAX_OPERATIONS) {
+    throw new Error(`Too many operations: ${operations.length} (max ${BATCH_MAX_OPERATIONS})`);
+  }
+
+  const limit = Math.max(1, Math.min(concurrency, BATCH_MAX_CONCURRENCY));
+  logger.info(`Running batch of ${operations.length} operations`, { concurrency: limit });
+
+  const results = await mapWithConcurrency(operations, limit, async (operation, index) => {
+    try {
+      const result = await runOperation(client, operation);
+      return {
+        index,
+        op: operation.op,
+        task_id: operation.task_id ?? result?.id ?? null,
+        success: true,
+      };
+    } catch (error) {
+      logger.warn(`Batch operation ${index} (${operation.op}) failed`, { error: error.message });
+      return {
+        index,
+        op: operation.op,
+        task_id: operation.task_id ?? null,
+        success: false,
+        error: error.message,
+        ...(error instanceof TaskConflictError && { conflict: error.toJSON() }),
+      };
+    }
+  });
+
+  const succeeded = results.filter((item) => item.success).length;
+
+  return {
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Vikunja API Errors
+ *
+ * Typed errors raised by VikunjaClient so callers can react to the failure
+ * kind instead of parsing messages.
+ *
+ * @license AGPL-3.0
+ */
+
+/**
+ * Base class for all errors returned by the Vikunja API
+ */
+export class VikunjaApiError extends Error {
+  constructor(message, { status = null, body = null, method = null, endpoint = null } = {}) {
+    super(message);
+    this.name = 'VikunjaApiError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Short hint for the assistant on what to do about the error
+   */
+  get hint() {
+    return null;
+  }
+}
+
+export class NotFoundError extends VikunjaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NotFoundError';
+  }
+
+  get hint() {
+    return 'The item does not exist or is not visible to this API token. Check the ID.';
+  }
+}
+
+export class UnauthorizedError extends VikunjaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'UnauthorizedError';
+  }
+
+  get hint() {
+    return 'The Vikunja API token is missing, expired or lacks permission for this action.';
+  }
+}
+
+export class ConflictError extends VikunjaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ConflictError';
+  }
+
+  get hint() {
+    return 'The item was changed concurrently. Re-read it and retry.';
+  }
+}
+
+export class RateLimitedError extends VikunjaApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details);
+    this.name = 'RateLimitedError';
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get hint() {
+    const wait = this.retryAfterMs ? ` Wait ${Math.ceil(this.retryAfterMs / 1000)}s before retrying.` : '';
+    return `Vikunja is rate limiting requests.${wait}`;
+  }
+}
+
+export class TimeoutError extends VikunjaApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+
+  get hint() {
+    return 'Vikunja did not respond in time. It may be overloaded or unreachable.';
+  }
+}
+
+/**
+ * Raised when a task changed on the server since the caller last read it
+ */
+export class TaskConflictError extends ConflictError {
+  constructor({ taskId, expectedUpdated, currentTask, patch }) {
+    super(
+      `Task ${taskId} was modified at ${currentTask.updated} ` +
+      `(expected ${expectedUpdated}); update not applied`
+    );
+    this.name = 'TaskConflictError';
+    this.taskId = taskId;
+    this.expectedUpdated = expectedUpdated;
+    this.currentTask = currentTask;
+    this.patch = patch;
+  }
+
+  /**
+   * Structured conflict report for tool results
+   */
+  toJSON() {
+    const currentValues = Object.fromEntries(
+      Object.keys(this.patch).map((field) => [field, this.currentTask[field]])
+    );
+
+    return {
+      conflict: true,
+      task_id: this.taskId,
+      expected_updated: this.expectedUpdated,
+      current_updated: this.currentTask.updated,
+      attempted: this.patch,
+      current: currentValues,
+      message: this.message,
+    };
+  }
+}
+
+/**
+ * Map an HTTP error response to a typed error
+ */
+export function errorForResponse(status, body, { method, endpoint, retryAfterMs = null } = {}) {
+  const message = `API Error (${status}): ${body}`;
+  const details = { status, body, method, endpoint };
+
+  switch (status) {
+    case 401:
+    case 403:
+      return new UnauthorizedError(message, details);
+    case 404:
+      return new NotFoundError(message, details);
+    case 409:
+      return new ConflictError(message, details);
+    case 429:
+      return new RateLimitedError(message, { ...details, retryAfterMs });
+    default:
+      return new VikunjaApiError(message, details);
+  }
+}
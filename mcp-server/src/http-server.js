@@ -0,0 +1,257 @@
+/**
+ * HTTP Transport
+ *
+ * Serves the MCP server over HTTP so it can be reached without an
+ * external stdio-to-HTTP bridge:
+ * - /mcp      - Streamable HTTP transport (POST, GET, DELETE) with sessions
+ * - /sse      - Legacy SSE transport stream
+ * - /messages - Legacy SSE transport message endpoint
+ * - /health   - Health check including Vikunja API connectivity
+ * - /webhooks - Sync webhooks (see sync/webhooks.js), when enabled
+ *
+ * Behind the OAuth proxy (MCP_TRUST_PROXY_SCOPES=true), the scopes of the
+ * caller's token arrive in the X-MCP-Scopes header and are attached to each
+ * request as auth info, so tool handlers can enforce them.
+ *
+ * The server has no authentication of its own. It listens on 127.0.0.1 by
+ * default; listening on any other address requires MCP_SCOPES (to limit
+ * what anyone reaching the port may do) or MCP_TRUST_PROXY_SCOPES.
+ *
+ * Sessions idle for MCP_SESSION_IDLE_MS (default 30 minutes) are closed.
+ * A session with an open notification stream (GET /mcp, /sse) is not idle.
+ *
+ * @license AGPL-3.0
+ */
+
+import { randomUUID } from 'crypto';
+import express from 'express';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { createLogger } from './logger.js';
+import { parseScopes } from './scopes.js';
+
+const logger = createLogger();
+
+export const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+/**
+ * Start the HTTP server.
+ *
+ * `createServer` must return a fresh MCP Server instance; one is created
+ * per session because a server can only be connected to one transport.
+ * `webhooks` ({ router, queue }) enables the sync webhook endpoints.
+ */
+export async function startHttpServer({
+  createServer,
+  vikunjaClient,
+  port,
+  host = '127.0.0.1',
+  webhooks = null,
+  sessionIdleMs = DEFAULT_SESSION_IDLE_MS,
+}) {
+  assertSafeBinding(host);
+
+  const app = express();
+
+  // Before the JSON parser: webhook signatures cover the raw body
+  if (webhooks) {
+    app.use('/webhooks', webhooks.router);
+  }
+
+  app.use(express.json({ limit: '4mb' }));
+
+  if (process.env.MCP_TRUST_PROXY_SCOPES === 'true') {
+    app.use(attachProxyAuth);
+  }
+
+  // sessionId -> transport (Streamable HTTP and legacy SSE)
+  const sessions = new Map();
+  // sessionId -> { lastSeen, streams } for the idle timeout
+  const activity = new Map();
+
+  const touch = (sessionId, streamDelta = 0) => {
+    const entry = activity.get(sessionId);
+    if (entry) {
+      entry.lastSeen = Date.now();
+      entry.streams += streamDelta;
+    }
+  };
+
+  const dropSession = (sessionId) => {
+    sessions.delete(sessionId);
+    activity.delete(sessionId);
+  };
+
+  // Sessions never end on their own if a client just goes away
+  const sweeper = sessionIdleMs > 0
+    ? setInterval(() => {
+      const cutoff = Date.now() - sessionIdleMs;
+      for (const [sessionId, transport] of [...sessions]) {
+        const entry = activity.get(sessionId);
+        if (entry && entry.streams === 0 && entry.lastSeen < cutoff) {
+          logger.info(`Closing idle MCP session: ${sessionId}`);
+          dropSession(sessionId);
+          transport.close().catch((error) => logger.warn(`Closing session ${sessionId} failed: ${error.message}`));
+        }
+      }
+    }, Math.min(sessionIdleMs, 60000))
+    : null;
+  sweeper?.unref();
+
+  // ---------------------------------------------------------------------------
+  // Health
+  // ---------------------------------------------------------------------------
+
+  app.get('/health', asyncHandler(async (req, res) => {
+    const vikunja = await vikunjaClient.testConnection();
+    res.status(vikunja.connected ? 200 : 503).json({
+      status: vikunja.connected ? 'ok' : 'degraded',
+      sessions: sessions.size,
+      vikunja,
+      ...(webhooks ? { webhook_sync: webhooks.queue.status() } : {}),
+    });
+  }));
+
+  // ---------------------------------------------------------------------------
+  // Streamable HTTP
+  // ---------------------------------------------------------------------------
+
+  app.post('/mcp', asyncHandler(async (req, res) => {
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? sessions.get(sessionId) : null;
+
+    if (!transport) {
+      if (sessionId || !isInitializeRequest(req.body)) {
+        sendJsonRpcError(res, 400, sessionId ? 'Unknown session ID' : 'Missing session ID');
+        return;
+      }
+
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (newSessionId) => {
+          logger.info(`MCP session started: ${newSessionId}`);
+          sessions.set(newSessionId, transport);
+          activity.set(newSessionId, { lastSeen: Date.now(), streams: 0 });
+        },
+      });
+
+      transport.onclose = () => {
+        if (transport.sessionId) {
+          logger.info(`MCP session closed: ${transport.sessionId}`);
+          dropSession(transport.sessionId);
+        }
+      };
+
+      await createServer().connect(transport);
+    } else {
+      touch(sessionId);
+    }
+
+    await transport.handleRequest(req, res, req.body);
+  }));
+
+  // Server-to-client notification stream and session termination
+  const handleSessionRequest = asyncHandler(async (req, res) => {
+    const transport = sessions.get(req.headers['mcp-session-id']);
+    if (!(transport instanceof StreamableHTTPServerTransport)) {
+      sendJsonRpcError(res, 400, 'Invalid or missing session ID');
+      return;
+    }
+
+    const sessionId = transport.sessionId;
+    if (req.method === 'GET') {
+      // The notification stream keeps the session alive while it is open
+      touch(sessionId, 1);
+      res.on('close', () => touch(sessionId, -1));
+    } else {
+      touch(sessionId);
+    }
+    await transport.handleRequest(req, res);
+  });
+
+  app.get('/mcp', handleSessionRequest);
+  app.delete('/mcp', handleSessionRequest);
+
+  // ---------------------------------------------------------------------------
+  // Legacy SSE
+  // ---------------------------------------------------------------------------
+
+  app.get('/sse', asyncHandler(async (req, res) => {
+    const transport = new SSEServerTransport('/messages', res);
+    sessions.set(transport.sessionId, transport);
+    activity.set(transport.sessionId, { lastSeen: Date.now(), streams: 1 });
+    logger.info(`SSE session started: ${transport.sessionId}`);
+
+    res.on('close', () => {
+      logger.info(`SSE session closed: ${transport.sessionId}`);
+      dropSession(transport.sessionId);
+    });
+
+    await createServer().connect(transport);
+  }));
+
+  app.post('/messages', asyncHandler(async (req, res) => {
+    const transport = sessions.get(req.query.sessionId);
+    if (!(transport instanceof SSEServerTransport)) {
+      res.status(400).send('Unknown session ID');
+      return;
+    }
+    touch(transport.sessionId);
+    await transport.handlePostMessage(req, res, req.body);
+  }));
+
+  return new Promise((resolve) => {
+    const httpServer = app.listen(port, host, () => {
+      logger.info(`Vikunja MCP Server listening on http://${host}:${port}`);
+      resolve(httpServer);
+    });
+    httpServer.on('close', () => clearInterval(sweeper));
+  });
+}
+
+/**
+ * Refuse to serve all scopes, unauthenticated, beyond this machine
+ */
+function assertSafeBinding(host, env = process.env) {
+  if (LOOPBACK_HOSTS.includes(host) || env.MCP_SCOPES || env.MCP_TRUST_PROXY_SCOPES === 'true') {
+    return;
+  }
+  throw new Error(
+    `Refusing to listen on ${host} without authentication: set MCP_SCOPES to limit what ` +
+    'callers may do, run behind the OAuth proxy (MCP_TRUST_PROXY_SCOPES=true), or use MCP_SERVER_HOST=127.0.0.1'
+  );
+}
+
+/**
+ * Attach the scopes forwarded by the OAuth proxy as request auth info.
+ * Requests without the header get no scopes at all.
+ */
+function attachProxyAuth(req, res, next) {
+  req.auth = {
+    token: '',
+    clientId: req.headers['x-mcp-client-id'] || 'unknown',
+    scopes: parseScopes(req.headers['x-mcp-scopes']),
+  };
+  next();
+}
+
+/**
+ * Forward rejected promises from async route handlers to Express
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => handler(req, res, next).catch((error) => {
+    logger.error(`HTTP request failed: ${req.method} ${req.path}`, { error: error.message });
+    next(error);
+  });
+}
+
+function sendJsonRpcError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null,
+  });
+}
@@ -12,11 +12,49 @@ import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
   ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
-import { VikunjaClient } from './vikunja-client.js';
+import {
+  VikunjaClient,
+  VikunjaApiError,
+  TaskConflictError,
+  RELATION_KINDS,
+  SHARE_PERMISSIONS,
+} from './vikunja-client.js';
+import { TodoistClient } from './todoist-client.js';
 import { createLogger } from './logger.js';
+import { startHttpServer, DEFAULT_SESSION_IDLE_MS } from './http-server.js';
+import { grantedScopes, hasScope } from './scopes.js';
+import { SyncStateStore, acquireSyncLock } from './sync/state-store.js';
+import { SYNC_FIELDS } from './sync/reconcile.js';
+import { REMINDER_RELATIVE_TO, REPEAT_MODES } from './task-fields.js';
+import { parseQuickAdd } from './quick-add.js';
+import {
+  attachmentLimitsFromEnv,
+  parseAttachmentUri,
+  readUpload,
+  downloadAttachment,
+  describeAttachment,
+} from './attachments.js';
+import { ResourceWatcher } from './resource-watcher.js';
+import { PROMPTS, getPrompt } from './prompts.js';
+import { OUTPUT_FORMATS, outputOptions, formatResult } from './output-format.js';
+import { createConnectors, runLockedSync } from './sync/setup.js';
+import { SyncQueue } from './sync/sync-queue.js';
+import { createWebhookRouter, webhookSecretsFromEnv } from './sync/webhooks.js';
+import {
+  runBatch,
+  BATCH_OPERATIONS,
+  BATCH_MAX_OPERATIONS,
+  BATCH_DEFAULT_CONCURRENCY,
+  BATCH_MAX_CONCURRENCY,
+} from './batch.js';
 
 const logger = createLogger();
 
@@ -24,39 +62,323 @@ const logger = createLogger();
 const vikunjaClient = new VikunjaClient({
   baseUrl: process.env.VIKUNJA_API_URL || 'http://localhost:3456/api/v1',
   token: process.env.VIKUNJA_API_TOKEN || '',
+  timeoutMs: parseInt(process.env.VIKUNJA_TIMEOUT_MS || '30000', 10),
+  maxRetries: parseInt(process.env.VIKUNJA_MAX_RETRIES || '3', 10),
+  requestsPerSecond: parseFloat(process.env.VIKUNJA_RATE_LIMIT || '0'),
 });
 
-// Create MCP server
-const server = new Server(
-  {
-    name: 'vikunja-mcp',
-    version: '1.0.0',
-  },
-  {
-    capabilities: {
-      tools: {},
-      resources: {},
-    },
-  }
-);
+// Todoist client, only when a token is configured (enables the todoist_* tools)
+const todoistClient = process.env.TODOIST_API_TOKEN
+  ? new TodoistClient({
+    baseUrl: process.env.TODOIST_API_URL,
+    token: process.env.TODOIST_API_TOKEN,
+  })
+  : null;
+
+const attachmentLimits = attachmentLimitsFromEnv();
+
+// Change notifications for subscribed resources (shared by all sessions)
+const resourceWatcher = new ResourceWatcher({
+  read: (uri) => readResource(uri),
+  intervalMs: parseInt(process.env.RESOURCE_POLL_INTERVAL_MS || '30000', 10),
+  logger,
+});
 
 // =============================================================================
 // Tool Definitions
 // =============================================================================
 
+// Filter, sort and pagination arguments shared by the task listing tools
+const TASK_QUERY_PROPERTIES = {
+  filter: {
+    type: 'string',
+    description:
+      'Raw Vikunja filter expression, combined with the other filters using && ' +
+      '(optional, e.g. "due_date < now+7d && priority >= 3")',
+  },
+  due_after: {
+    type: 'string',
+    description: 'Only tasks due on or after this date (ISO date or Vikunja date math like "now") (optional)',
+  },
+  due_before: {
+    type: 'string',
+    description: 'Only tasks due on or before this date (ISO date or Vikunja date math like "now+7d") (optional)',
+  },
+  priority_min: {
+    type: 'number',
+    description: 'Minimum priority 1-5 (optional)',
+  },
+  priority_max: {
+    type: 'number',
+    description: 'Maximum priority 1-5 (optional)',
+  },
+  labels: {
+    type: 'array',
+    items: { type: ['string', 'number'] },
+    description: 'Only tasks with any of these labels, by ID or title (optional)',
+  },
+  assignees: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only tasks assigned to any of these usernames (optional)',
+  },
+  sort_by: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Fields to sort by, e.g. ["due_date", "priority"] (optional)',
+  },
+  order_by: {
+    type: 'array',
+    items: { type: 'string', enum: ['asc', 'desc'] },
+    description: 'Sort direction per sort_by field (optional)',
+  },
+  page: {
+    type: 'number',
+    description: 'Page number, starting at 1 (optional)',
+  },
+  per_page: {
+    type: 'number',
+    description: 'Tasks per page (optional, defaults to the server setting)',
+  },
+};
+
+// Output arguments of the list and search tools (see output-format.js)
+const OUTPUT_PROPERTIES = {
+  format: {
+    type: 'string',
+    enum: OUTPUT_FORMATS,
+    description:
+      'compact: the key fields of each item, one per line (default); full: the complete Vikunja objects; ' +
+      'markdown: tasks as a checklist, other items as a table (optional)',
+  },
+  fields: {
+    type: 'array',
+    items: { type: 'string' },
+    description: 'Only these fields of each item, e.g. ["id", "title", "description"] (optional)',
+  },
+};
+
+// Date, reminder, repeat, progress and color arguments of create/update task
+const TASK_SCHEDULE_PROPERTIES = {
+  start_date: {
+    type: ['string', 'null'],
+    description: 'Start date, ISO 8601 (a bare YYYY-MM-DD means local midnight; null clears it) (optional)',
+  },
+  end_date: {
+    type: ['string', 'null'],
+    description: 'End date, ISO 8601 (null clears it) (optional)',
+  },
+  due_date: {
+    type: ['string', 'null'],
+    description: 'Due date, ISO 8601 (null clears it) (optional)',
+  },
+  reminders: {
+    type: ['array', 'null'],
+    items: {
+      type: ['string', 'object'],
+      properties: {
+        reminder: {
+          type: 'string',
+          description: 'Absolute reminder time, ISO 8601',
+        },
+        relative_to: {
+          type: 'string',
+          enum: REMINDER_RELATIVE_TO,
+          description: 'Date the reminder is relative to',
+        },
+        relative_period: {
+          type: ['string', 'number'],
+          description: 'Offset from that date: seconds or a duration like "-1d" or "-2h 30m" (negative = before)',
+        },
+      },
+    },
+    description:
+      'Reminders, replacing the existing ones: ISO dates, or { relative_to: "due_date", ' +
+      'relative_period: "-1d" } (optional, [] or null removes all)',
+  },
+  repeat_after: {
+    type: ['string', 'number'],
+    description: 'Repeat interval: seconds or a duration like "1d" or "1w" (0 stops repeating) (optional)',
+  },
+  repeat_mode: {
+    type: 'string',
+    enum: REPEAT_MODES,
+    description:
+      'default: repeat by repeat_after from the due date; monthly: same day each month; ' +
+      'from_current_date: repeat_after from when the task was done (optional)',
+  },
+  percent_done: {
+    type: 'number',
+    minimum: 0,
+    maximum: 100,
+    description: 'Progress in percent, 0-100 (optional)',
+  },
+  color: {
+    type: ['string', 'null'],
+    description: 'Hex color like "#1973ff" (null clears it) (optional)',
+  },
+};
+
+// Each tool declares the scope a caller needs to see and call it (see scopes.js).
+// Tools with a defaultFormat take the OUTPUT_PROPERTIES arguments.
 const TOOLS = [
   {
     name: 'vikunja_list_projects',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
     description: 'List all projects in Vikunja',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        ...OUTPUT_PROPERTIES,
+      },
+      required: [],
+    },
+  },
+  {
+    name: 'vikunja_get_project',
+    scope: 'tasks:read',
+    description: 'Get a single project by ID',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_get_project_tree',
+    scope: 'tasks:read',
+    description: 'Show the project hierarchy as a nested tree of parent and child projects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        include_archived: {
+          type: 'boolean',
+          description: 'Include archived projects (optional)',
+        },
+      },
       required: [],
     },
   },
+  {
+    name: 'vikunja_create_project',
+    scope: 'projects:admin',
+    description: 'Create a new project, optionally as a child of another project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Project title',
+        },
+        description: {
+          type: 'string',
+          description: 'Project description (optional)',
+        },
+        parent_project_id: {
+          type: 'number',
+          description: 'Parent project ID to nest under (optional)',
+        },
+        hex_color: {
+          type: 'string',
+          description: 'Project color as hex without # (optional)',
+        },
+      },
+      required: ['title'],
+    },
+  },
+  {
+    name: 'vikunja_update_project',
+    scope: 'projects:admin',
+    description: 'Rename or update an existing project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID to update',
+        },
+        title: {
+          type: 'string',
+          description: 'New project title (optional)',
+        },
+        description: {
+          type: 'string',
+          description: 'New project description (optional)',
+        },
+        hex_color: {
+          type: 'string',
+          description: 'New project color as hex without # (optional)',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_archive_project',
+    scope: 'projects:admin',
+    description: 'Archive or unarchive a project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID to archive',
+        },
+        archived: {
+          type: 'boolean',
+          description: 'Set to false to unarchive (optional, default true)',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_move_project',
+    scope: 'projects:admin',
+    description: 'Move a project under a different parent project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID to move',
+        },
+        parent_project_id: {
+          type: 'number',
+          description: 'New parent project ID (0 to move to top level)',
+        },
+      },
+      required: ['project_id', 'parent_project_id'],
+    },
+  },
+  {
+    name: 'vikunja_delete_project',
+    scope: 'projects:admin',
+    description: 'Delete a project including all of its tasks and child projects',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID to delete',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
   {
     name: 'vikunja_list_tasks',
-    description: 'List tasks from a specific project or all tasks',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description:
+      'List tasks from a specific project or all tasks, with filtering, sorting and pagination. ' +
+      'Results are paginated: when has_more is true, call again with next_page to get the rest.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -68,13 +390,16 @@ const TOOLS = [
           type: 'boolean',
           description: 'Filter by completion status (optional)',
         },
+        ...TASK_QUERY_PROPERTIES,
+        ...OUTPUT_PROPERTIES,
       },
       required: [],
     },
   },
   {
     name: 'vikunja_create_task',
-    description: 'Create a new task in Vikunja',
+    scope: 'tasks:write',
+    description: 'Create a new task in Vikunja, optionally as a subtask of another task',
     inputSchema: {
       type: 'object',
       properties: {
@@ -84,7 +409,11 @@ const TOOLS = [
         },
         project_id: {
           type: 'number',
-          description: 'Project ID to add the task to',
+          description: 'Project ID to add the task to (optional with parent_task_id: defaults to the parent\'s project)',
+        },
+        parent_task_id: {
+          type: 'number',
+          description: 'Create the task as a subtask of this task (optional)',
         },
         description: {
           type: 'string',
@@ -94,17 +423,53 @@ const TOOLS = [
           type: 'number',
           description: 'Priority level 1-5 (optional)',
         },
-        due_date: {
+        ...TASK_SCHEDULE_PROPERTIES,
+      },
+      required: ['title'],
+    },
+  },
+  {
+    name: 'vikunja_quick_add_task',
+    scope: 'tasks:write',
+    description:
+      'Create a task from one line of quick-add text, e.g. "Call Dana *work +Sales !4 tomorrow at 5pm ' +
+      'remind 1h before". Understands *label, +project, !priority (1-5), @user, dates and times ' +
+      '("next friday", "jan 15", "in 2 hours"), "every week"/"daily" and "remind <date>" or ' +
+      '"remind 1d before". Returns what each phrase was read as, so it can be corrected with ' +
+      'vikunja_update_task; use dry_run to check first.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: {
+          type: 'string',
+          description: 'Quick-add line',
+        },
+        project_id: {
+          type: 'number',
+          description: 'Project for the task when the text has no +project (optional, default: the user\'s default project)',
+        },
+        timezone: {
           type: 'string',
-          description: 'Due date in ISO format (optional)',
+          description: 'IANA timezone the dates are meant in, e.g. "Europe/Berlin" (optional, default: the user\'s Vikunja setting)',
+        },
+        create_missing_labels: {
+          type: 'boolean',
+          description: 'Create *labels that don\'t exist yet (default: true)',
+        },
+        dry_run: {
+          type: 'boolean',
+          description: 'Only parse the text and return the interpretation (default: false)',
         },
       },
-      required: ['title', 'project_id'],
+      required: ['text'],
     },
   },
   {
     name: 'vikunja_update_task',
-    description: 'Update an existing task',
+    scope: 'tasks:write',
+    description:
+      'Update an existing task. Only the given fields change. Pass expected_updated (the task\'s ' +
+      '"updated" timestamp from when you read it) to refuse the update if someone else changed the task since.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -128,13 +493,21 @@ const TOOLS = [
           type: 'number',
           description: 'New priority level (optional)',
         },
+        ...TASK_SCHEDULE_PROPERTIES,
+        expected_updated: {
+          type: 'string',
+          description: 'The task\'s "updated" timestamp you last saw; a conflict is returned if it differs (optional)',
+        },
       },
       required: ['task_id'],
     },
   },
   {
     name: 'vikunja_complete_task',
-    description: 'Mark a task as complete',
+    scope: 'tasks:write',
+    description:
+      'Mark a task as complete, optionally with a comment recording why. ' +
+      'The task is only left completed if the comment was saved.',
     inputSchema: {
       type: 'object',
       properties: {
@@ -142,12 +515,21 @@ const TOOLS = [
           type: 'number',
           description: 'Task ID to complete',
         },
+        comment: {
+          type: 'string',
+          description: 'Completion rationale added as a task comment, e.g. "Completed by sync: PR #12 merged" (optional)',
+        },
+        expected_updated: {
+          type: 'string',
+          description: 'The task\'s "updated" timestamp you last saw; a conflict is returned if it differs (optional)',
+        },
       },
       required: ['task_id'],
     },
   },
   {
     name: 'vikunja_delete_task',
+    scope: 'tasks:delete',
     description: 'Delete a task',
     inputSchema: {
       type: 'object',
@@ -160,9 +542,66 @@ const TOOLS = [
       required: ['task_id'],
     },
   },
+  {
+    name: 'vikunja_batch_tasks',
+    scope: 'tasks:write',
+    description:
+      `Run up to ${BATCH_MAX_OPERATIONS} create/update/complete/delete/move task operations in one call. ` +
+      'Returns a per-item success/error report; a failing item does not stop the others.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operations: {
+          type: 'array',
+          maxItems: BATCH_MAX_OPERATIONS,
+          items: {
+            type: 'object',
+            properties: {
+              op: {
+                type: 'string',
+                enum: BATCH_OPERATIONS,
+                description: 'Operation to perform',
+              },
+              task_id: {
+                type: 'number',
+                description: 'Task ID (required for update, complete, delete and move)',
+              },
+              project_id: {
+                type: 'number',
+                description: 'Project ID (required for create and move)',
+              },
+              fields: {
+                type: 'object',
+                description: 'Task fields for create/update, e.g. { "title": "...", "priority": 3 }',
+              },
+              expected_updated: {
+                type: 'string',
+                description: 'For update/complete: the task\'s "updated" timestamp you last saw (optional)',
+              },
+              comment: {
+                type: 'string',
+                description: 'For complete: completion rationale added as a task comment (optional)',
+              },
+            },
+            required: ['op'],
+          },
+          description: 'Operations to run',
+        },
+        concurrency: {
+          type: 'number',
+          description:
+            `Maximum operations in flight (optional, default ${BATCH_DEFAULT_CONCURRENCY}, ` +
+            `max ${BATCH_MAX_CONCURRENCY})`,
+        },
+      },
+      required: ['operations'],
+    },
+  },
   {
     name: 'vikunja_search_tasks',
-    description: 'Search tasks by keyword',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description: 'Search tasks by keyword, optionally narrowed with the same filters as vikunja_list_tasks',
     inputSchema: {
       type: 'object',
       properties: {
@@ -170,152 +609,1921 @@ const TOOLS = [
           type: 'string',
           description: 'Search query',
         },
+        ...TASK_QUERY_PROPERTIES,
+        ...OUTPUT_PROPERTIES,
       },
       required: ['query'],
     },
   },
   {
     name: 'vikunja_list_labels',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
     description: 'List all labels',
     inputSchema: {
       type: 'object',
-      properties: {},
+      properties: {
+        ...OUTPUT_PROPERTIES,
+      },
       required: [],
     },
   },
-];
-
-// =============================================================================
-// Request Handlers
-// =============================================================================
-
-// List available tools
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  logger.debug('Listing tools');
-  return { tools: TOOLS };
-});
-
-// Execute tool
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-  logger.info(`Executing tool: ${name}`, { args });
-
-  try {
-    let result;
-
-    switch (name) {
-      case 'vikunja_list_projects':
-        result = await vikunjaClient.listProjects();
-        break;
-
-      case 'vikunja_list_tasks':
-        result = await vikunjaClient.listTasks(args?.project_id, args?.done);
-        break;
-
-      case 'vikunja_create_task':
-        result = await vikunjaClient.createTask({
-          title: args.title,
-          project_id: args.project_id,
-          description: args.description,
-          priority: args.priority,
-          due_date: args.due_date,
-        });
-        break;
-
-      case 'vikunja_update_task':
-        result = await vikunjaClient.updateTask(args.task_id, {
-          title: args.title,
-          description: args.description,
-          done: args.done,
-          priority: args.priority,
-        });
-        break;
-
-      case 'vikunja_complete_task':
-        result = await vikunjaClient.updateTask(args.task_id, { done: true });
-        break;
-
-      case 'vikunja_delete_task':
-        result = await vikunjaClient.deleteTask(args.task_id);
-        break;
-
-      case 'vikunja_search_tasks':
-        result = await vikunjaClient.searchTasks(args.query);
-        break;
-
-      case 'vikunja_list_labels':
-        result = await vikunjaClient.listLabels();
-        break;
-
-      default:
-        throw new Error(`Unknown tool: ${name}`);
-    }
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(result, null, 2),
+  {
+    name: 'vikunja_create_label',
+    scope: 'tasks:write',
+    description: 'Create a new label',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: {
+          type: 'string',
+          description: 'Label title',
         },
-      ],
-    };
-  } catch (error) {
-    logger.error(`Tool execution failed: ${name}`, { error: error.message });
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`,
+        description: {
+          type: 'string',
+          description: 'Label description (optional)',
         },
-      ],
-      isError: true,
-    };
-  }
-});
-
-// List resources (projects as resources)
-server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  logger.debug('Listing resources');
+        hex_color: {
+          type: 'string',
+          description: 'Label color as hex without # (optional, e.g. "e8445a")',
+        },
+      },
+      required: ['title'],
+    },
+  },
+  {
+    name: 'vikunja_update_label',
+    scope: 'tasks:write',
+    description: 'Update an existing label',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        label_id: {
+          type: 'number',
+          description: 'Label ID to update',
+        },
+        title: {
+          type: 'string',
+          description: 'New label title (optional)',
+        },
+        description: {
+          type: 'string',
+          description: 'New label description (optional)',
+        },
+        hex_color: {
+          type: 'string',
+          description: 'New label color as hex without # (optional)',
+        },
+      },
+      required: ['label_id'],
+    },
+  },
+  {
+    name: 'vikunja_delete_label',
+    scope: 'tasks:delete',
+    description: 'Delete a label',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        label_id: {
+          type: 'number',
+          description: 'Label ID to delete',
+        },
+      },
+      required: ['label_id'],
+    },
+  },
+  {
+    name: 'vikunja_add_label_to_task',
+    scope: 'tasks:write',
+    description: 'Attach a label to a task by label ID or title',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID to label',
+        },
+        label_id: {
+          type: 'number',
+          description: 'Label ID (provide this or label)',
+        },
+        label: {
+          type: 'string',
+          description: 'Label title (provide this or label_id)',
+        },
+        create_if_missing: {
+          type: 'boolean',
+          description: 'Create the label if no label with this title exists (optional)',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_remove_label_from_task',
+    scope: 'tasks:write',
+    description: 'Detach a label from a task by label ID or title',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID to remove the label from',
+        },
+        label_id: {
+          type: 'number',
+          description: 'Label ID (provide this or label)',
+        },
+        label: {
+          type: 'string',
+          description: 'Label title (provide this or label_id)',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+
+  // Relations
+  {
+    name: 'vikunja_get_task',
+    scope: 'tasks:read',
+    description:
+      'Get a task with its relation graph (subtasks, parent tasks, blockers, related tasks) ' +
+      'as nodes and edges',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        relation_depth: {
+          type: 'number',
+          minimum: 0,
+          maximum: 3,
+          description: 'How many relations deep to follow (default: 1, 0 = no graph)',
+        },
+        relation_kinds: {
+          type: 'array',
+          items: { type: 'string', enum: RELATION_KINDS },
+          description: 'Only follow these relation kinds (optional, default: all)',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_create_relation',
+    scope: 'tasks:write',
+    description:
+      'Relate two tasks, e.g. task_id=epic, other_task_id=story, relation_kind=subtask, or ' +
+      'task_id=A, other_task_id=B, relation_kind=blocked (A is blocked by B). ' +
+      'The inverse relation is added automatically.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        other_task_id: {
+          type: 'number',
+          description: 'Related task ID',
+        },
+        relation_kind: {
+          type: 'string',
+          enum: RELATION_KINDS,
+          description: 'What other_task_id is to task_id',
+        },
+      },
+      required: ['task_id', 'other_task_id', 'relation_kind'],
+    },
+  },
+  {
+    name: 'vikunja_delete_relation',
+    scope: 'tasks:write',
+    description: 'Remove a relation between two tasks (and its inverse); the tasks are kept',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        other_task_id: {
+          type: 'number',
+          description: 'Related task ID',
+        },
+        relation_kind: {
+          type: 'string',
+          enum: RELATION_KINDS,
+          description: 'Relation kind to remove',
+        },
+      },
+      required: ['task_id', 'other_task_id', 'relation_kind'],
+    },
+  },
+  {
+    name: 'vikunja_list_dependencies',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description:
+      'List open tasks that are blocked by other open tasks (kind=blocked) or that block ' +
+      'other open tasks (kind=blocking)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        kind: {
+          type: 'string',
+          enum: ['blocked', 'blocking'],
+          description: 'blocked (default) or blocking',
+        },
+        project_id: {
+          type: 'number',
+          description: 'Only tasks in this project (optional)',
+        },
+        include_done_related: {
+          type: 'boolean',
+          description: 'Also count relations to completed tasks (default: false)',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+    },
+  },
+
+  // Comments
+  {
+    name: 'vikunja_list_comments',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description: 'List the comments of a task, oldest first',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_add_comment',
+    scope: 'tasks:write',
+    description: 'Add a comment to a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        comment: {
+          type: 'string',
+          description: 'Comment text (HTML or plain text)',
+        },
+      },
+      required: ['task_id', 'comment'],
+    },
+  },
+  {
+    name: 'vikunja_update_comment',
+    scope: 'tasks:write',
+    description: 'Replace the text of a task comment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        comment_id: {
+          type: 'number',
+          description: 'Comment ID',
+        },
+        comment: {
+          type: 'string',
+          description: 'New comment text',
+        },
+      },
+      required: ['task_id', 'comment_id', 'comment'],
+    },
+  },
+  {
+    name: 'vikunja_delete_comment',
+    scope: 'tasks:delete',
+    description: 'Delete a task comment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        comment_id: {
+          type: 'number',
+          description: 'Comment ID to delete',
+        },
+      },
+      required: ['task_id', 'comment_id'],
+    },
+  },
+
+  // Attachments
+  {
+    name: 'vikunja_list_attachments',
+    scope: 'tasks:read',
+    description: 'List the files attached to a task (name, MIME type, size and a resource URI to download)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_upload_attachment',
+    scope: 'tasks:write',
+    description:
+      `Attach a file to a task, from base64 content or a path inside the server's attachment ` +
+      `directory (VIKUNJA_ATTACHMENT_DIR). Files over ${attachmentLimits.maxBytes / 1024 / 1024} MB are refused.`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        path: {
+          type: 'string',
+          description: 'File path, relative to the attachment directory (instead of content_base64)',
+        },
+        content_base64: {
+          type: 'string',
+          description: 'File content, base64 encoded (instead of path)',
+        },
+        filename: {
+          type: 'string',
+          description: 'File name (required with content_base64, default: the file\'s name)',
+        },
+        mime_type: {
+          type: 'string',
+          description: 'MIME type, e.g. "image/png" (optional)',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_download_attachment',
+    scope: 'tasks:read',
+    description: 'Download a task attachment; the file is returned as an embedded blob resource',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        attachment_id: {
+          type: 'number',
+          description: 'Attachment ID',
+        },
+      },
+      required: ['task_id', 'attachment_id'],
+    },
+  },
+  {
+    name: 'vikunja_delete_attachment',
+    scope: 'tasks:delete',
+    description: 'Delete a task attachment',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        attachment_id: {
+          type: 'number',
+          description: 'Attachment ID to delete',
+        },
+      },
+      required: ['task_id', 'attachment_id'],
+    },
+  },
+
+  // Users and assignees
+  {
+    name: 'vikunja_get_current_user',
+    scope: 'tasks:read',
+    description: 'Get the Vikunja user the server acts as',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+  },
+  {
+    name: 'vikunja_search_users',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description: 'Search users by username, name or email, e.g. to find who to assign',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'Search text',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+      required: ['query'],
+    },
+  },
+  {
+    name: 'vikunja_list_assigned_tasks',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description:
+      'List open tasks assigned to a user, or to the current user ("my tasks") when no user ' +
+      'is given. For "this week" pass due_after="now/w" and due_before="now/w+1w".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        user: {
+          type: 'string',
+          description: 'Username or display name (optional, default: current user)',
+        },
+        project_id: {
+          type: 'number',
+          description: 'Only tasks in this project (optional)',
+        },
+        done: {
+          type: 'boolean',
+          description: 'Filter by completion status (default: false)',
+        },
+        ...TASK_QUERY_PROPERTIES,
+        ...OUTPUT_PROPERTIES,
+      },
+    },
+  },
+  {
+    name: 'vikunja_assign_user',
+    scope: 'tasks:write',
+    description: 'Assign a user to a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        user: {
+          type: ['string', 'number'],
+          description: 'User ID, username or display name',
+        },
+      },
+      required: ['task_id', 'user'],
+    },
+  },
+  {
+    name: 'vikunja_unassign_user',
+    scope: 'tasks:write',
+    description: 'Remove a user from the assignees of a task',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        user: {
+          type: ['string', 'number'],
+          description: 'User ID, username or display name',
+        },
+      },
+      required: ['task_id', 'user'],
+    },
+  },
+
+  // Project sharing
+  {
+    name: 'vikunja_list_project_shares',
+    scope: 'tasks:read',
+    description: 'List the users and teams a project is shared with, and their permissions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_share_project',
+    scope: 'projects:admin',
+    description: 'Share a project with a user or a team (team_id, or team name)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        user: {
+          type: 'string',
+          description: 'Username or display name to share with',
+        },
+        team: {
+          type: ['string', 'number'],
+          description: 'Team ID or name to share with (instead of user)',
+        },
+        permission: {
+          type: 'string',
+          enum: SHARE_PERMISSIONS,
+          description: 'read (default), write or admin',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_unshare_project',
+    scope: 'projects:admin',
+    description: 'Stop sharing a project with a user or a team',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        user: {
+          type: ['string', 'number'],
+          description: 'User ID, username or display name',
+        },
+        team: {
+          type: ['string', 'number'],
+          description: 'Team ID or name (instead of user)',
+        },
+      },
+      required: ['project_id'],
+    },
+  },
+
+  // Kanban
+  {
+    name: 'vikunja_list_project_views',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description: 'List the views of a project (list, gantt, table, kanban) with their IDs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_list_buckets',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description: 'List the buckets (columns) of a project\'s kanban board',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        view_id: {
+          type: 'number',
+          description: 'Kanban view ID (optional, default: the project\'s first kanban view)',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_get_board',
+    scope: 'tasks:read',
+    defaultFormat: 'compact',
+    description:
+      'Get a project\'s kanban board: its buckets in order, each with its tasks ' +
+      '(priority, due date, assignees). Also available as the vikunja://project/{id}/board resource.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        view_id: {
+          type: 'number',
+          description: 'Kanban view ID (optional, default: the project\'s first kanban view)',
+        },
+        per_bucket: {
+          type: 'number',
+          description: 'Maximum tasks per bucket (default: 50)',
+        },
+        ...OUTPUT_PROPERTIES,
+      },
+      required: ['project_id'],
+    },
+  },
+  {
+    name: 'vikunja_move_task_to_bucket',
+    scope: 'tasks:write',
+    description:
+      'Move a task to another bucket of its project\'s kanban board. Moving it into the done ' +
+      'bucket marks it done.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Task ID',
+        },
+        bucket_id: {
+          type: 'number',
+          description: 'Target bucket ID',
+        },
+        bucket: {
+          type: 'string',
+          description: 'Target bucket title, instead of bucket_id',
+        },
+        view_id: {
+          type: 'number',
+          description: 'Kanban view ID (optional, default: the project\'s first kanban view)',
+        },
+      },
+      required: ['task_id'],
+    },
+  },
+  {
+    name: 'vikunja_create_bucket',
+    scope: 'projects:admin',
+    description: 'Add a bucket (column) to a project\'s kanban board',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        title: {
+          type: 'string',
+          description: 'Bucket title',
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum tasks in the bucket (optional, 0 = no limit)',
+        },
+        view_id: {
+          type: 'number',
+          description: 'Kanban view ID (optional, default: the project\'s first kanban view)',
+        },
+      },
+      required: ['project_id', 'title'],
+    },
+  },
+  {
+    name: 'vikunja_update_bucket',
+    scope: 'projects:admin',
+    description: 'Rename a kanban bucket or change its task limit',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        project_id: {
+          type: 'number',
+          description: 'Project ID',
+        },
+        bucket_id: {
+          type: 'number',
+          description: 'Bucket ID',
+        },
+        title: {
+          type: 'string',
+          description: 'New title (optional)',
+        },
+        limit: {
+          type: 'number',
+          description: 'New task limit, 0 = no limit (optional)',
+        },
+        view_id: {
+          type: 'number',
+          description: 'Kanban view ID (optional, default: the project\'s first kanban view)',
+        },
+      },
+      required: ['project_id', 'bucket_id'],
+    },
+  },
+
+  // Sync conflicts
+  {
+    name: 'vikunja_list_sync_conflicts',
+    scope: 'tasks:read',
+    description:
+      'List fields edited both in Vikunja and in YouTrack/Jira since the last two-way sync ' +
+      'that are waiting for review',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'string',
+          description: 'Only conflicts from this source, e.g. "jira" or "youtrack" (optional)',
+        },
+      },
+    },
+  },
+  {
+    name: 'vikunja_resolve_sync_conflict',
+    scope: 'tasks:write',
+    description:
+      'Choose which side wins a sync conflict; the next sync run writes the winning value ' +
+      'to the other side and removes the conflict label',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task_id: {
+          type: 'number',
+          description: 'Vikunja task ID with the conflict',
+        },
+        keep: {
+          type: 'string',
+          enum: ['source', 'vikunja'],
+          description: 'Keep the external tracker value (source) or the Vikunja value',
+        },
+        field: {
+          type: 'string',
+          enum: SYNC_FIELDS.full,
+          description: 'Only resolve this field (optional, default: all conflicting fields)',
+        },
+      },
+      required: ['task_id', 'keep'],
+    },
+  },
+];
+
+// Todoist tools (named as the skills call them: todoist.find_projects, ...)
+const TODOIST_TOOLS = [
+  {
+    name: 'todoist_get_overview',
+    scope: 'tasks:read',
+    description:
+      'Overview of Todoist: active task counts per project, or the sections and tasks of one project',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: {
+          type: ['string', 'null'],
+          description: 'Project ID to show in detail (optional, default: all projects)',
+        },
+      },
+    },
+  },
+  {
+    name: 'todoist_find_projects',
+    scope: 'tasks:read',
+    description: 'List Todoist projects, optionally filtered by name',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        search: {
+          type: 'string',
+          description: 'Case-insensitive text the project name must contain (optional)',
+        },
+      },
+    },
+  },
+  {
+    name: 'todoist_find_tasks_by_date',
+    scope: 'tasks:read',
+    description: 'Find active Todoist tasks due in a date range, optionally including overdue tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        startDate: {
+          type: 'string',
+          description: 'First day: "today" or YYYY-MM-DD (default: today)',
+        },
+        daysCount: {
+          type: 'number',
+          minimum: 1,
+          maximum: 365,
+          description: 'Number of days in the range (default: 1)',
+        },
+        overdueOption: {
+          type: 'string',
+          enum: ['include-overdue', 'exclude-overdue', 'overdue-only'],
+          description: 'How to treat overdue tasks (default: include-overdue)',
+        },
+      },
+    },
+  },
+  {
+    name: 'todoist_complete_tasks',
+    scope: 'tasks:write',
+    description: 'Complete Todoist tasks by ID, returning a per-task report',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ids: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: 'Todoist task IDs',
+        },
+      },
+      required: ['ids'],
+    },
+  },
+  {
+    name: 'todoist_update_tasks',
+    scope: 'tasks:write',
+    description: 'Update Todoist tasks (content, description, priority, due date, labels, status)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        tasks: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', description: 'Todoist task ID' },
+              content: { type: 'string', description: 'New title' },
+              description: { type: 'string' },
+              priority: {
+                type: 'number',
+                minimum: 1,
+                maximum: 4,
+                description: 'Todoist priority: 4 = p1 (urgent) ... 1 = p4 (normal)',
+              },
+              dueDate: {
+                type: ['string', 'null'],
+                description: 'Due date YYYY-MM-DD, or null to clear it',
+              },
+              labels: { type: 'array', items: { type: 'string' } },
+              status: {
+                type: 'string',
+                enum: ['completed', 'active'],
+                description: 'Complete or reopen the task',
+              },
+            },
+            required: ['id'],
+          },
+        },
+      },
+      required: ['tasks'],
+    },
+  },
+  {
+    name: 'todoist_add_comments',
+    scope: 'tasks:write',
+    description: 'Add comments to Todoist tasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        comments: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              taskId: { type: 'string', description: 'Todoist task ID' },
+              content: { type: 'string', description: 'Comment text (Markdown)' },
+            },
+            required: ['taskId', 'content'],
+          },
+        },
+      },
+      required: ['comments'],
+    },
+  },
+];
+
+if (todoistClient) {
+  TOOLS.push(...TODOIST_TOOLS);
+}
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Drop undefined values so optional tool arguments don't overwrite fields
+ */
+function pickDefined(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Map the schedule arguments of create/update task to Vikunja task fields
+ */
+function taskScheduleFields(args) {
+  return pickDefined({
+    start_date: args.start_date,
+    end_date: args.end_date,
+    due_date: args.due_date,
+    reminders: args.reminders,
+    repeat_after: args.repeat_after,
+    repeat_mode: args.repeat_mode,
+    percent_done: args.percent_done === undefined ? undefined : args.percent_done / 100,
+    hex_color: args.color,
+  });
+}
+
+/**
+ * Map task listing tool arguments to VikunjaClient.queryTasks options
+ */
+function taskQueryOptions(args = {}) {
+  return {
+    projectId: args.project_id,
+    done: args.done ?? null,
+    filter: args.filter,
+    dueAfter: args.due_after,
+    dueBefore: args.due_before,
+    priorityMin: args.priority_min,
+    priorityMax: args.priority_max,
+    labels: args.labels || [],
+    assignees: args.assignees || [],
+    sortBy: args.sort_by || [],
+    orderBy: args.order_by || [],
+    page: args.page || 1,
+    perPage: args.per_page,
+    timezone: process.env.TZ,
+  };
+}
+
+/**
+ * Add a human-readable hint when more pages are available, so the
+ * assistant does not mistake the first page for the full result set
+ */
+function withPageHint({ tasks, pagination }) {
+  const result = { tasks, pagination };
+  if (pagination.has_more) {
+    result.hint =
+      `Showing page ${pagination.page} of ${pagination.total_pages}. ` +
+      `Call again with page=${pagination.next_page} for more tasks.`;
+  }
+  return result;
+}
+
+/**
+ * Tool arguments for the log, without file contents
+ */
+function loggableArgs(args) {
+  if (!args?.content_base64) {
+    return args;
+  }
+  return { ...args, content_base64: `<${args.content_base64.length} base64 chars>` };
+}
+
+/**
+ * Resolve a label ID from tool arguments (label_id or label title)
+ */
+async function resolveLabelId(args, { createIfMissing = false } = {}) {
+  if (args.label_id) {
+    return args.label_id;
+  }
+
+  if (!args.label) {
+    throw new Error('Either label_id or label is required');
+  }
+
+  const existing = await vikunjaClient.findLabelByTitle(args.label);
+  if (existing) {
+    return existing.id;
+  }
+
+  if (!createIfMissing) {
+    throw new Error(`Label not found: ${args.label}`);
+  }
+
+  logger.info(`Creating missing label: ${args.label}`);
+  const created = await vikunjaClient.createLabel({ title: args.label });
+  return created.id;
+}
+
+/**
+ * Resolve a user ID from a tool argument (ID, username or display name)
+ */
+async function resolveUserId(user) {
+  if (typeof user === 'number' || /^\d+$/.test(String(user))) {
+    return Number(user);
+  }
+  return (await vikunjaClient.findUser(user)).id;
+}
+
+/**
+ * Resolve a team ID from a tool argument (ID or team name)
+ */
+async function resolveTeamId(team) {
+  if (typeof team === 'number' || /^\d+$/.test(String(team))) {
+    return Number(team);
+  }
+
+  const teams = await vikunjaClient.searchTeams(team);
+  const matches = teams.filter((candidate) => candidate.name.toLowerCase() === String(team).toLowerCase());
+  if (matches.length !== 1) {
+    throw new Error(matches.length ? `Several teams are named "${team}"; use team_id` : `Team not found: ${team}`);
+  }
+  return matches[0].id;
+}
+
+/**
+ * Bucket ID from tool arguments (bucket_id or bucket title)
+ */
+async function resolveBucketId(projectId, viewId, args) {
+  if (args.bucket_id) {
+    return args.bucket_id;
+  }
+  if (!args.bucket) {
+    throw new Error('Either bucket_id or bucket is required');
+  }
+
+  const wanted = args.bucket.trim().toLowerCase();
+  const buckets = await vikunjaClient.listBuckets(projectId, viewId);
+  const bucket = buckets.find((candidate) => candidate.title.toLowerCase() === wanted);
+  if (!bucket) {
+    throw new Error(`Bucket not found: ${args.bucket} (buckets: ${buckets.map((b) => b.title).join(', ')})`);
+  }
+  return bucket.id;
+}
+
+/**
+ * Run a Todoist call for each entry, collecting a per-item report instead
+ * of stopping at the first failure
+ */
+async function eachTodoist(entries, operation) {
+  const results = [];
+  for (const entry of entries) {
+    try {
+      results.push({ ...await operation(entry), success: true });
+    } catch (error) {
+      results.push({ id: entry.id ?? entry.taskId ?? entry, success: false, error: error.message });
+    }
+  }
+  return {
+    succeeded: results.filter((r) => r.success).length,
+    failed: results.filter((r) => !r.success).length,
+    results,
+  };
+}
+
+/**
+ * Apply one todoist_update_tasks entry
+ */
+async function updateTodoistTask({ id, status, dueDate, ...fields }) {
+  const updates = pickDefined({
+    content: fields.content,
+    description: fields.description,
+    priority: fields.priority,
+    labels: fields.labels,
+  });
+  if (dueDate !== undefined) {
+    Object.assign(updates, dueDate ? { due_date: dueDate } : { due_string: 'no date' });
+  }
+
+  if (Object.keys(updates).length > 0) {
+    await todoistClient.updateTask(id, updates);
+  }
+  if (status === 'completed') {
+    await todoistClient.closeTask(id);
+  } else if (status === 'active') {
+    await todoistClient.reopenTask(id);
+  }
+  return { id, updated: Object.keys(updates), status: status || null };
+}
+
+/**
+ * Parse a quick-add line and create the task. Projects, labels and users
+ * are looked up before the task is created, so a typo creates nothing.
+ */
+async function quickAddTask(args) {
+  const user = await vikunjaClient.getCurrentUser();
+  const timezone = args.timezone || user.settings?.timezone || process.env.TZ || 'UTC';
+  const parsed = parseQuickAdd(args.text, { timezone });
+
+  let projectId = args.project_id || user.settings?.default_project_id || null;
+  if (parsed.project) {
+    const wanted = parsed.project.toLowerCase();
+    const project = (await vikunjaClient.listProjects()).find((candidate) => candidate.title.toLowerCase() === wanted);
+    if (!project) {
+      throw new Error(`Project not found: ${parsed.project}`);
+    }
+    projectId = project.id;
+  }
+  if (!projectId) {
+    throw new Error('No project given: use +project in the text or pass project_id');
+  }
+
+  const fields = pickDefined({
+    title: parsed.title,
+    project_id: projectId,
+    priority: parsed.priority ?? undefined,
+    due_date: parsed.due_date ?? undefined,
+    reminders: parsed.reminders.length > 0 ? parsed.reminders : undefined,
+    repeat_after: parsed.repeat_after ?? undefined,
+    repeat_mode: parsed.repeat_mode ?? undefined,
+  });
+  const interpretation = {
+    timezone,
+    fields,
+    labels: parsed.labels,
+    assignees: parsed.assignees,
+    interpreted: parsed.interpreted,
+  };
+
+  if (args.dry_run) {
+    return { dry_run: true, ...interpretation };
+  }
+
+  // Every lookup that can fail runs before anything is created
+  const assignees = [];
+  for (const assignee of parsed.assignees) {
+    assignees.push(await vikunjaClient.findUser(assignee));
+  }
+  const existingLabels = new Map();
+  for (const label of parsed.labels) {
+    existingLabels.set(label, await vikunjaClient.findLabelByTitle(label));
+  }
+  const missingLabels = [...existingLabels.keys()].filter((label) => !existingLabels.get(label));
+  if (missingLabels.length > 0 && !(args.create_missing_labels ?? true)) {
+    throw new Error(`Label not found: ${missingLabels.join(', ')}`);
+  }
+
+  for (const label of missingLabels) {
+    logger.info(`Creating missing label: ${label}`);
+    existingLabels.set(label, await vikunjaClient.createLabel({ title: label }));
+  }
+  const labelIds = parsed.labels.map((label) => existingLabels.get(label).id);
+
+  const task = await vikunjaClient.createTask(fields);
+  for (const labelId of labelIds) {
+    await vikunjaClient.addLabelToTask(task.id, labelId);
+  }
+  for (const assignee of assignees) {
+    await vikunjaClient.addAssignee(task.id, assignee.id);
+  }
+
+  return { task, ...interpretation };
+}
+
+/**
+ * Todoist overview: task counts per project, or one project in detail
+ */
+async function todoistOverview(projectId) {
+  if (projectId) {
+    const [project, sections, tasks] = await Promise.all([
+      todoistClient.getProject(projectId),
+      todoistClient.listSections(projectId),
+      todoistClient.listTasks({ projectId }),
+    ]);
+    return {
+      project,
+      sections: sections.map((section) => ({
+        ...section,
+        tasks: tasks.filter((task) => task.section_id === section.id),
+      })),
+      unsectioned_tasks: tasks.filter((task) => !task.section_id),
+    };
+  }
+
+  const [projects, tasks] = await Promise.all([
+    todoistClient.listProjects(),
+    todoistClient.listTasks(),
+  ]);
+  return {
+    projects: projects.map((project) => ({
+      id: project.id,
+      name: project.name,
+      parent_id: project.parent_id,
+      active_tasks: tasks.filter((task) => task.project_id === project.id).length,
+    })),
+    total_active_tasks: tasks.length,
+  };
+}
+
+// =============================================================================
+// Request Handlers
+// =============================================================================
+
+// List available tools (only those the caller's scopes allow)
+async function handleListTools(request, extra) {
+  logger.debug('Listing tools');
+  const scopes = grantedScopes(extra);
+
+  return {
+    tools: TOOLS
+      .filter((tool) => hasScope(scopes, tool.scope))
+      .map(({ scope, defaultFormat, ...tool }) => tool),
+  };
+}
+
+/**
+ * Throw if the caller's scopes don't allow this tool call; returns the
+ * tool definition
+ */
+function assertToolAllowed(name, args, scopes) {
+  const tool = TOOLS.find((candidate) => candidate.name === name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  if (!hasScope(scopes, tool.scope)) {
+    throw new Error(`Insufficient scope: ${name} requires ${tool.scope}`);
+  }
+
+  // Batches may contain deletes, which need their own scope
+  if (name === 'vikunja_batch_tasks' &&
+      args?.operations?.some((operation) => operation.op === 'delete') &&
+      !hasScope(scopes, 'tasks:delete')) {
+    throw new Error('Insufficient scope: delete operations require tasks:delete');
+  }
+  return tool;
+}
+
+// Execute tool
+async function handleCallTool(request, extra) {
+  const { name, arguments: args } = request.params;
+  logger.info(`Executing tool: ${name}`, { args: loggableArgs(args) });
+
+  try {
+    const tool = assertToolAllowed(name, args, grantedScopes(extra));
+    const output = tool.defaultFormat ? outputOptions(args, tool.defaultFormat) : null;
+
+    let result;
+    // Content blocks returned after the JSON result (e.g. file blobs)
+    const extraContent = [];
+
+    switch (name) {
+      case 'vikunja_list_projects':
+        result = await vikunjaClient.listProjects();
+        break;
+
+      case 'vikunja_get_project':
+        result = await vikunjaClient.getProject(args.project_id);
+        break;
+
+      case 'vikunja_get_project_tree':
+        result = await vikunjaClient.getProjectTree({
+          includeArchived: args?.include_archived,
+        });
+        break;
+
+      case 'vikunja_create_project':
+        result = await vikunjaClient.createProject({
+          title: args.title,
+          description: args.description,
+          parent_project_id: args.parent_project_id,
+          hex_color: args.hex_color,
+        });
+        break;
+
+      case 'vikunja_update_project':
+        result = await vikunjaClient.updateProject(args.project_id, pickDefined({
+          title: args.title,
+          description: args.description,
+          hex_color: args.hex_color,
+        }));
+        break;
+
+      case 'vikunja_archive_project':
+        result = await vikunjaClient.archiveProject(args.project_id, args.archived ?? true);
+        break;
+
+      case 'vikunja_move_project':
+        result = await vikunjaClient.moveProject(args.project_id, args.parent_project_id);
+        break;
+
+      case 'vikunja_delete_project':
+        result = await vikunjaClient.deleteProject(args.project_id);
+        break;
+
+      case 'vikunja_list_tasks':
+        result = withPageHint(await vikunjaClient.queryTasks(taskQueryOptions(args)));
+        break;
+
+      case 'vikunja_create_task': {
+        const fields = {
+          title: args.title,
+          project_id: args.project_id,
+          description: args.description,
+          priority: args.priority,
+          ...taskScheduleFields(args),
+        };
+        if (args.parent_task_id) {
+          result = await vikunjaClient.createSubtask(args.parent_task_id, fields);
+        } else if (args.project_id) {
+          result = await vikunjaClient.createTask(fields);
+        } else {
+          throw new Error('Either project_id or parent_task_id is required');
+        }
+        break;
+      }
+
+      case 'vikunja_quick_add_task':
+        result = await quickAddTask(args);
+        break;
+
+      case 'vikunja_update_task':
+        result = await vikunjaClient.updateTask(args.task_id, {
+          title: args.title,
+          description: args.description,
+          done: args.done,
+          priority: args.priority,
+          ...taskScheduleFields(args),
+        }, {
+          expectedUpdated: args.expected_updated,
+        });
+        break;
+
+      case 'vikunja_complete_task':
+        result = await vikunjaClient.completeTask(args.task_id, {
+          comment: args.comment,
+          expectedUpdated: args.expected_updated,
+        });
+        break;
+
+      case 'vikunja_delete_task':
+        result = await vikunjaClient.deleteTask(args.task_id);
+        break;
+
+      case 'vikunja_batch_tasks':
+        result = await runBatch(vikunjaClient, args.operations, {
+          concurrency: args.concurrency,
+        });
+        break;
+
+      case 'vikunja_search_tasks':
+        result = withPageHint(
+          await vikunjaClient.searchTasks(args.query, taskQueryOptions(args))
+        );
+        break;
+
+      case 'vikunja_list_labels':
+        result = await vikunjaClient.listLabels();
+        break;
+
+      case 'vikunja_create_label':
+        result = await vikunjaClient.createLabel({
+          title: args.title,
+          description: args.description,
+          hex_color: args.hex_color,
+        });
+        break;
+
+      case 'vikunja_update_label':
+        result = await vikunjaClient.updateLabel(args.label_id, pickDefined({
+          title: args.title,
+          description: args.description,
+          hex_color: args.hex_color,
+        }));
+        break;
+
+      case 'vikunja_delete_label':
+        result = await vikunjaClient.deleteLabel(args.label_id);
+        break;
+
+      case 'vikunja_add_label_to_task': {
+        const labelId = await resolveLabelId(args, {
+          createIfMissing: args.create_if_missing,
+        });
+        result = await vikunjaClient.addLabelToTask(args.task_id, labelId);
+        break;
+      }
+
+      case 'vikunja_remove_label_from_task': {
+        const labelId = await resolveLabelId(args);
+        result = await vikunjaClient.removeLabelFromTask(args.task_id, labelId);
+        break;
+      }
+
+      case 'vikunja_get_task':
+        result = await vikunjaClient.getTaskGraph(args.task_id, {
+          depth: args.relation_depth ?? 1,
+          kinds: args.relation_kinds?.length ? args.relation_kinds : undefined,
+        });
+        break;
+
+      case 'vikunja_create_relation':
+        result = await vikunjaClient.addRelation(args.task_id, args.other_task_id, args.relation_kind);
+        break;
+
+      case 'vikunja_delete_relation':
+        result = await vikunjaClient.removeRelation(args.task_id, args.other_task_id, args.relation_kind);
+        break;
+
+      case 'vikunja_list_dependencies':
+        result = await vikunjaClient.listDependencies({
+          kind: args?.kind || 'blocked',
+          projectId: args?.project_id,
+          includeDoneRelated: args?.include_done_related,
+        });
+        break;
+
+      case 'vikunja_list_comments':
+        result = await vikunjaClient.listComments(args.task_id);
+        break;
+
+      case 'vikunja_add_comment':
+        result = await vikunjaClient.addComment(args.task_id, args.comment);
+        break;
+
+      case 'vikunja_update_comment':
+        result = await vikunjaClient.updateComment(args.task_id, args.comment_id, args.comment);
+        break;
+
+      case 'vikunja_delete_comment':
+        result = await vikunjaClient.deleteComment(args.task_id, args.comment_id);
+        break;
+
+      case 'vikunja_list_attachments':
+        result = (await vikunjaClient.listAttachments(args.task_id))
+          .map((attachment) => describeAttachment(args.task_id, attachment));
+        break;
+
+      case 'vikunja_upload_attachment': {
+        const file = await readUpload(args, attachmentLimits);
+        const attachment = await vikunjaClient.uploadAttachment(args.task_id, file);
+        result = describeAttachment(args.task_id, attachment);
+        break;
+      }
+
+      case 'vikunja_download_attachment': {
+        const { attachment, data, mimeType } = await downloadAttachment(
+          vikunjaClient, args.task_id, args.attachment_id, attachmentLimits
+        );
+        result = describeAttachment(args.task_id, attachment);
+        extraContent.push({
+          type: 'resource',
+          resource: { uri: result.uri, mimeType, blob: data.toString('base64') },
+        });
+        break;
+      }
+
+      case 'vikunja_delete_attachment':
+        result = await vikunjaClient.deleteAttachment(args.task_id, args.attachment_id);
+        break;
+
+      case 'vikunja_get_current_user':
+        result = await vikunjaClient.getCurrentUser();
+        break;
+
+      case 'vikunja_search_users':
+        result = await vikunjaClient.searchUsers(args.query);
+        break;
+
+      case 'vikunja_list_assigned_tasks': {
+        const user = args?.user
+          ? await vikunjaClient.findUser(args.user)
+          : await vikunjaClient.getCurrentUser();
+        const options = taskQueryOptions({ done: false, ...args, assignees: [user.username] });
+        result = { user: user.username, ...withPageHint(await vikunjaClient.queryTasks(options)) };
+        break;
+      }
+
+      case 'vikunja_assign_user':
+        result = await vikunjaClient.addAssignee(args.task_id, await resolveUserId(args.user));
+        break;
+
+      case 'vikunja_unassign_user':
+        result = await vikunjaClient.removeAssignee(args.task_id, await resolveUserId(args.user));
+        break;
+
+      case 'vikunja_list_project_shares':
+        result = await vikunjaClient.listProjectShares(args.project_id);
+        break;
+
+      case 'vikunja_share_project': {
+        const permission = args.permission || 'read';
+        if (args.team !== undefined) {
+          const teamId = await resolveTeamId(args.team);
+          result = await vikunjaClient.shareProjectWithTeam(args.project_id, teamId, permission);
+        } else if (args.user) {
+          const user = await vikunjaClient.findUser(args.user);
+          result = await vikunjaClient.shareProjectWithUser(args.project_id, user.username, permission);
+        } else {
+          throw new Error('Either user or team is required');
+        }
+        break;
+      }
+
+      case 'vikunja_unshare_project':
+        if (args.team !== undefined) {
+          result = await vikunjaClient.unshareProjectWithTeam(args.project_id, await resolveTeamId(args.team));
+        } else if (args.user !== undefined) {
+          result = await vikunjaClient.unshareProjectWithUser(args.project_id, await resolveUserId(args.user));
+        } else {
+          throw new Error('Either user or team is required');
+        }
+        break;
+
+      case 'vikunja_list_project_views':
+        result = await vikunjaClient.listProjectViews(args.project_id);
+        break;
+
+      case 'vikunja_list_buckets': {
+        const view = await vikunjaClient.findKanbanView(args.project_id, args.view_id);
+        result = await vikunjaClient.listBuckets(args.project_id, view.id);
+        break;
+      }
+
+      case 'vikunja_get_board':
+        result = await vikunjaClient.getBoard(args.project_id, {
+          viewId: args.view_id,
+          perBucket: args.per_bucket,
+        });
+        break;
+
+      case 'vikunja_move_task_to_bucket': {
+        const task = await vikunjaClient.getTask(args.task_id);
+        const view = await vikunjaClient.findKanbanView(task.project_id, args.view_id);
+        const bucketId = await resolveBucketId(task.project_id, view.id, args);
+        result = await vikunjaClient.moveTaskToBucket(task.project_id, view.id, bucketId, task.id);
+        break;
+      }
+
+      case 'vikunja_create_bucket': {
+        const view = await vikunjaClient.findKanbanView(args.project_id, args.view_id);
+        result = await vikunjaClient.createBucket(args.project_id, view.id, {
+          title: args.title,
+          limit: args.limit,
+        });
+        break;
+      }
+
+      case 'vikunja_update_bucket': {
+        const view = await vikunjaClient.findKanbanView(args.project_id, args.view_id);
+        result = await vikunjaClient.updateBucket(args.project_id, view.id, args.bucket_id, pickDefined({
+          title: args.title,
+          limit: args.limit,
+        }));
+        break;
+      }
+
+      case 'vikunja_list_sync_conflicts': {
+        const conflicts = new SyncStateStore().listConflicts();
+        result = args.source ? conflicts.filter((c) => c.source === args.source) : conflicts;
+        break;
+      }
+
+      case 'vikunja_resolve_sync_conflict': {
+        const release = acquireSyncLock();
+        if (!release) {
+          throw new Error('A sync run is in progress, try again in a moment');
+        }
+        try {
+          const state = new SyncStateStore();
+          const resolved = state.resolveConflicts(args.task_id, args.keep, args.field);
+          if (resolved === 0) {
+            throw new Error(`No sync conflict found for task ${args.task_id}`);
+          }
+          state.save();
+          result = { task_id: args.task_id, keep: args.keep, resolved, applied_on: 'next sync run' };
+        } finally {
+          release();
+        }
+        break;
+      }
+
+      case 'todoist_get_overview':
+        result = await todoistOverview(args?.projectId);
+        break;
+
+      case 'todoist_find_projects': {
+        const projects = await todoistClient.listProjects();
+        const search = String(args?.search || '').toLowerCase();
+        result = projects.filter((project) => project.name.toLowerCase().includes(search));
+        break;
+      }
+
+      case 'todoist_find_tasks_by_date': {
+        const overdue = args?.overdueOption || 'include-overdue';
+        result = await todoistClient.findTasksByDate({
+          startDate: args?.startDate || 'today',
+          daysCount: overdue === 'overdue-only' ? 0 : args?.daysCount || 1,
+          includeOverdue: overdue !== 'exclude-overdue',
+        });
+        break;
+      }
+
+      case 'todoist_complete_tasks':
+        result = await eachTodoist(args.ids, async (id) => {
+          await todoistClient.closeTask(id);
+          return { id };
+        });
+        break;
+
+      case 'todoist_update_tasks':
+        result = await eachTodoist(args.tasks, updateTodoistTask);
+        break;
+
+      case 'todoist_add_comments':
+        result = await eachTodoist(args.comments, async ({ taskId, content }) => {
+          const comment = await todoistClient.addComment(taskId, content);
+          return { id: taskId, comment_id: comment.id };
+        });
+        break;
+
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: output ? formatResult(result, output) : JSON.stringify(result, null, 2),
+        },
+        ...extraContent,
+      ],
+    };
+  } catch (error) {
+    if (error instanceof TaskConflictError) {
+      logger.warn(`Tool execution conflict: ${name}`, { task_id: error.taskId });
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(error, null, 2),
+          },
+        ],
+        isError: true,
+      };
+    }
+
+    logger.error(`Tool execution failed: ${name}`, { error: error.message });
+
+    let text = `Error: ${error.message}`;
+    if (error instanceof VikunjaApiError) {
+      text = `Error (${error.name}): ${error.message}`;
+      if (error.hint) {
+        text += `\nHint: ${error.hint}`;
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text,
+        },
+      ],
+      isError: true,
+    };
+  }
+}
+
+// List workflow prompts (they read tasks, so they need tasks:read)
+async function handleListPrompts(request, extra) {
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    return { prompts: [] };
+  }
+  return { prompts: PROMPTS };
+}
+
+// Get a workflow prompt with its task data embedded
+async function handleGetPrompt(request, extra) {
+  const { name, arguments: args } = request.params;
+  logger.info(`Getting prompt: ${name}`, { args });
+
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    throw new Error('Insufficient scope: prompts require tasks:read');
+  }
+
+  return getPrompt(vikunjaClient, name, args || {});
+}
+
+// Resource URIs, also advertised as templates
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'vikunja://project/{project_id}',
+    name: 'Project tasks',
+    description: 'Tasks of a project',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'vikunja://project/{project_id}/board',
+    name: 'Project board',
+    description: 'Kanban board of a project: tasks grouped by bucket',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'vikunja://task/{task_id}',
+    name: 'Task',
+    description: 'A task with its labels, assignees, relations and reminders',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'vikunja://task/{task_id}/attachment/{attachment_id}',
+    name: 'Task attachment',
+    description: 'File attached to a task (blob)',
+  },
+  {
+    uriTemplate: 'vikunja://label/{label_id}',
+    name: 'Label',
+    description: 'A label',
+    mimeType: 'application/json',
+  },
+  {
+    uriTemplate: 'vikunja://filter/{filter_id}',
+    name: 'Saved filter',
+    description: 'Tasks matching a saved filter',
+    mimeType: 'application/json',
+  },
+];
+
+// vikunja://<kind>/<id>[/board] for the JSON resources
+const RESOURCE_URI_PATTERN = /^vikunja:\/\/(project|task|label|filter)\/(\d+)(\/board)?$/;
+
+// Vikunja lists saved filters as pseudo projects with IDs below -1
+const isSavedFilterProject = (project) => project.id < -1;
+const savedFilterId = (project) => -project.id - 1;
+
+// List resources (projects, their kanban boards and saved filters)
+async function handleListResources(request, extra) {
+  logger.debug('Listing resources');
+
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    return { resources: [] };
+  }
 
   try {
     const projects = await vikunjaClient.listProjects();
     return {
-      resources: projects.map((project) => ({
-        uri: `vikunja://project/${project.id}`,
-        name: project.title,
-        description: project.description || `Project: ${project.title}`,
-        mimeType: 'application/json',
-      })),
+      resources: projects.flatMap((project) => {
+        if (isSavedFilterProject(project)) {
+          return [{
+            uri: `vikunja://filter/${savedFilterId(project)}`,
+            name: project.title,
+            description: project.description || `Saved filter: ${project.title}`,
+            mimeType: 'application/json',
+          }];
+        }
+        if (project.id < 0) {
+          return [];
+        }
+        return [
+          {
+            uri: `vikunja://project/${project.id}`,
+            name: project.title,
+            description: project.description || `Project: ${project.title}`,
+            mimeType: 'application/json',
+          },
+          {
+            uri: `vikunja://project/${project.id}/board`,
+            name: `${project.title} (board)`,
+            description: `Kanban board of ${project.title}: tasks grouped by bucket`,
+            mimeType: 'application/json',
+          },
+        ];
+      }),
     };
   } catch (error) {
     logger.error('Failed to list resources', { error: error.message });
     return { resources: [] };
   }
-});
+}
+
+async function handleListResourceTemplates(request, extra) {
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    return { resourceTemplates: [] };
+  }
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
 
-// Read resource (project details with tasks)
-server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+// Read resource (project tasks, board, task, label, saved filter or attachment)
+async function handleReadResource(request, extra) {
   const { uri } = request.params;
   logger.info(`Reading resource: ${uri}`);
 
-  const match = uri.match(/^vikunja:\/\/project\/(\d+)$/);
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    throw new Error('Insufficient scope: reading resources requires tasks:read');
+  }
+
+  return readResource(uri);
+}
+
+/**
+ * Read a resource by URI (scope checks are up to the caller)
+ */
+async function readResource(uri) {
+  const attachment = parseAttachmentUri(uri);
+  if (attachment) {
+    const { data, mimeType } = await downloadAttachment(
+      vikunjaClient, attachment.taskId, attachment.attachmentId, attachmentLimits
+    );
+    return {
+      contents: [{ uri, mimeType, blob: data.toString('base64') }],
+    };
+  }
+
+  const match = uri.match(RESOURCE_URI_PATTERN);
   if (!match) {
     throw new Error(`Invalid resource URI: ${uri}`);
   }
 
-  const projectId = parseInt(match[1], 10);
-  const tasks = await vikunjaClient.listTasks(projectId);
+  const [, kind, rawId, board] = match;
+  const id = parseInt(rawId, 10);
+  let data;
+
+  if (kind === 'project') {
+    data = board ? await vikunjaClient.getBoard(id) : await vikunjaClient.listTasks(id);
+  } else if (board) {
+    throw new Error(`Invalid resource URI: ${uri}`);
+  } else if (kind === 'task') {
+    data = await vikunjaClient.getTask(id);
+  } else if (kind === 'label') {
+    data = await vikunjaClient.getLabel(id);
+  } else {
+    const result = await vikunjaClient.querySavedFilter(id);
+    data = { filter: result.filter, ...withPageHint(result) };
+  }
 
   return {
     contents: [
       {
         uri,
         mimeType: 'application/json',
-        text: JSON.stringify(tasks, null, 2),
+        text: JSON.stringify(data, null, 2),
       },
     ],
   };
-});
+}
+
+async function handleSubscribe(server, request, extra) {
+  const { uri } = request.params;
+
+  if (!hasScope(grantedScopes(extra), 'tasks:read')) {
+    throw new Error('Insufficient scope: subscribing to resources requires tasks:read');
+  }
+  if (!RESOURCE_URI_PATTERN.test(uri)) {
+    throw new Error(`Cannot subscribe to ${uri}: only project, board, task, label and filter resources`);
+  }
+
+  await resourceWatcher.subscribe(server, uri);
+  logger.info(`Subscribed to resource: ${uri}`);
+  return {};
+}
+
+async function handleUnsubscribe(server, request) {
+  resourceWatcher.unsubscribe(server, request.params.uri);
+  return {};
+}
+
+/**
+ * Create an MCP server with all handlers registered.
+ * The HTTP transport needs one server instance per session.
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: 'vikunja-mcp',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+        prompts: {},
+        resources: { subscribe: true },
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(SubscribeRequestSchema, (request, extra) => handleSubscribe(server, request, extra));
+  server.setRequestHandler(UnsubscribeRequestSchema, (request) => handleUnsubscribe(server, request));
+  server.onclose = () => resourceWatcher.removeServer(server);
+
+  return server;
+}
 
 // =============================================================================
 // Server Startup
@@ -329,12 +2537,84 @@ async function main() {
     logger.warn('VIKUNJA_API_TOKEN not set - some operations may fail');
   }
 
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
+  const transport = resolveTransport();
+
+  if (transport === 'http') {
+    await startHttpServer({
+      createServer,
+      vikunjaClient,
+      port: parseInt(process.env.MCP_SERVER_PORT || '3100', 10),
+      host: process.env.MCP_SERVER_HOST || '127.0.0.1',
+      webhooks: createWebhooks(),
+      sessionIdleMs: parseInt(process.env.MCP_SESSION_IDLE_MS || String(DEFAULT_SESSION_IDLE_MS), 10),
+    });
+    return;
+  }
+
+  if (transport !== 'stdio') {
+    throw new Error(`Unknown transport: ${transport} (expected stdio or http)`);
+  }
+
+  await createServer().connect(new StdioServerTransport());
 
   logger.info('Vikunja MCP Server running on stdio');
 }
 
+/**
+ * Sync webhook endpoints, if any source has a webhook secret configured
+ */
+function createWebhooks() {
+  const secrets = webhookSecretsFromEnv();
+  if (Object.keys(secrets).length === 0) {
+    return null;
+  }
+
+  const queue = new SyncQueue({
+    runSync: (sources) => runLockedSync(sources, { logger }),
+    debounceMs: parseInt(process.env.SYNC_WEBHOOK_DEBOUNCE_MS || '5000', 10),
+    maxDelayMs: parseInt(process.env.SYNC_WEBHOOK_MAX_DELAY_MS || '60000', 10),
+    logger,
+  });
+
+  const lookup = {
+    sourcesByTag: new Map(createConnectors().map((connector) => [connector.tag, connector.name])),
+    sourceForTask: (taskId) => {
+      const state = new SyncStateStore();
+      const sources = Object.keys(state.data.sources);
+      return sources.find((source) => state.findByTaskId(source, taskId)) || null;
+    },
+  };
+
+  // Vikunja changes may touch subscribed resources; check them right away
+  const onEvent = (source) => {
+    if (source === 'vikunja') {
+      resourceWatcher.poke();
+    }
+  };
+
+  logger.info(`Sync webhooks enabled for: ${Object.keys(secrets).join(', ')}`);
+  return { router: createWebhookRouter({ secrets, queue, lookup, onEvent, logger }), queue };
+}
+
+/**
+ * Pick the transport from --transport <name>, --http, or MCP_TRANSPORT
+ */
+function resolveTransport() {
+  const argv = process.argv.slice(2);
+
+  if (argv.includes('--http')) {
+    return 'http';
+  }
+
+  const flagIndex = argv.findIndex((arg) => arg === '--transport' || arg.startsWith('--transport='));
+  if (flagIndex !== -1) {
+    const flag = argv[flagIndex];
+    return flag.includes('=') ? flag.split('=')[1] : argv[flagIndex + 1];
+  }
+
+  return process.env.MCP_TRANSPORT || 'stdio';
+}
+
 main().catch((error) => {
   logger.error('Failed to start server', { error: error.message });
   process.exit(1);
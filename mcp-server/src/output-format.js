@@ -0,0 +1,425 @@
+/**
+ * Tool Output Formats
+ *
+ * How list and search tools render their results (`format` argument):
+ * - compact   - default; one flat object per line with the fields that
+ *               matter: users as usernames, labels as titles, unset dates,
+ *               empty values and timestamps left out
+ * - full      - the payload as Vikunja returns it
+ * - markdown  - tasks as a checklist, other items as a table
+ *
+ * `fields` picks the fields of each item. Fields the compact form leaves out
+ * (e.g. description) can still be picked; they are taken from the payload.
+ *
+ * Results over MCP_MAX_RESULT_CHARS characters (default 40000, about 10k
+ * tokens) are cut at an item boundary, with a notice saying what was left
+ * out.
+ *
+ * @license AGPL-3.0
+ */
+
+export const OUTPUT_FORMATS = ['compact', 'full', 'markdown'];
+
+export const DEFAULT_MAX_RESULT_CHARS = 40000;
+
+// Vikunja reports unset dates as the zero time
+const ZERO_DATE_PREFIX = '0001-01-01';
+
+// Left out of compact items: bookkeeping nobody reads in a listing
+const NOISE_FIELDS = new Set(['created', 'updated', 'position', 'kanban_position']);
+
+// Task summary fields holding related tasks (see listDependencies)
+const RELATED_TASK_FIELDS = ['blocked_by', 'blocks'];
+
+/**
+ * Output options from tool arguments and the environment
+ */
+export function outputOptions(args = {}, defaultFormat = 'compact', env = process.env) {
+  const format = args.format || defaultFormat;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (expected ${OUTPUT_FORMATS.join(', ')})`);
+  }
+  return {
+    format,
+    fields: args.fields?.length ? args.fields : null,
+    maxChars: parseInt(env.MCP_MAX_RESULT_CHARS || String(DEFAULT_MAX_RESULT_CHARS), 10),
+  };
+}
+
+/**
+ * Render a tool result as text in the requested format
+ *
+ * @param {*} result  An array of items, `{ tasks, ...meta }` or a board
+ * @param {{ format: string, fields: string[]|null, maxChars: number }} options
+ */
+export function formatResult(result, { format = 'compact', fields = null, maxChars = DEFAULT_MAX_RESULT_CHARS } = {}) {
+  if (isBoard(result)) {
+    return formatBoard(result, { format, fields, maxChars });
+  }
+
+  const { items, meta, key } = splitItems(result);
+  if (!items) {
+    return JSON.stringify(result, null, 2);
+  }
+
+  const shaped = items.map((item) => shapeItem(item, format, fields));
+  const render = (count) => {
+    const notice = count < shaped.length ? truncationNotice(count, shaped.length, maxChars) : null;
+    return format === 'markdown'
+      ? renderMarkdown(shaped.slice(0, count), meta, notice, { checklist: !fields })
+      : renderJson(shaped.slice(0, count), meta, key, notice, format);
+  };
+
+  return fitToBudget(render, shaped.length, maxChars);
+}
+
+/**
+ * Compact form of a Vikunja entity (task, project, user, comment);
+ * anything else is pruned of empty values and timestamps
+ */
+export function compactItem(item) {
+  if (!isObject(item)) {
+    return item;
+  }
+  if (isTask(item)) {
+    return compactTask(item);
+  }
+  if ('parent_project_id' in item) {
+    return prune({
+      id: item.id,
+      title: item.title,
+      identifier: item.identifier,
+      parent_project_id: item.parent_project_id || undefined,
+      is_archived: item.is_archived,
+      is_favorite: item.is_favorite,
+      description: stripHtml(item.description || ''),
+    });
+  }
+  if ('username' in item) {
+    return prune({ id: item.id, username: item.username, name: item.name });
+  }
+  if ('comment' in item && 'author' in item) {
+    return prune({
+      id: item.id,
+      author: item.author?.username,
+      created: dateOrUndefined(item.created),
+      comment: stripHtml(item.comment || ''),
+    });
+  }
+  return pruneObject(item);
+}
+
+function compactTask(task) {
+  const compact = {
+    id: task.id,
+    identifier: task.identifier && task.identifier !== `#${task.index}` ? task.identifier : undefined,
+    title: task.title,
+    done: task.done || undefined,
+    done_at: task.done ? dateOrUndefined(task.done_at) : undefined,
+    project_id: task.project_id,
+    due_date: dateOrUndefined(task.due_date),
+    start_date: dateOrUndefined(task.start_date),
+    end_date: dateOrUndefined(task.end_date),
+    priority: task.priority || undefined,
+    percent_done: task.percent_done ? Math.round(task.percent_done * 100) : undefined,
+    labels: mapNames(task.labels, 'title'),
+    assignees: mapNames(task.assignees, 'username'),
+  };
+  for (const field of RELATED_TASK_FIELDS) {
+    if (Array.isArray(task[field])) {
+      compact[field] = task[field].map(compactTask);
+    }
+  }
+  return prune(compact);
+}
+
+/**
+ * Item in the requested format, limited to `fields` if given
+ */
+function shapeItem(item, format, fields) {
+  if (format === 'full') {
+    return fields && isObject(item) ? pick(item, fields, (value) => value) : item;
+  }
+
+  const compact = compactItem(item);
+  if (!fields || !isObject(item)) {
+    return compact;
+  }
+  return pick(item, fields, (value, field) => (field in compact ? compact[field] : compactValue(value)));
+}
+
+function pick(item, fields, value) {
+  const picked = {};
+  for (const field of fields) {
+    if (field in item) {
+      picked[field] = value(item[field], field);
+    }
+  }
+  return picked;
+}
+
+/**
+ * Items of a result and what surrounds them: arrays are all items,
+ * objects carry their items in `tasks`
+ */
+function splitItems(result) {
+  if (Array.isArray(result)) {
+    return { items: result, meta: {}, key: null };
+  }
+  if (isObject(result) && Array.isArray(result.tasks)) {
+    const { tasks, ...meta } = result;
+    return { items: tasks, meta, key: 'tasks' };
+  }
+  return { items: null };
+}
+
+function isBoard(result) {
+  return isObject(result) && Array.isArray(result.buckets) && isObject(result.view);
+}
+
+/**
+ * A kanban board: buckets stay whole, their task lists are cut evenly
+ */
+function formatBoard(board, { format, fields, maxChars }) {
+  const buckets = board.buckets.map((bucket) => ({
+    ...bucket,
+    tasks: bucket.tasks.map((task) => shapeItem(task, format, fields)),
+  }));
+  const largest = Math.max(0, ...buckets.map((bucket) => bucket.tasks.length));
+
+  const render = (perBucket) => {
+    const shown = buckets.map((bucket) => ({ ...bucket, tasks: bucket.tasks.slice(0, perBucket) }));
+    const notice = perBucket < largest
+      ? `Showing at most ${perBucket} tasks per bucket to stay within ${maxChars} characters. ` +
+        'Use fields, or vikunja_list_tasks with a filter, to see the rest.'
+      : null;
+
+    if (format !== 'markdown') {
+      return toJson({ ...board, buckets: shown, truncated: notice ?? undefined }, format);
+    }
+
+    const lines = [`# ${board.view.title} (project ${board.project_id})`];
+    for (const bucket of shown) {
+      const limit = bucket.limit ? `/${bucket.limit}` : '';
+      lines.push('', `## ${bucket.title} (${bucket.count}${limit})`, '');
+      lines.push(fields ? markdownTable(bucket.tasks) : markdownChecklist(bucket.tasks));
+    }
+    if (notice) {
+      lines.push('', `_${notice}_`);
+    }
+    return lines.join('\n');
+  };
+
+  return fitToBudget(render, largest, maxChars);
+}
+
+/**
+ * Render with as many items as fit in the budget (at least one)
+ */
+function fitToBudget(render, total, maxChars) {
+  let text = render(total);
+  if (text.length <= maxChars || total <= 1) {
+    return text;
+  }
+
+  // Estimate from the average item size, then step down until it fits
+  let count = Math.max(1, Math.min(total - 1, Math.floor((total * maxChars) / text.length)));
+  text = render(count);
+  while (text.length > maxChars && count > 1) {
+    count = Math.max(1, Math.floor(count * 0.9));
+    text = render(count);
+  }
+  return text;
+}
+
+function truncationNotice(shown, total, maxChars) {
+  return `Showing ${shown} of ${total} items to stay within ${maxChars} characters. ` +
+    'Narrow the query, pick fewer fields or use a smaller per_page to see the rest.';
+}
+
+function renderJson(items, meta, key, notice, format) {
+  if (!key) {
+    return toJson(notice ? { items, truncated: notice } : items, format);
+  }
+  return toJson({ ...meta, [key]: items, truncated: notice ?? undefined }, format);
+}
+
+/**
+ * JSON text: indented for full, one item per line otherwise
+ */
+function toJson(value, format) {
+  return format === 'full' ? JSON.stringify(value, null, 2) : lineJson(value);
+}
+
+function lineJson(value) {
+  const nested = (entry) => (hasItemList(entry) || (Array.isArray(entry) && entry.some(isObject)) ? lineJson(entry) : JSON.stringify(entry));
+
+  if (Array.isArray(value)) {
+    return value.length === 0 ? '[]' : `[\n${value.map(nested).join(',\n')}\n]`;
+  }
+  if (isObject(value)) {
+    const entries = Object.entries(value).filter(([, entry]) => entry !== undefined);
+    return `{\n${entries.map(([key, entry]) => `${JSON.stringify(key)}: ${nested(entry)}`).join(',\n')}\n}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Objects holding a list of items are spread over lines, others stay on one
+function hasItemList(value) {
+  return isObject(value) && Object.values(value).some((entry) => Array.isArray(entry) && entry.some(isObject));
+}
+
+function renderMarkdown(items, meta, notice, { checklist }) {
+  const lines = [];
+  for (const [key, value] of Object.entries(meta)) {
+    if (key === 'pagination') {
+      const { page, total_pages: totalPages } = value;
+      lines.push(`Page ${page} of ${totalPages}`);
+    } else if (key !== 'hint' && value !== undefined && value !== null) {
+      lines.push(`${key}: ${isObject(value) ? JSON.stringify(value) : value}`);
+    }
+  }
+  if (lines.length > 0) {
+    lines.push('');
+  }
+
+  lines.push(checklist && items.length > 0 && items.every(isTaskLike)
+    ? markdownChecklist(items)
+    : markdownTable(items));
+
+  if (meta.hint) {
+    lines.push('', meta.hint);
+  }
+  if (notice) {
+    lines.push('', `_${notice}_`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Tasks as "- [ ] Title (#12, due 2026-10-20, priority 3, ...)"
+ */
+function markdownChecklist(tasks) {
+  if (tasks.length === 0) {
+    return '_No tasks._';
+  }
+
+  return tasks.map((task) => {
+    const details = [
+      task.identifier || `#${task.id}`,
+      task.due_date && `due ${task.due_date.slice(0, 10)}`,
+      task.priority && `priority ${task.priority}`,
+      task.percent_done && `${task.percent_done}%`,
+      task.labels?.length && `labels: ${task.labels.join(', ')}`,
+      task.assignees?.length && `assigned: ${task.assignees.join(', ')}`,
+      task.blocked_by?.length && `blocked by ${task.blocked_by.map((other) => `#${other.id}`).join(', ')}`,
+      task.blocks?.length && `blocks ${task.blocks.map((other) => `#${other.id}`).join(', ')}`,
+    ].filter(Boolean);
+    return `- [${task.done ? 'x' : ' '}] ${escapeMarkdown(task.title)} (${details.join(', ')})`;
+  }).join('\n');
+}
+
+/**
+ * Items as a table with a column for every field any of them has
+ */
+function markdownTable(items) {
+  if (items.length === 0) {
+    return '_No results._';
+  }
+  if (!items.every(isObject)) {
+    return items.map((item) => `- ${markdownCell(item)}`).join('\n');
+  }
+
+  const columns = [...new Set(items.flatMap((item) => Object.keys(item)))];
+  return [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...items.map((item) => `| ${columns.map((column) => markdownCell(item[column])).join(' | ')} |`),
+  ].join('\n');
+}
+
+function markdownCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  let text;
+  if (Array.isArray(value)) {
+    text = value.map((entry) => (isObject(entry) ? entry.title ?? entry.id ?? JSON.stringify(entry) : entry)).join(', ');
+  } else {
+    text = isObject(value) ? JSON.stringify(value) : String(value);
+  }
+  return escapeMarkdown(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]])/g, '\\$1');
+}
+
+/**
+ * A nested value in compact form: users become usernames, labels titles
+ */
+function compactValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(compactValue);
+  }
+  if (!isObject(value)) {
+    return typeof value === 'string' ? dateOrUndefined(value) ?? null : value;
+  }
+  if ('username' in value) {
+    return value.username;
+  }
+  if (isTask(value)) {
+    return compactTask(value);
+  }
+  if ('title' in value && 'hex_color' in value && !('parent_project_id' in value)) {
+    return value.title;
+  }
+  return pruneObject(value);
+}
+
+function pruneObject(object) {
+  const pruned = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (!NOISE_FIELDS.has(key)) {
+      pruned[key] = compactValue(value);
+    }
+  }
+  return prune(pruned);
+}
+
+/**
+ * Drop undefined, null, false, empty strings and empty arrays
+ */
+function prune(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => (
+      value !== undefined && value !== null && value !== false && value !== '' &&
+      !(Array.isArray(value) && value.length === 0)
+    ))
+  );
+}
+
+function mapNames(list, key) {
+  return Array.isArray(list) && list.length > 0 ? list.map((entry) => entry[key]) : undefined;
+}
+
+function isTask(value) {
+  return 'title' in value && 'project_id' in value && 'done' in value;
+}
+
+// Compact tasks may have lost `done`, but always keep id, title and project
+function isTaskLike(item) {
+  return isObject(item) && 'title' in item && 'project_id' in item && !('view_kind' in item);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function dateOrUndefined(value) {
+  return typeof value === 'string' && value.startsWith(ZERO_DATE_PREFIX) ? undefined : value;
+}
+
+function stripHtml(html) {
+  return html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,430 @@
+/**
+ * Workflow Prompts
+ *
+ * Standard task workflows offered as MCP prompts, so every client gets them
+ * without setting up skills locally. Each prompt fetches its data when it
+ * is requested and embeds it in the message:
+ * - daily_plan          - overdue, due today and high priority open tasks
+ * - weekly_review       - tasks done in the last days, overdue and due soon
+ * - triage_inbox        - open tasks of the inbox project, with what each lacks
+ * - overdue_by_project  - overdue tasks grouped by project
+ *
+ * Date windows are Vikunja filter date math (now/d, now+1d/d) evaluated in
+ * the user's timezone. Each list is capped at PROMPT_MAX_TASKS tasks; the
+ * message says when a list was cut.
+ *
+ * @license AGPL-3.0
+ */
+
+export const PROMPT_MAX_TASKS = 50;
+
+// Vikunja reports unset dates as the zero time
+const ZERO_DATE_PREFIX = '0001-01-01';
+
+const DESCRIPTION_SNIPPET_LENGTH = 200;
+
+export const PROMPTS = [
+  {
+    name: 'daily_plan',
+    description: 'Plan the day from overdue tasks, tasks due today and high priority tasks',
+    arguments: [
+      { name: 'project', description: 'Limit to one project (ID or title)', required: false },
+      { name: 'available_hours', description: 'Hours available for task work today', required: false },
+    ],
+  },
+  {
+    name: 'weekly_review',
+    description: 'Review what was done in the last days and what is overdue or due next',
+    arguments: [
+      { name: 'project', description: 'Limit to one project (ID or title)', required: false },
+      { name: 'days', description: 'Days to look back and ahead (default 7)', required: false },
+    ],
+  },
+  {
+    name: 'triage_inbox',
+    description: 'Triage the open tasks of an inbox project: schedule, prioritize, label or move them',
+    arguments: [
+      {
+        name: 'project',
+        description: 'Inbox project (ID or title); defaults to your default project, then a project named "Inbox"',
+        required: false,
+      },
+    ],
+  },
+  {
+    name: 'overdue_by_project',
+    description: 'Summarize overdue tasks grouped by project',
+    arguments: [
+      { name: 'min_priority', description: 'Only tasks with at least this priority (1-5)', required: false },
+    ],
+  },
+];
+
+const BUILDERS = {
+  daily_plan: dailyPlan,
+  weekly_review: weeklyReview,
+  triage_inbox: triageInbox,
+  overdue_by_project: overdueByProject,
+};
+
+/**
+ * Build a prompt (the prompts/get result) with its data fetched
+ *
+ * @param {import('./vikunja-client.js').VikunjaClient} client
+ * @param {string} name
+ * @param {Record<string, string>} [args] Prompt arguments (always strings)
+ */
+export async function getPrompt(client, name, args = {}) {
+  const build = BUILDERS[name];
+  if (!build) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+
+  const [user, projects] = await Promise.all([client.getCurrentUser(), client.listProjects()]);
+  const context = {
+    client,
+    user,
+    projects: projects.filter((project) => project.id > 0),
+    timezone: user.settings?.timezone || process.env.TZ || 'UTC',
+  };
+  context.projectTitles = new Map(context.projects.map((project) => [project.id, project.title]));
+
+  const { description, text } = await build(args, context);
+  return {
+    description,
+    messages: [{ role: 'user', content: { type: 'text', text } }],
+  };
+}
+
+async function dailyPlan(args, context) {
+  const project = resolveProject(args.project, context);
+  const hours = optionalNumber(args.available_hours, 'available_hours');
+  const scope = { projectId: project?.id ?? null, done: false, sortBy: ['due_date', 'priority'], orderBy: ['asc', 'desc'] };
+
+  const overdue = await fetchTasks(context, { ...scope, filter: 'due_date < now/d' });
+  const dueToday = await fetchTasks(context, { ...scope, filter: 'due_date >= now/d && due_date < now+1d/d' });
+  const highPriority = await fetchTasks(context, {
+    ...scope,
+    filter: 'priority >= 4',
+    sortBy: ['priority', 'due_date'],
+    orderBy: ['desc', 'asc'],
+  });
+
+  const planned = new Set([...overdue.tasks, ...dueToday.tasks].map((task) => task.id));
+  const data = {
+    today: today(context.timezone),
+    project: project?.title,
+    available_hours: hours ?? undefined,
+    overdue: section(overdue, context),
+    due_today: section(dueToday, context),
+    high_priority: section({ ...highPriority, tasks: highPriority.tasks.filter((task) => !planned.has(task.id)) }, context),
+  };
+
+  return {
+    description: `Daily plan${project ? ` for ${project.title}` : ''}`,
+    text: message(
+      [
+        `Help me plan my day (${data.today}, ${context.timezone}).`,
+        'Below are my open Vikunja tasks that are overdue, due today or high priority.',
+        '',
+        '1. Pick what to work on today and put it in a sensible order.',
+        hours
+          ? `2. Fit the plan into ${hours} hours; say what does not fit.`
+          : '2. Keep the plan realistic for one day; say what should wait.',
+        '3. Suggest new due dates for overdue tasks that will not be done today.',
+        '4. Point out tasks that look stale, blocked or unclear.',
+        '',
+        'Propose changes first. Apply them with the vikunja_* tools only after I confirm.',
+      ],
+      data
+    ),
+  };
+}
+
+async function weeklyReview(args, context) {
+  const project = resolveProject(args.project, context);
+  const days = optionalNumber(args.days, 'days', { integer: true, max: 365 }) ?? 7;
+  const scope = { projectId: project?.id ?? null };
+
+  const completed = await fetchTasks(context, {
+    ...scope,
+    done: true,
+    filter: `done_at >= now-${days}d`,
+    sortBy: ['done_at'],
+    orderBy: ['desc'],
+  });
+  const overdue = await fetchTasks(context, {
+    ...scope,
+    done: false,
+    filter: 'due_date < now/d',
+    sortBy: ['due_date'],
+    orderBy: ['asc'],
+  });
+  const upcoming = await fetchTasks(context, {
+    ...scope,
+    done: false,
+    filter: `due_date >= now/d && due_date < now+${days + 1}d/d`,
+    sortBy: ['due_date', 'priority'],
+    orderBy: ['asc', 'desc'],
+  });
+
+  const data = {
+    today: today(context.timezone),
+    project: project?.title,
+    days,
+    completed: section(completed, context),
+    overdue: section(overdue, context),
+    due_next: section(upcoming, context),
+  };
+
+  return {
+    description: `Weekly review of the last ${days} days${project ? ` in ${project.title}` : ''}`,
+    text: message(
+      [
+        `Run a weekly review with me (${data.today}, ${context.timezone}).`,
+        `Below are the Vikunja tasks I completed in the last ${days} days, my overdue tasks`,
+        `and the tasks due in the next ${days} days.`,
+        '',
+        '1. Summarize what got done, grouped by project.',
+        '2. For each overdue task, suggest: do it, reschedule it (with a date) or drop it.',
+        '3. Check whether the coming days are overloaded and what could move.',
+        '4. Name up to three priorities for the coming week.',
+        '',
+        'Propose changes first. Apply them with the vikunja_* tools only after I confirm.',
+      ],
+      data
+    ),
+  };
+}
+
+async function triageInbox(args, context) {
+  const project = resolveProject(args.project, context) || defaultInbox(context);
+  const [open, labels] = await Promise.all([
+    fetchTasks(context, { projectId: project.id, done: false, sortBy: ['id'], orderBy: ['asc'] }),
+    context.client.listLabels(),
+  ]);
+
+  const data = {
+    today: today(context.timezone),
+    inbox: { id: project.id, title: project.title },
+    tasks: section(open, context, { details: true }),
+    projects: context.projects
+      .filter((candidate) => candidate.id !== project.id && !candidate.is_archived)
+      .map((candidate) => ({ id: candidate.id, title: candidate.title })),
+    labels: labels.map((label) => label.title),
+  };
+
+  return {
+    description: `Triage of ${project.title}`,
+    text: message(
+      [
+        `Help me triage my inbox project "${project.title}" (${data.today}, ${context.timezone}).`,
+        'Below are its open tasks, with the fields each one is missing, and my projects and labels.',
+        '',
+        'For each task suggest, in one line:',
+        '- the project it belongs in (or keep it in the inbox)',
+        '- a priority (1 low to 5 do now) and a due date if it has a deadline',
+        '- labels from the existing ones, and a clearer title if it is vague',
+        '- or that it should be deleted or marked done',
+        '',
+        'Group the suggestions by target project. Apply them with the vikunja_* tools',
+        '(vikunja_batch_tasks for many tasks) only after I confirm.',
+      ],
+      data
+    ),
+  };
+}
+
+async function overdueByProject(args, context) {
+  const minPriority = optionalNumber(args.min_priority, 'min_priority', { integer: true, max: 5 });
+  const overdue = await fetchTasks(
+    context,
+    {
+      done: false,
+      filter: 'due_date < now',
+      priorityMin: minPriority,
+      sortBy: ['due_date'],
+      orderBy: ['asc'],
+    },
+    PROMPT_MAX_TASKS * 2
+  );
+
+  const now = Date.now();
+  const groups = new Map();
+  for (const task of overdue.tasks) {
+    const title = context.projectTitles.get(task.project_id) || `Project ${task.project_id}`;
+    if (!groups.has(title)) {
+      groups.set(title, []);
+    }
+    groups.get(title).push({
+      ...summarizeTask(task, context),
+      project: undefined,
+      days_overdue: Math.floor((now - new Date(task.due_date).getTime()) / 86400000),
+    });
+  }
+
+  const data = {
+    today: today(context.timezone),
+    min_priority: minPriority ?? undefined,
+    total: overdue.tasks.length,
+    truncated: overdue.truncated ? truncationNote(overdue.tasks.length) : undefined,
+    projects: [...groups]
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(([project, tasks]) => ({ project, count: tasks.length, tasks })),
+  };
+
+  return {
+    description: 'Overdue tasks by project',
+    text: message(
+      [
+        `Summarize my overdue Vikunja tasks by project (${data.today}, ${context.timezone}).`,
+        '',
+        '1. For each project: how many tasks are overdue, how long, and the most important ones.',
+        '2. Point out projects that look abandoned or overcommitted.',
+        '3. Suggest a catch-up order and which tasks to reschedule or drop.',
+        '',
+        'Propose changes first. Apply them with the vikunja_* tools only after I confirm.',
+      ],
+      data
+    ),
+  };
+}
+
+/**
+ * Fetch up to `limit` tasks of a query
+ *
+ * @returns {Promise<{ tasks: object[], truncated: boolean }>}
+ */
+async function fetchTasks(context, options, limit = PROMPT_MAX_TASKS) {
+  const tasks = [];
+  let page = 1;
+
+  for (;;) {
+    const result = await context.client.queryTasks({ perPage: 50, ...options, page, timezone: context.timezone });
+    tasks.push(...result.tasks);
+
+    if (tasks.length >= limit) {
+      return { tasks: tasks.slice(0, limit), truncated: tasks.length > limit || result.pagination.has_more };
+    }
+    if (!result.pagination.has_more) {
+      return { tasks, truncated: false };
+    }
+    page = result.pagination.next_page;
+  }
+}
+
+/**
+ * Task list for the prompt data, with a note if it was cut
+ */
+function section({ tasks, truncated }, context, { details = false } = {}) {
+  const summaries = tasks.map((task) => summarizeTask(task, context, { details }));
+  return truncated ? { tasks: summaries, truncated: truncationNote(tasks.length) } : summaries;
+}
+
+/**
+ * The fields of a task worth showing to the model; unset ones are left out
+ */
+function summarizeTask(task, context, { details = false } = {}) {
+  const summary = {
+    id: task.id,
+    title: task.title,
+    project: context.projectTitles.get(task.project_id),
+    due_date: dateOrUndefined(task.due_date),
+    priority: task.priority || undefined,
+    labels: task.labels?.length ? task.labels.map((label) => label.title) : undefined,
+    assignees: task.assignees?.length ? task.assignees.map((user) => user.username) : undefined,
+    done_at: task.done ? dateOrUndefined(task.done_at) : undefined,
+    percent_done: task.percent_done ? Math.round(task.percent_done * 100) : undefined,
+  };
+
+  if (details) {
+    const description = stripHtml(task.description || '');
+    summary.description = description.length > DESCRIPTION_SNIPPET_LENGTH
+      ? `${description.slice(0, DESCRIPTION_SNIPPET_LENGTH)}...`
+      : description || undefined;
+    summary.created = dateOrUndefined(task.created);
+    const missing = [
+      !summary.due_date && 'due_date',
+      !summary.priority && 'priority',
+      !summary.labels && 'labels',
+    ].filter(Boolean);
+    summary.missing = missing.length ? missing : undefined;
+  }
+
+  return summary;
+}
+
+/**
+ * Prompt text: instructions followed by the data as JSON
+ */
+function message(lines, data) {
+  return `${lines.join('\n')}\n\nData:\n\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+}
+
+function truncationNote(count) {
+  return `Only the first ${count} tasks are shown; use the vikunja_* listing tools for the rest.`;
+}
+
+/**
+ * Project from a prompt argument (ID or title), or null if not given
+ */
+function resolveProject(value, context) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+
+  const wanted = String(value).trim();
+  const project = /^\d+$/.test(wanted)
+    ? context.projects.find((candidate) => candidate.id === Number(wanted))
+    : context.projects.find((candidate) => candidate.title.toLowerCase() === wanted.toLowerCase());
+  if (!project) {
+    throw new Error(`Project not found: ${wanted}`);
+  }
+  return project;
+}
+
+/**
+ * The user's default project, else a project named "Inbox"
+ */
+function defaultInbox(context) {
+  const defaultId = context.user.settings?.default_project_id;
+  const project = (defaultId && context.projects.find((candidate) => candidate.id === defaultId)) ||
+    context.projects.find((candidate) => candidate.title.toLowerCase() === 'inbox');
+  if (!project) {
+    throw new Error('No inbox project: pass project, or set a default project in Vikunja');
+  }
+  return project;
+}
+
+/**
+ * Positive number from a prompt argument, or null if not given
+ */
+function optionalNumber(value, name, { integer = false, max = Infinity } = {}) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0 || number > max || (integer && !Number.isInteger(number))) {
+    const expected = integer ? 'whole number' : 'number';
+    throw new Error(`Invalid ${name}: ${value} is not a positive ${expected}${max < Infinity ? ` up to ${max}` : ''}`);
+  }
+  return number;
+}
+
+/**
+ * Today's date (YYYY-MM-DD, weekday) in the given timezone
+ */
+function today(timezone) {
+  const now = new Date();
+  const date = new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+  const weekday = new Intl.DateTimeFormat('en-US', { timeZone: timezone, weekday: 'long' }).format(now);
+  return `${date}, ${weekday}`;
+}
+
+function dateOrUndefined(value) {
+  return value && !String(value).startsWith(ZERO_DATE_PREFIX) ? value : undefined;
+}
+
+function stripHtml(html) {
+  return html.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,406 @@
+/**
+ * Quick Add Parsing
+ *
+ * Parses a single line in the style of Vikunja's "quick add magic" into
+ * task fields:
+ *
+ *   Call Dana *work *"follow up" +Sales !4 tomorrow at 5pm remind 1h before
+ *
+ * - *label, *"two words"     - labels
+ * - +project, +"two words"   - project (by title)
+ * - !1 .. !5                 - priority
+ * - @username                - assignee
+ * - dates                    - today, tomorrow, day after tomorrow, monday,
+ *                              next friday, weekend, next week/month/year,
+ *                              in 3 days, in 2 hours, jan 15, 15th march 2027,
+ *                              2026-01-15; optionally with a time ("at 5pm",
+ *                              "17:30", "noon")
+ * - every day/week/month, every 2 weeks, every monday, daily, weekly, ...
+ * - remind <date>, remind 1d before
+ *
+ * Dates are read as wall-clock times in the given IANA timezone. The clock
+ * is a parameter, so results are reproducible for a fixed `now`.
+ *
+ * @license AGPL-3.0
+ */
+
+import { parseDuration } from './task-fields.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const MONTHS = [
+  'jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec',
+];
+
+const DAY_SECONDS = 86400;
+
+const REPEAT_UNITS = { day: DAY_SECONDS, week: 7 * DAY_SECONDS, month: 30 * DAY_SECONDS, year: 365 * DAY_SECONDS };
+
+const REPEAT_ADVERBS = { daily: 'day', weekly: 'week', monthly: 'month', yearly: 'year', annually: 'year' };
+
+// Building blocks of date phrases (used case-insensitively)
+const WEEKDAY = `(?:${WEEKDAYS.join('|')})`;
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|' +
+  'sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '\\d{1,2}(?:st|nd|rd|th)?';
+
+const DAY_PHRASE = [
+  'today',
+  'day after tomorrow',
+  'tomorrow',
+  'next (?:week|month|year)',
+  '(?:this )?weekend',
+  'in (?:\\d+|a|an|one) (?:days?|weeks?|months?|years?)',
+  `(?:next |this )?${WEEKDAY}`,
+  '\\d{4}-\\d{2}-\\d{2}',
+  `${MONTH}\\.? ${ORDINAL}(?:,? \\d{4})?`,
+  `${ORDINAL} (?:of )?${MONTH}\\.?(?:,? \\d{4})?`,
+].join('|');
+
+const TIME_PHRASE = '(?:at )?(?:\\d{1,2}(?::\\d{2})? ?(?:am|pm)|\\d{1,2}:\\d{2}|noon|midnight)';
+
+const RELATIVE_TIME_PHRASE = 'in (?:\\d+|a|an|one) (?:minutes?|mins?|hours?|hrs?)';
+
+const DATE_PHRASE =
+  `(?:${RELATIVE_TIME_PHRASE})|(?:${DAY_PHRASE})(?: (?:${TIME_PHRASE}))?|(?:${TIME_PHRASE})(?: (?:on )?(?:${DAY_PHRASE}))?`;
+
+// Keywords swallowed together with a due date ("due friday", "on monday", "by 5pm")
+const DUE_PATTERN = new RegExp(`(?<![\\w*+@!])(?:(?:due|on|by) )?(${DATE_PHRASE})(?![\\w:])`, 'i');
+
+const REMINDER_PATTERN = new RegExp(
+  `(?<![\\w*+@!])remind(?: me)? (?:(\\d+ ?[wdhm](?: ?\\d+ ?[wdhm])*) before|(?:at |on )?(${DATE_PHRASE}))(?![\\w:])`,
+  'i'
+);
+
+const REPEAT_PATTERN = new RegExp(
+  `(?<![\\w*+@!])(?:every (?:(\\d+|other) )?(day|week|month|year)s?|every (${WEEKDAY})|(daily|weekly|monthly|yearly|annually))(?!\\w)`,
+  'i'
+);
+
+const TOKEN_PATTERN = /(?<!\S)([*+@])(?:"([^"]+)"|'([^']+)'|(\S+))|(?<!\S)!([1-5])(?!\S)/g;
+
+/**
+ * Parse a quick-add line into task fields.
+ *
+ * Returns { title, project, labels, assignees, priority, due_date,
+ * reminders, repeat_after, repeat_mode, interpreted }, where `interpreted`
+ * lists each recognized phrase with what it was read as.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {Date} [options.now]          Reference time for relative dates
+ * @param {string} [options.timezone]   IANA timezone the dates are meant in
+ * @param {string} [options.defaultTime] Time for dates given without one
+ */
+export function parseQuickAdd(text, {
+  now = new Date(),
+  timezone = process.env.TZ || 'UTC',
+  defaultTime = '12:00',
+} = {}) {
+  assertTimezone(timezone);
+
+  const result = {
+    title: '',
+    project: null,
+    labels: [],
+    assignees: [],
+    priority: null,
+    due_date: null,
+    reminders: [],
+    repeat_after: null,
+    repeat_mode: null,
+    interpreted: [],
+  };
+  const clock = { now, timezone, defaultTime: parseTime(defaultTime) };
+  let rest = ` ${String(text).replace(/\s+/g, ' ').trim()} `;
+
+  rest = rest.replace(TOKEN_PATTERN, (match, prefix, doubleQuoted, singleQuoted, bare, priority) => {
+    if (priority) {
+      result.priority = Number(priority);
+      result.interpreted.push({ text: match, field: 'priority', value: result.priority });
+      return ' ';
+    }
+
+    const value = doubleQuoted || singleQuoted || bare;
+    if (prefix === '*') {
+      result.labels.push(value);
+      result.interpreted.push({ text: match, field: 'labels', value });
+    } else if (prefix === '+') {
+      result.project = value;
+      result.interpreted.push({ text: match, field: 'project', value });
+    } else {
+      result.assignees.push(value);
+      result.interpreted.push({ text: match, field: 'assignees', value });
+    }
+    return ' ';
+  });
+
+  let weeklyOn = null;
+  rest = replaceFirst(rest, REPEAT_PATTERN, (match, count, unit, weekday, adverb) => {
+    const every = count === 'other' ? 2 : Number(count || 1);
+    const repeatUnit = weekday ? 'week' : (unit || REPEAT_ADVERBS[adverb.toLowerCase()]).toLowerCase();
+
+    if (repeatUnit === 'month' && every === 1) {
+      result.repeat_mode = 'monthly';
+      result.repeat_after = 0;
+    } else {
+      result.repeat_mode = 'default';
+      result.repeat_after = every * REPEAT_UNITS[repeatUnit];
+    }
+    weeklyOn = weekday || null;
+    result.interpreted.push({
+      text: match,
+      field: 'repeat',
+      value: { repeat_after: result.repeat_after, repeat_mode: result.repeat_mode },
+    });
+  });
+
+  let reminder = null;
+  rest = replaceFirst(rest, REMINDER_PATTERN, (match, before, phrase) => {
+    reminder = { text: match, before, phrase };
+  });
+
+  rest = replaceFirst(rest, DUE_PATTERN, (match, phrase) => {
+    result.due_date = toUtcString(resolveDatePhrase(phrase, clock));
+    result.interpreted.push({ text: match, field: 'due_date', value: result.due_date });
+  });
+
+  if (!result.due_date && result.repeat_after !== null) {
+    // Vikunja repeats from the due date, so a repeating task needs one
+    const first = weeklyOn ? resolveDatePhrase(weeklyOn, clock) : resolveDatePhrase('today', clock);
+    result.due_date = toUtcString(first);
+    result.interpreted.push({ text: weeklyOn || '(repeat start)', field: 'due_date', value: result.due_date });
+  }
+
+  if (reminder) {
+    if (reminder.before) {
+      if (!result.due_date) {
+        throw new Error(`"${reminder.text.trim()}" needs a due date to be relative to`);
+      }
+      const value = { relative_to: 'due_date', relative_period: -parseDuration(reminder.before, 'reminder') };
+      result.reminders.push(value);
+      result.interpreted.push({ text: reminder.text, field: 'reminders', value });
+    } else {
+      const value = { reminder: toUtcString(resolveDatePhrase(reminder.phrase, clock)) };
+      result.reminders.push(value);
+      result.interpreted.push({ text: reminder.text, field: 'reminders', value });
+    }
+  }
+
+  result.title = rest.replace(/\s+/g, ' ').replace(/\s+([,.;:!?])/g, '$1').replace(/^[\s,;:-]+|[\s,;:-]+$/g, '');
+  if (!result.title) {
+    throw new Error('Quick add text has no title left after parsing');
+  }
+  for (const item of result.interpreted) {
+    item.text = item.text.trim();
+  }
+  return result;
+}
+
+/**
+ * Resolve a date phrase matched by DATE_PHRASE to a UTC Date
+ */
+function resolveDatePhrase(phrase, { now, timezone, defaultTime }) {
+  const text = phrase.toLowerCase().replace(/\s+/g, ' ').trim();
+  const today = zonedParts(now, timezone);
+
+  const relativeTime = text.match(/^in (\d+|a|an|one) (minute|min|hour|hr)s?$/);
+  if (relativeTime) {
+    const amount = /^\d+$/.test(relativeTime[1]) ? Number(relativeTime[1]) : 1;
+    const unitMs = relativeTime[2].startsWith('h') ? 3600000 : 60000;
+    return new Date(now.getTime() + amount * unitMs);
+  }
+
+  const timeMatch = text.match(new RegExp(`(?:^|\\s)(${TIME_PHRASE})(?:\\s|$)`));
+  const time = timeMatch ? parseTime(timeMatch[1].replace(/^at /, '')) : null;
+  const dayText = (timeMatch ? text.replace(timeMatch[1], ' ') : text).replace(/\bon\b/, ' ').trim();
+
+  let day = dayText ? resolveDay(dayText, today) : today;
+  const at = time || defaultTime;
+
+  // A bare time that has already passed today means tomorrow
+  if (!dayText && time && (time.hour * 60 + time.minute) <= (today.hour * 60 + today.minute)) {
+    day = addDays(today, 1);
+  }
+
+  return zonedTimeToUtc({ ...day, ...at }, timezone);
+}
+
+/**
+ * Resolve the day part of a date phrase to { year, month, day }
+ */
+function resolveDay(text, today) {
+  if (text === 'today') return today;
+  if (text === 'tomorrow') return addDays(today, 1);
+  if (text === 'day after tomorrow') return addDays(today, 2);
+  if (text === 'next week') return addDays(today, 7);
+  if (text === 'next month') return addMonths(today, 1);
+  if (text === 'next year') return addMonths(today, 12);
+
+  if (/^(this )?weekend$/.test(text)) {
+    return addDays(today, (6 - today.weekday + 7) % 7);
+  }
+
+  const relative = text.match(/^in (\d+|a|an|one) (day|week|month|year)s?$/);
+  if (relative) {
+    const amount = /^\d+$/.test(relative[1]) ? Number(relative[1]) : 1;
+    if (relative[2] === 'day') return addDays(today, amount);
+    if (relative[2] === 'week') return addDays(today, 7 * amount);
+    return addMonths(today, relative[2] === 'month' ? amount : 12 * amount);
+  }
+
+  const weekday = text.match(new RegExp(`^(?:(next|this) )?(${WEEKDAY})$`));
+  if (weekday) {
+    // The coming one, never today ("monday" on a Monday is a week ahead)
+    const ahead = (WEEKDAYS.indexOf(weekday[2]) - today.weekday + 7) % 7 || 7;
+    return addDays(today, ahead);
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    return checkedDay(Number(iso[1]), Number(iso[2]), Number(iso[3]), text);
+  }
+
+  const monthFirst = text.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?(?:,? (\d{4}))?$/);
+  const dayFirst = text.match(/^(\d{1,2})(?:st|nd|rd|th)? (?:of )?([a-z]+)\.?(?:,? (\d{4}))?$/);
+  if (monthFirst || dayFirst) {
+    const [monthName, dayOfMonth, year] = monthFirst
+      ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+      : [dayFirst[2], dayFirst[1], dayFirst[3]];
+    const month = MONTHS.indexOf(monthName.slice(0, 3)) + 1;
+
+    if (year) {
+      return checkedDay(Number(year), month, Number(dayOfMonth), text);
+    }
+    // Without a year, the next time that date comes round
+    const thisYear = checkedDay(today.year, month, Number(dayOfMonth), text);
+    return compareDays(thisYear, today) < 0 ? checkedDay(today.year + 1, month, Number(dayOfMonth), text) : thisYear;
+  }
+
+  throw new Error(`Unrecognized date: "${text}"`);
+}
+
+/**
+ * { hour, minute } from "5pm", "5:30 pm", "17:30", "noon" or "midnight"
+ */
+function parseTime(text) {
+  const value = text.toLowerCase().replace(/\s+/g, '');
+  if (value === 'noon') return { hour: 12, minute: 0 };
+  if (value === 'midnight') return { hour: 0, minute: 0 };
+
+  const match = value.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)?$/);
+  if (!match) {
+    throw new Error(`Unrecognized time: "${text}"`);
+  }
+
+  let hour = Number(match[1]);
+  const minute = Number(match[2] || 0);
+  if (match[3] === 'pm' && hour < 12) hour += 12;
+  if (match[3] === 'am' && hour === 12) hour = 0;
+
+  if (hour > 23 || minute > 59 || (match[3] && Number(match[1]) > 12)) {
+    throw new Error(`Unrecognized time: "${text}"`);
+  }
+  return { hour, minute };
+}
+
+/**
+ * Replace the first match of `pattern`, passing the groups to `onMatch`
+ */
+function replaceFirst(text, pattern, onMatch) {
+  const match = text.match(pattern);
+  if (!match) {
+    return text;
+  }
+  onMatch(...match);
+  return `${text.slice(0, match.index)} ${text.slice(match.index + match[0].length)}`;
+}
+
+/**
+ * Throw a readable error for timezones Intl doesn't know
+ */
+function assertTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ */
+function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)])
+  );
+  const { year, month, day, hour, minute, second } = parts;
+  return { year, month, day, hour, minute, second, weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay() };
+}
+
+/**
+ * The instant a wall-clock time in a timezone refers to. In a DST gap
+ * the time is moved forward; in an overlap the earlier instant is used.
+ */
+function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (instant) => {
+    const parts = zonedParts(new Date(instant), timezone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  // The offsets in force a day either side cover any transition on that day
+  const offsetBefore = offsetAt(wallClock - DAY_SECONDS * 1000);
+  const offsetAfter = offsetAt(wallClock + DAY_SECONDS * 1000);
+  const matching = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant) => offsetAt(instant) === wallClock - instant);
+
+  return new Date(matching.length > 0 ? Math.min(...matching) : wallClock - offsetBefore);
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+/**
+ * Same day `months` later, clamped to the end of shorter months
+ */
+function addMonths({ year, month, day }, months) {
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  return addDays({ year: target.getUTCFullYear(), month: target.getUTCMonth() + 1, day: 1 }, Math.min(day, lastDay) - 1);
+}
+
+/**
+ * { year, month, day }, or an error for dates like February 30th
+ */
+function checkedDay(year, month, day, text) {
+  const date = addDays({ year, month, day: 1 }, day - 1);
+  if (month < 1 || month > 12 || date.month !== month) {
+    throw new Error(`Unrecognized date: "${text}"`);
+  }
+  return date;
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+/**
+ * RFC 3339 in UTC without milliseconds, as Vikunja stores dates
+ */
+function toUtcString(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
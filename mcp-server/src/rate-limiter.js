@@ -0,0 +1,53 @@
+/**
+ * Rate Limiter
+ *
+ * Spaces out calls so that no more than `requestsPerSecond` start in any
+ * one-second window. A limit of 0 disables limiting.
+ *
+ * @license AGPL-3.0
+ */
+
+export class RateLimiter {
+  constructor({ requestsPerSecond = 0 } = {}) {
+    this.intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait until the next request slot is available
+   */
+  async acquire() {
+    if (!this.intervalMs) {
+      return;
+    }
+
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
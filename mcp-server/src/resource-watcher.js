@@ -0,0 +1,162 @@
+/**
+ * Resource Subscriptions
+ *
+ * Tracks `resources/subscribe` requests and notifies subscribers with
+ * `notifications/resources/updated` when a resource changes. Changes are
+ * found by re-reading each subscribed resource and comparing a hash of its
+ * content:
+ * - every RESOURCE_POLL_INTERVAL_MS (default 30s) while anything is subscribed
+ * - right away when a Vikunja webhook reports a task change (poke())
+ *
+ * Each MCP session has its own Server, so subscriptions are kept per server
+ * and dropped when its session closes.
+ *
+ * @license AGPL-3.0
+ */
+
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+export class ResourceWatcher {
+  /**
+   * @param {object} options
+   * @param {(uri: string) => Promise<object>} options.read
+   *   Reads a resource (the resources/read result)
+   * @param {number} [options.intervalMs]
+   */
+  constructor({ read, intervalMs = 30000, logger }) {
+    this.read = read;
+    this.intervalMs = intervalMs;
+    this.logger = logger || createLogger();
+
+    // uri -> { servers: Set<Server>, hash }
+    this.subscriptions = new Map();
+    this.timer = null;
+    this.checking = null;
+    this.pokeAgain = false;
+  }
+
+  /**
+   * Subscribe a server (session) to a resource
+   */
+  async subscribe(server, uri) {
+    let subscription = this.subscriptions.get(uri);
+    if (!subscription) {
+      // Read once now: fails early for unknown URIs and sets the baseline
+      subscription = { servers: new Set(), hash: await this.hash(uri) };
+      this.subscriptions.set(uri, subscription);
+    }
+    subscription.servers.add(server);
+    this.start();
+  }
+
+  unsubscribe(server, uri) {
+    const subscription = this.subscriptions.get(uri);
+    if (subscription) {
+      subscription.servers.delete(server);
+      if (subscription.servers.size === 0) {
+        this.subscriptions.delete(uri);
+      }
+    }
+    if (this.subscriptions.size === 0) {
+      this.stop();
+    }
+  }
+
+  /**
+   * Drop all subscriptions of a closed session
+   */
+  removeServer(server) {
+    for (const uri of [...this.subscriptions.keys()]) {
+      this.unsubscribe(server, uri);
+    }
+  }
+
+  /**
+   * Check the subscribed resources now, e.g. after a webhook. A poke
+   * during a running check queues one more check after it.
+   */
+  poke() {
+    if (this.subscriptions.size === 0) {
+      return;
+    }
+    if (this.checking) {
+      this.pokeAgain = true;
+      return;
+    }
+    this.check().catch((error) => this.logger.error(`Resource check failed: ${error.message}`));
+  }
+
+  /**
+   * Re-read every subscribed resource and notify subscribers of changes
+   */
+  async check() {
+    if (this.checking) {
+      return this.checking;
+    }
+
+    this.checking = (async () => {
+      for (const [uri, subscription] of [...this.subscriptions]) {
+        let hash;
+        try {
+          hash = await this.hash(uri);
+        } catch (error) {
+          // Deleted or unreachable: report it once, readers will see the error
+          this.logger.warn(`Cannot read subscribed resource ${uri}: ${error.message}`);
+          hash = null;
+        }
+
+        if (hash !== subscription.hash) {
+          subscription.hash = hash;
+          await this.notify(uri, subscription);
+        }
+      }
+    })();
+
+    try {
+      await this.checking;
+    } finally {
+      this.checking = null;
+    }
+
+    if (this.pokeAgain) {
+      this.pokeAgain = false;
+      this.poke();
+    }
+  }
+
+  async notify(uri, subscription) {
+    this.logger.debug(`Resource updated: ${uri}`, { subscribers: subscription.servers.size });
+
+    for (const server of [...subscription.servers]) {
+      try {
+        await server.sendResourceUpdated({ uri });
+      } catch (error) {
+        this.logger.warn(`Dropping subscription to ${uri}: ${error.message}`);
+        this.unsubscribe(server, uri);
+      }
+    }
+  }
+
+  async hash(uri) {
+    const result = await this.read(uri);
+    return crypto.createHash('sha256').update(JSON.stringify(result.contents)).digest('hex');
+  }
+
+  start() {
+    if (this.timer || !this.intervalMs) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.check().catch((error) => this.logger.error(`Resource check failed: ${error.message}`));
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Authorization Scopes
+ *
+ * Scopes granted to a connector decide which tools it can see and call:
+ * - tasks:read      - list, search and read tasks, projects, labels, comments,
+ *                     attachments and users; get workflow prompts
+ * - tasks:write     - create and update tasks, labels and comments, upload
+ *                     attachments, assign users
+ * - tasks:delete    - delete tasks, labels, comments and attachments
+ * - projects:admin  - create, update, archive, move, share and delete projects,
+ *                     manage kanban buckets
+ *
+ * @license AGPL-3.0
+ */
+
+export const SCOPES = ['tasks:read', 'tasks:write', 'tasks:delete', 'projects:admin'];
+
+// Scope issued before per-tool scopes existed; grants everything
+const LEGACY_SCOPE = 'mcp';
+
+/**
+ * Parse a space- or comma-separated scope string into a list of known scopes
+ */
+export function parseScopes(value) {
+  const requested = String(value || '').split(/[\s,]+/).filter(Boolean);
+
+  if (requested.includes(LEGACY_SCOPE)) {
+    return [...SCOPES];
+  }
+  return requested.filter((scope) => SCOPES.includes(scope));
+}
+
+/**
+ * Scopes for callers that don't carry their own (stdio, or HTTP without the
+ * OAuth proxy). Restrict a whole server with MCP_SCOPES="tasks:read".
+ */
+export function defaultScopes() {
+  return process.env.MCP_SCOPES ? parseScopes(process.env.MCP_SCOPES) : [...SCOPES];
+}
+
+/**
+ * Scopes of the current request, from the transport's auth info if present
+ */
+export function grantedScopes(extra) {
+  return extra?.authInfo?.scopes ?? defaultScopes();
+}
+
+export function hasScope(granted, required) {
+  return granted.includes(required);
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Task Synchronization CLI
+ *
+ * Syncs issues from YouTrack, Jira and Todoist into Vikunja, and with --two-way
+ * writes Vikunja edits back. Replaces the former
+ * bash implementation of scripts/sync-tasks.sh and accepts the same options.
+ *
+ * Usage:
+ *   node src/sync/cli.js [--source youtrack|jira|todoist|all] [--dry-run] [--full] [--two-way] [--verbose]
+ *
+ * @license AGPL-3.0
+ */
+
+import { parseArgs } from 'util';
+import { createLogger } from '../logger.js';
+import { createConnectors, runLockedSync } from './setup.js';
+
+const HELP = `Task Synchronization
+
+Usage: sync-tasks.sh [OPTIONS]
+
+Options:
+    --source SOURCE   Sync from specific source: youtrack, jira, todoist, all (default: all)
+    --dry-run         Show what would be synced without making changes
+    --full            Re-scan all issues instead of only those updated since the last run
+    --two-way         Also write Vikunja edits back to the trackers (same as SYNC_DIRECTION=two-way)
+    --verbose         Enable verbose output
+    -h, --help        Show this help message
+
+Environment Variables:
+    VIKUNJA_API_URL     Vikunja API URL
+    VIKUNJA_API_TOKEN   Vikunja API token
+    YOUTRACK_URL        YouTrack base URL
+    YOUTRACK_TOKEN      YouTrack API token
+    YOUTRACK_QUERY      YouTrack search query (optional, e.g. "for: me #Unresolved")
+    JIRA_URL            Jira base URL
+    JIRA_EMAIL          Jira user email
+    JIRA_TOKEN          Jira API token
+    JIRA_JQL            Jira issue filter (default: assignee=currentUser() AND resolution=Unresolved)
+    TODOIST_API_TOKEN   Todoist API token
+    TODOIST_FILTER      Todoist filter (optional, e.g. "#Work | @waiting")
+    SYNC_MODE           titles_only (default) or full
+    SYNC_MAX_TASKS      Issues fetched and tasks created per source and run (default: 100)
+    SYNC_STATE_DIR      Directory for the sync state (default: ~/sync-state)
+    SYNC_DIRECTION      import (default) or two-way
+    SYNC_CONFLICT_POLICY    Default conflict policy: prefer-source, prefer-vikunja,
+                            newest-wins or flag-for-review (default)
+    SYNC_CONFLICT_POLICIES  Per-field overrides, e.g. "title=prefer-source,done=newest-wins"
+    SYNC_CONFLICT_LABEL     Label for tasks with conflicts (default: sync-conflict)
+    YOUTRACK_DONE_STATE     State set when a task is completed (default: Fixed)
+    YOUTRACK_OPEN_STATE     State set when a task is reopened (default: Open)
+
+Examples:
+    # Sync all sources
+    sync-tasks.sh
+
+    # Dry run
+    sync-tasks.sh --dry-run
+
+    # Sync only YouTrack
+    sync-tasks.sh --source youtrack --verbose
+`;
+
+async function main() {
+  const logger = createLogger();
+
+  let args;
+  try {
+    ({ values: args } = parseArgs({
+      options: {
+        source: { type: 'string', default: 'all' },
+        'dry-run': { type: 'boolean', default: false },
+        full: { type: 'boolean', default: false },
+        'two-way': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    }));
+  } catch (error) {
+    logger.error(error.message);
+    process.stderr.write(HELP);
+    process.exit(1);
+  }
+
+  if (args.help) {
+    process.stdout.write(HELP);
+    return;
+  }
+
+  if (args.verbose) {
+    logger.level = 'debug';
+  }
+
+  const names = createConnectors().map((connector) => connector.name);
+
+  if (args.source !== 'all' && !names.includes(args.source)) {
+    logger.error(`Unknown source: ${args.source}`);
+    process.exit(1);
+  }
+
+  if (!process.env.VIKUNJA_API_URL || !process.env.VIKUNJA_API_TOKEN) {
+    logger.error('VIKUNJA_API_URL and VIKUNJA_API_TOKEN must be set');
+    process.exit(1);
+  }
+
+  const dryRun = args['dry-run'];
+  if (dryRun) {
+    logger.warn('DRY RUN MODE - No changes will be made');
+  }
+
+  const results = await runLockedSync(args.source === 'all' ? null : [args.source], {
+    full: args.full,
+    direction: args['two-way'] ? 'two-way' : undefined,
+    dryRun,
+    logger,
+  });
+
+  if (!results) {
+    // Webhook-triggered runs pick up the same changes; the next run catches up
+    logger.warn('Another sync run is in progress, skipping');
+    return;
+  }
+
+  process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+
+  if (results.some((result) => result.error)) {
+    process.exit(1);
+  }
+  logger.info('Sync complete!');
+}
+
+main().catch((error) => {
+  console.error('Sync failed:', error.message);
+  process.exit(1);
+});
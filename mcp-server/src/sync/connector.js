@@ -0,0 +1,221 @@
+/**
+ * Sync Connector Base
+ *
+ * A connector reads issues from one external tracker and maps them to a
+ * source-neutral shape the sync engine writes to Vikunja:
+ *
+ *   {
+ *     externalId,   // tracker key, e.g. "PROJ-123"
+ *     title,
+ *     description,  // plain text
+ *     done,
+ *     priority,     // Vikunja priority 0-5
+ *     dueDate,      // ISO timestamp or null
+ *     updated,      // ISO timestamp of the last change in the tracker
+ *     url,          // link back to the issue
+ *     labels,       // optional: label names
+ *     location,     // optional: child project path, e.g. ["Work", "Backlog"]
+ *   }
+ *
+ * @license AGPL-3.0
+ */
+
+import fetch from 'node-fetch';
+
+/**
+ * Raised when an external tracker can't be reached or rejects a request
+ */
+export class SyncSourceError extends Error {
+  constructor(message, { source, status = null, body = null } = {}) {
+    super(message);
+    this.name = 'SyncSourceError';
+    this.source = source;
+    this.status = status;
+    this.body = body;
+  }
+}
+
+export class SyncConnector {
+  /**
+   * @param {object} options
+   * @param {string} options.name          CLI source name, e.g. "youtrack"
+   * @param {string} options.tag           Marker tag in task titles, e.g. "YT"
+   * @param {string} options.projectTitle  Vikunja project receiving the tasks
+   * @param {string} options.baseUrl       Tracker base URL
+   * @param {number} [options.timeoutMs]
+   */
+  constructor({ name, tag, projectTitle, baseUrl, timeoutMs = 30000 }) {
+    this.name = name;
+    this.tag = tag;
+    this.projectTitle = projectTitle;
+    this.baseUrl = (baseUrl || '').replace(/\/$/, '');
+    this.timeoutMs = timeoutMs;
+
+    // Whether fetchItems() honors `since`
+    this.supportsIncremental = true;
+    // Whether listings omit completed items (completion is then detected
+    // by fetching the missing mapped items with fetchItemsById())
+    this.listsOpenItemsOnly = false;
+    // Canonical fields updateIssue() can write
+    this.fields = ['title', 'description', 'done', 'priority', 'due_date'];
+  }
+
+  /**
+   * Whether all credentials needed to talk to the tracker are present
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Fetch up to `limit` issues and map them to sync items.
+   * With `since` (ISO timestamp), only issues updated since then are
+   * fetched, oldest first.
+   */
+  async fetchItems({ limit = 100, since = null } = {}) {
+    const issues = await this.fetchIssues({ limit, since: sinceDate(since) });
+    return issues.slice(0, limit).map((issue) => this.mapIssue(issue));
+  }
+
+  /**
+   * Fetch raw issues from the tracker. Implemented by each connector;
+   * `since` is a YYYY-MM-DD date or null.
+   */
+  async fetchIssues() {
+    throw new Error(`${this.constructor.name} does not implement fetchIssues()`);
+  }
+
+  /**
+   * Map one raw issue to a sync item. Implemented by each connector.
+   */
+  mapIssue() {
+    throw new Error(`${this.constructor.name} does not implement mapIssue()`);
+  }
+
+  /**
+   * Fetch a single issue as a sync item, or null if it no longer exists
+   */
+  async fetchItem() {
+    throw new Error(`${this.constructor.name} does not implement fetchItem()`);
+  }
+
+  /**
+   * Fetch several issues as sync items, leaving out those that no longer
+   * exist. Used for mapped issues missing from a listing (completed, or
+   * changed only in Vikunja). Connectors with a batch lookup override this;
+   * the default fetches the issues one by one.
+   */
+  async fetchItemsById(externalIds) {
+    const items = [];
+    for (const externalId of externalIds) {
+      const item = await this.fetchItem(externalId);
+      if (item) {
+        items.push(item);
+      }
+    }
+    return items;
+  }
+
+  /**
+   * Write changed fields back to an issue (two-way sync). `changes` holds
+   * canonical values: title, description (plain text), done, priority
+   * (Vikunja 0-5), due_date (YYYY-MM-DD or null) and, for connectors
+   * listing it in `fields`, labels (sorted names).
+   */
+  async updateIssue() {
+    throw new Error(`${this.constructor.name} does not implement updateIssue()`);
+  }
+
+  /**
+   * Headers sent with every tracker request (authentication)
+   */
+  headers() {
+    return {};
+  }
+
+  /**
+   * GET a JSON document from the tracker
+   */
+  async getJson(path, params = {}) {
+    return this.requestJson('GET', path, { params });
+  }
+
+  /**
+   * Send a request to the tracker and parse the JSON response
+   * (null for empty responses)
+   */
+  async requestJson(method, path, { params = {}, body = null } = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null && value !== '') {
+        url.searchParams.set(key, String(value));
+      }
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          Accept: 'application/json',
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+          ...this.headers(),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (error) {
+      const reason = error.name === 'AbortError' ? `timed out after ${this.timeoutMs}ms` : error.message;
+      throw new SyncSourceError(`${this.name} request failed: ${reason}`, { source: this.name });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const text = await response.text();
+    if (!response.ok) {
+      throw new SyncSourceError(`${this.name} API error (${response.status}): ${text}`, {
+        source: this.name,
+        status: response.status,
+        body: text,
+      });
+    }
+
+    if (!text) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw new SyncSourceError(`${this.name} returned invalid JSON`, { source: this.name, body: text });
+    }
+  }
+}
+
+/**
+ * Convert a millisecond or string timestamp to ISO format (null-safe)
+ */
+export function toIsoDate(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Day before the given timestamp as YYYY-MM-DD. Tracker date queries are
+ * day-granular and interpreted in the user's timezone, so a day of overlap
+ * keeps edits from slipping through; unchanged items are skipped by hash.
+ */
+function sinceDate(since) {
+  if (!since) {
+    return null;
+  }
+  const date = new Date(since);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
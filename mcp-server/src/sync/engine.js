@@ -0,0 +1,799 @@
+/**
+ * Sync Engine
+ *
+ * Imports issues from external trackers into Vikunja. Each connector gets
+ * its own Vikunja project (with child projects when items carry a
+ * `location`, e.g. Todoist project and section); tasks carry a "[TAG:ID]"
+ * marker in the title so an issue is only ever created once. The sync state
+ * store maps issues to task ids, so later runs are incremental and update
+ * tasks in place.
+ *
+ * Sync modes:
+ * - titles_only - privacy-first, only the title is copied (default)
+ * - full        - title, description, priority, due date and labels are copied
+ *
+ * Directions:
+ * - import  - trackers -> Vikunja (default)
+ * - two-way - changes flow both ways; fields edited on both sides since the
+ *             last sync are settled by the conflict policies in reconcile.js
+ *
+ * @license AGPL-3.0
+ */
+
+import { createLogger } from '../logger.js';
+import { NotFoundError, TaskConflictError } from '../errors.js';
+import { contentHash } from './state-store.js';
+import {
+  SYNC_FIELDS,
+  parseConflictPolicies,
+  reconcile,
+  taskDescriptionText,
+  valuesFromItem,
+  valuesFromTask,
+} from './reconcile.js';
+
+export const SYNC_MODES = ['titles_only', 'full'];
+
+export const SYNC_DIRECTIONS = ['import', 'two-way'];
+
+export const DEFAULT_CONFLICT_LABEL = 'sync-conflict';
+
+/**
+ * Marker appended to task titles to identify the source issue
+ */
+export function taskMarker(tag, externalId) {
+  return `[${tag}:${externalId}]`;
+}
+
+/**
+ * Task fields to create in Vikunja for a sync item
+ */
+export function buildTaskFields(item, tag, mode = 'titles_only') {
+  const fields = {
+    title: `${item.title} ${taskMarker(tag, item.externalId)}`,
+  };
+
+  if (mode === 'full') {
+    const link = item.url ? `<p><a href="${escapeHtml(item.url)}">${escapeHtml(item.externalId)}</a></p>` : '';
+    fields.description = `${link}${textToHtml(item.description)}`;
+    fields.priority = item.priority || 0;
+    fields.due_date = item.dueDate;
+  }
+
+  return fields;
+}
+
+export class SyncEngine {
+  /**
+   * @param {object} options
+   * @param {import('../vikunja-client.js').VikunjaClient} options.vikunjaClient
+   * @param {import('./connector.js').SyncConnector[]} options.connectors
+   * @param {string} [options.mode]      titles_only or full
+   * @param {boolean} [options.dryRun]   Report what would change without writing
+   * @param {number} [options.maxTasks]  Issues fetched, and tasks created,
+   *   per source and run
+   * @param {import('./state-store.js').SyncStateStore} [options.state]
+   *   Sync state; without it every run is a full sync matched by title marker
+   * @param {boolean} [options.full]     Ignore the last sync timestamp
+   * @param {string} [options.direction] import or two-way (requires state)
+   * @param {object} [options.policies]  Field -> conflict policy (two-way)
+   * @param {string} [options.conflictLabel] Label put on tasks with conflicts
+   */
+  constructor({
+    vikunjaClient,
+    connectors,
+    mode = 'titles_only',
+    dryRun = false,
+    maxTasks = 100,
+    state = null,
+    full = false,
+    direction = 'import',
+    policies = parseConflictPolicies(),
+    conflictLabel = DEFAULT_CONFLICT_LABEL,
+    logger,
+  }) {
+    if (!SYNC_MODES.includes(mode)) {
+      throw new Error(`Unknown sync mode: ${mode} (expected ${SYNC_MODES.join(' or ')})`);
+    }
+    if (!SYNC_DIRECTIONS.includes(direction)) {
+      throw new Error(`Unknown sync direction: ${direction} (expected ${SYNC_DIRECTIONS.join(' or ')})`);
+    }
+    if (direction === 'two-way' && !state) {
+      throw new Error('Two-way sync needs a sync state store');
+    }
+
+    this.vikunja = vikunjaClient;
+    this.connectors = connectors;
+    this.mode = mode;
+    this.dryRun = dryRun;
+    this.maxTasks = maxTasks;
+    this.state = state;
+    this.full = full;
+    this.direction = direction;
+    this.policies = policies;
+    this.conflictLabel = conflictLabel;
+    this.conflictLabelId = null;
+    this.projects = null;
+    this.logger = logger || createLogger();
+  }
+
+  /**
+   * Sync every configured connector, or only the named ones.
+   * A failing source is reported and doesn't stop the others.
+   */
+  async run(sourceNames = null) {
+    const results = [];
+
+    for (const connector of this.connectors) {
+      if (sourceNames && !sourceNames.includes(connector.name)) {
+        continue;
+      }
+
+      if (!connector.isConfigured()) {
+        this.logger.warn(`${connector.name} not configured, skipping`);
+        results.push({ source: connector.name, skipped: true });
+        continue;
+      }
+
+      try {
+        results.push(this.direction === 'two-way'
+          ? await this.syncSourceTwoWay(connector)
+          : await this.syncSource(connector));
+      } catch (error) {
+        this.logger.error(`${connector.name} sync failed: ${error.message}`);
+        results.push({ source: connector.name, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import the issues of one connector.
+   *
+   * With a state store, only issues updated since the last run are fetched
+   * (unless `full` is set), unchanged issues are skipped by content hash and
+   * changed ones update the task they were mapped to.
+   */
+  async syncSource(connector) {
+    this.logger.info(`Syncing from ${connector.name}...`);
+
+    const since = this.state ? this.incrementalSince(connector) : null;
+    const fetched = await connector.fetchItems({ limit: this.maxTasks, since });
+    const items = this.state
+      ? [...(await this.withMissingOpenItems(connector, fetched)).values()]
+      : fetched;
+    const project = await this.rootProject(connector);
+
+    const result = {
+      source: connector.name,
+      project_id: project ? project.id : null,
+      incremental: Boolean(since),
+      fetched: fetched.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      deferred: 0,
+      dry_run: this.dryRun,
+    };
+
+    // Tasks created before the state existed (or by the bash sync) are
+    // adopted through their title marker instead of being duplicated
+    let markers = null;
+    let cursor = null;
+
+    try {
+      for (const item of items) {
+        if (!item.externalId) {
+          continue;
+        }
+        if (item.updated && (!cursor || item.updated > cursor)) {
+          cursor = item.updated;
+        }
+
+        const hash = contentHash(item);
+        const mapped = this.state ? this.state.getItem(connector.name, item.externalId) : null;
+
+        if (mapped && mapped.hash === hash) {
+          this.logger.debug(`Unchanged: ${item.externalId}`);
+          result.unchanged++;
+          continue;
+        }
+
+        let taskId = mapped ? mapped.task_id : null;
+        if (!taskId && project) {
+          markers = markers || markerMap(await this.connectorTasks(project));
+          taskId = markers.get(taskMarker(connector.tag, item.externalId)) || null;
+        }
+
+        if (!taskId && this.creationLimitReached(result)) {
+          continue;
+        }
+
+        const fields = buildTaskFields(item, connector.tag, this.mode);
+        const target = await this.projectForItem(project, item);
+
+        if (taskId && !mapped) {
+          // Adopted: record the mapping, the task already exists
+          this.logger.debug(`Task already exists: ${item.externalId} (ID: ${taskId})`);
+          result.unchanged++;
+        } else if (taskId) {
+          if (this.dryRun) {
+            this.logger.info(`[DRY RUN] Would update task ${taskId}: ${fields.title}`);
+          } else {
+            this.logger.info(`Updating task ${taskId}: ${fields.title}`);
+            taskId = await this.updateOrRecreate(taskId, fields, item, target);
+          }
+          result.updated++;
+        } else {
+          if (this.dryRun) {
+            this.logger.info(`[DRY RUN] Would create task: ${fields.title}`);
+          } else {
+            this.logger.info(`Creating task: ${fields.title}`);
+            taskId = (await this.createTask(fields, item, target)).id;
+          }
+          result.created++;
+        }
+
+        if (this.state && !this.dryRun) {
+          this.state.setItem(connector.name, item.externalId, {
+            task_id: taskId,
+            hash,
+            source_updated: item.updated,
+            done: item.done,
+          });
+        }
+      }
+
+      if (this.state && !this.dryRun) {
+        this.state.markSynced(connector.name, cursor);
+      }
+    } finally {
+      // Save mappings even when a later item fails, so tasks created in
+      // this run are never created again
+      if (this.state && !this.dryRun) {
+        this.state.save();
+      }
+    }
+
+    this.logger.info(
+      `${connector.name} sync complete: ${result.created} created, ` +
+      `${result.updated} updated, ${result.unchanged} unchanged`
+    );
+    this.logDeferred(connector, result);
+    return result;
+  }
+
+  /**
+   * Two-way sync of one connector.
+   *
+   * Looks at issues updated in the tracker since the last run plus mapped
+   * tasks edited in Vikunja since then (or with a conflict resolved by a
+   * reviewer), and reconciles each pair field by field.
+   */
+  async syncSourceTwoWay(connector) {
+    this.logger.info(`Two-way sync with ${connector.name}...`);
+
+    const since = this.incrementalSince(connector);
+    const items = await connector.fetchItems({ limit: this.maxTasks, since });
+    const project = await this.rootProject(connector);
+    const tasks = project ? await this.connectorTasks(project) : [];
+    const tasksById = new Map(tasks.map((task) => [task.id, task]));
+    const markers = markerMap(tasks);
+
+    const itemsById = await this.withMissingOpenItems(connector, items);
+
+    const editedIds = Object.entries(this.state.source(connector.name).items)
+      .filter(([externalId, entry]) => {
+        if (itemsById.has(externalId)) {
+          return false;
+        }
+        const task = tasksById.get(entry.task_id);
+        const editedInVikunja = task && entry.vikunja_updated && task.updated !== entry.vikunja_updated;
+        const resolved = Object.values(entry.conflicts || {}).some((conflict) => conflict.resolution);
+        return editedInVikunja || resolved;
+      })
+      .map(([externalId]) => externalId);
+
+    if (editedIds.length > 0) {
+      for (const item of await connector.fetchItemsById(editedIds)) {
+        itemsById.set(item.externalId, item);
+      }
+      for (const externalId of editedIds.filter((id) => !itemsById.has(id))) {
+        this.logger.warn(`${externalId} no longer exists in ${connector.name}`);
+      }
+    }
+
+    const result = {
+      source: connector.name,
+      direction: 'two-way',
+      project_id: project ? project.id : null,
+      incremental: Boolean(since),
+      fetched: items.length,
+      created: 0,
+      updated_in_vikunja: 0,
+      updated_in_source: 0,
+      unchanged: 0,
+      conflicts: 0,
+      failed: 0,
+      deferred: 0,
+      dry_run: this.dryRun,
+    };
+
+    let cursor = null;
+
+    try {
+      for (const item of itemsById.values()) {
+        if (item.updated && (!cursor || item.updated > cursor)) {
+          cursor = item.updated;
+        }
+
+        try {
+          await this.syncItemTwoWay(connector, project, item, { tasksById, markers, result });
+        } catch (error) {
+          this.logger.error(`Failed to sync ${item.externalId}: ${error.message}`);
+          result.failed++;
+        }
+      }
+
+      // Retry failed items next run instead of skipping past them
+      if (!this.dryRun && result.failed === 0) {
+        this.state.markSynced(connector.name, cursor);
+      }
+    } finally {
+      if (!this.dryRun) {
+        this.state.save();
+      }
+    }
+
+    this.logger.info(
+      `${connector.name} two-way sync complete: ${result.created} created, ` +
+      `${result.updated_in_vikunja} updated in Vikunja, ${result.updated_in_source} updated in ` +
+      `${connector.name}, ${result.conflicts} conflicts, ${result.failed} failed`
+    );
+    this.logDeferred(connector, result);
+    return result;
+  }
+
+  /**
+   * Reconcile one issue with its task and write the changes to both sides
+   */
+  async syncItemTwoWay(connector, project, item, { tasksById, markers, result }) {
+    const entry = this.state.getItem(connector.name, item.externalId);
+    const taskId = entry ? entry.task_id : markers.get(taskMarker(connector.tag, item.externalId));
+    let task = taskId ? tasksById.get(taskId) || await this.findTask(taskId) : null;
+
+    const target = await this.projectForItem(project, item);
+
+    if (!task) {
+      if (this.creationLimitReached(result)) {
+        return;
+      }
+      const fields = buildTaskFields(item, connector.tag, this.mode);
+      if (this.dryRun) {
+        this.logger.info(`[DRY RUN] Would create task: ${fields.title}`);
+      } else {
+        this.logger.info(`Creating task: ${fields.title}`);
+        task = await this.createTask(fields, item, target);
+        this.recordTwoWay(connector, item, task, valuesFromItem(item), {});
+      }
+      result.created++;
+      return;
+    }
+
+    // Tasks without a two-way base yet (adopted, or synced one-way before)
+    // treat the current Vikunja values as the base, so the tracker wins
+    const ignoreLabels = [this.conflictLabel];
+    const base = entry?.base || valuesFromTask(task, { ignoreLabels });
+    const resolutions = Object.fromEntries(
+      Object.entries(entry?.conflicts || {})
+        .filter(([, conflict]) => conflict.resolution)
+        .map(([field, conflict]) => [field, conflict.resolution])
+    );
+
+    const outcome = reconcile({
+      base,
+      source: valuesFromItem(item),
+      vikunja: valuesFromTask(task, { ignoreLabels }),
+      fields: this.syncFields(connector),
+      policies: this.policies,
+      sourceUpdated: item.updated,
+      vikunjaUpdated: task.updated,
+      resolutions,
+    });
+
+    const toSource = Object.keys(outcome.toSource);
+    const toVikunja = Object.keys(outcome.toVikunja);
+    const conflictFields = Object.keys(outcome.conflicts);
+
+    if (this.dryRun) {
+      for (const field of toVikunja) {
+        this.logger.info(`[DRY RUN] Would update ${field} of task ${task.id} from ${item.externalId}`);
+      }
+      for (const field of toSource) {
+        this.logger.info(`[DRY RUN] Would update ${field} of ${item.externalId} from task ${task.id}`);
+      }
+      for (const field of conflictFields) {
+        this.logger.warn(`[DRY RUN] Conflict on ${field} of ${item.externalId} / task ${task.id}`);
+      }
+    } else {
+      // Project placement always follows the source
+      const moved = Boolean(target) && task.project_id !== target.id;
+
+      if (toVikunja.length > 0 || moved || toSource.length > 0) {
+        const fields = { ...buildTaskFields(item, connector.tag, 'full'), done: item.done };
+        const patch = Object.fromEntries(
+          toVikunja.filter((field) => field !== 'labels').map((field) => [field, fields[field]])
+        );
+        if (toVikunja.length > 0) {
+          this.logger.info(`Updating task ${task.id} from ${item.externalId}: ${toVikunja.join(', ')}`);
+        }
+        if (moved) {
+          this.logger.info(`Moving task ${task.id} to project ${target.title}`);
+          patch.project_id = target.id;
+        }
+
+        // Refused when the task was edited after it was read, so that edit is
+        // neither overwritten nor missed by the tracker update below. With
+        // nothing to change in Vikunja this only checks.
+        try {
+          await this.vikunja.updateTask(task.id, patch, { expectedUpdated: task.updated });
+        } catch (error) {
+          if (!(error instanceof TaskConflictError)) {
+            throw error;
+          }
+          // Flag the task and leave its state as is: the next run sees the
+          // new edit and reconciles it
+          this.logger.warn(`Task ${task.id} was edited during sync of ${item.externalId}, flagged for review`);
+          await this.setConflictLabel(error.currentTask, true);
+          result.conflicts++;
+          return;
+        }
+
+        if (toVikunja.includes('labels')) {
+          await this.setTaskLabels(task, item.labels);
+        }
+      }
+
+      if (toSource.length > 0) {
+        const changes = { ...outcome.toSource };
+        if ('description' in changes) {
+          changes.description = taskDescriptionText(task);
+        }
+        this.logger.info(`Updating ${item.externalId} in ${connector.name}: ${toSource.join(', ')}`);
+        await connector.updateIssue(item.externalId, changes);
+      }
+
+      // Flagged by recorded conflicts, or by a write refused in an earlier run
+      const wasFlagged = Object.keys(entry?.conflicts || {}).length > 0 ||
+        (task.labels || []).some((label) => label.title === this.conflictLabel);
+      if (conflictFields.length > 0 || wasFlagged) {
+        await this.setConflictLabel(task, conflictFields.length > 0);
+      }
+
+      if (toVikunja.length > 0 || moved || conflictFields.length > 0 || wasFlagged) {
+        // Pick up the new `updated` so our own write isn't seen as an edit
+        task = await this.vikunja.getTask(task.id);
+      }
+
+      this.recordTwoWay(connector, item, task, outcome.base, outcome.conflicts, entry?.conflicts);
+    }
+
+    for (const field of conflictFields) {
+      this.logger.warn(`Conflict on ${field} of ${item.externalId} / task ${task.id}, flagged for review`);
+    }
+
+    if (toSource.length > 0) {
+      result.updated_in_source++;
+    }
+    if (toVikunja.length > 0) {
+      result.updated_in_vikunja++;
+    }
+    if (conflictFields.length > 0) {
+      result.conflicts++;
+    }
+    if (toSource.length + toVikunja.length + conflictFields.length === 0) {
+      result.unchanged++;
+    }
+  }
+
+  /**
+   * Save the two-way state of an item. Conflicts keep the time they were
+   * first detected.
+   */
+  recordTwoWay(connector, item, task, base, conflicts, previousConflicts = {}) {
+    const now = new Date().toISOString();
+
+    this.state.setItem(connector.name, item.externalId, {
+      task_id: task.id,
+      hash: contentHash(item),
+      source_updated: item.updated,
+      done: item.done,
+      base,
+      vikunja_updated: task.updated,
+      conflicts: Object.fromEntries(Object.entries(conflicts).map(([field, conflict]) => [
+        field,
+        { ...conflict, detected_at: previousConflicts[field]?.detected_at || now },
+      ])),
+    });
+  }
+
+  /**
+   * Add or remove the conflict label on a task
+   */
+  async setConflictLabel(task, flagged) {
+    if (!this.conflictLabelId) {
+      const label = await this.vikunja.findLabelByTitle(this.conflictLabel)
+        || await this.vikunja.createLabel({ title: this.conflictLabel, hex_color: 'e8590c' });
+      this.conflictLabelId = label.id;
+    }
+
+    const labeled = (task.labels || []).some((label) => label.id === this.conflictLabelId);
+    if (flagged && !labeled) {
+      await this.vikunja.addLabelToTask(task.id, this.conflictLabelId);
+    } else if (!flagged && labeled) {
+      await this.vikunja.removeLabelFromTask(task.id, this.conflictLabelId);
+    }
+  }
+
+  /**
+   * Get a task, or null if it was deleted
+   */
+  async findTask(taskId) {
+    try {
+      return await this.vikunja.getTask(taskId);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Create the task for a new item (Vikunja ignores `done` on create)
+   */
+  async createTask(fields, item, project) {
+    let task = await this.vikunja.createTask({ ...fields, project_id: project.id });
+    if (item.done) {
+      task = await this.vikunja.updateTask(task.id, { done: true });
+    }
+    if (this.syncsLabels(item)) {
+      await this.setTaskLabels(task, item.labels);
+    }
+    return task;
+  }
+
+  /**
+   * Update the mapped task; if it was deleted in Vikunja, create it again.
+   * Returns the task id.
+   */
+  async updateOrRecreate(taskId, fields, item, project) {
+    try {
+      const task = await this.vikunja.updateTask(taskId, {
+        ...fields,
+        done: item.done,
+        project_id: project.id,
+      });
+      if (this.syncsLabels(item)) {
+        await this.setTaskLabels(task, item.labels);
+      }
+      return taskId;
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) {
+        throw error;
+      }
+      this.logger.warn(`Task ${taskId} no longer exists, recreating ${item.externalId}`);
+      return (await this.createTask(fields, item, project)).id;
+    }
+  }
+
+  /**
+   * Set a task's labels (by title) to exactly `names`, creating missing
+   * labels. The conflict label is left alone.
+   */
+  async setTaskLabels(task, names) {
+    const current = (task.labels || []).filter((label) => label.title !== this.conflictLabel);
+    const wanted = new Set(names);
+
+    for (const label of current) {
+      if (!wanted.has(label.title)) {
+        await this.vikunja.removeLabelFromTask(task.id, label.id);
+      }
+    }
+
+    const have = new Set(current.map((label) => label.title));
+    for (const name of wanted) {
+      if (!have.has(name)) {
+        const label = await this.vikunja.findLabelByTitle(name)
+          || await this.vikunja.createLabel({ title: name });
+        await this.vikunja.addLabelToTask(task.id, label.id);
+      }
+    }
+  }
+
+  /**
+   * Whether this run already created maxTasks tasks for the source. Sources
+   * that list everything (Todoist) are capped here rather than in the
+   * listing, so tasks mapped earlier are always seen; the remaining new
+   * items are created by the following runs.
+   */
+  creationLimitReached(result) {
+    if (result.created < this.maxTasks) {
+      return false;
+    }
+    result.deferred++;
+    return true;
+  }
+
+  /**
+   * Report new items left for the next run by creationLimitReached()
+   */
+  logDeferred(connector, result) {
+    if (result.deferred > 0) {
+      this.logger.info(
+        `${result.deferred} new ${connector.name} items over the limit of ${this.maxTasks} left for the next run`
+      );
+    }
+  }
+
+  /**
+   * Labels are synced in full mode for connectors that provide them
+   */
+  syncsLabels(item) {
+    return this.mode === 'full' && Array.isArray(item.labels);
+  }
+
+  /**
+   * Fields two-way sync reconciles for a connector
+   */
+  syncFields(connector) {
+    return SYNC_FIELDS[this.mode].filter((field) => connector.fields.includes(field));
+  }
+
+  /**
+   * Timestamp to fetch from, or null for a full scan
+   */
+  incrementalSince(connector) {
+    if (this.full || !connector.supportsIncremental) {
+      return null;
+    }
+
+    const since = this.state.getCursor(connector.name);
+    if (since) {
+      this.logger.info(`Incremental sync of ${connector.name} since ${since}`);
+    }
+    return since;
+  }
+
+  /**
+   * Items by external id. Connectors that only list open items (Todoist,
+   * and Jira/YouTrack with their default queries) drop completed ones from
+   * the listing, so mapped items last seen open but missing from it are
+   * looked up in one batch to pick up completion. This also runs on
+   * incremental syncs, where an issue resolved since the last run would
+   * otherwise never be listed again.
+   */
+  async withMissingOpenItems(connector, items) {
+    const itemsById = new Map(
+      items.filter((item) => item.externalId).map((item) => [item.externalId, item])
+    );
+
+    if (!connector.listsOpenItemsOnly) {
+      return itemsById;
+    }
+
+    const missing = Object.entries(this.state.source(connector.name).items)
+      .filter(([externalId, entry]) => !entry.done && !itemsById.has(externalId))
+      .map(([externalId]) => externalId);
+    if (missing.length === 0) {
+      return itemsById;
+    }
+
+    for (const item of await connector.fetchItemsById(missing)) {
+      itemsById.set(item.externalId, item);
+    }
+    for (const externalId of missing.filter((id) => !itemsById.has(id))) {
+      this.logger.debug(`${externalId} no longer exists in ${connector.name}`);
+    }
+    return itemsById;
+  }
+
+  /**
+   * The connector's top-level Vikunja project
+   */
+  async rootProject(connector) {
+    this.projects = await this.vikunja.listProjects();
+    return this.getOrCreateProject(connector.projectTitle);
+  }
+
+  /**
+   * Project an item belongs in: the root project, or the child project
+   * named by each segment of `item.location` (created as needed)
+   */
+  async projectForItem(root, item) {
+    let project = root;
+
+    for (const title of item.location || []) {
+      if (!project) {
+        break;
+      }
+      project = await this.getOrCreateProject(title, project.id);
+    }
+    return project || root;
+  }
+
+  /**
+   * Find a project by title (and parent, when given), creating it unless
+   * this is a dry run. Returns null in dry runs when the project doesn't
+   * exist yet.
+   */
+  async getOrCreateProject(title, parentId = null) {
+    const project = this.projects.find(
+      (p) => p.title === title && (parentId === null || (p.parent_project_id || 0) === parentId)
+    );
+    if (project) {
+      this.logger.debug(`Found existing project: ${title} (ID: ${project.id})`);
+      return project;
+    }
+
+    if (this.dryRun) {
+      this.logger.info(`[DRY RUN] Would create project: ${title}`);
+      return null;
+    }
+
+    this.logger.info(`Creating project: ${title}`);
+    const created = await this.vikunja.createProject({ title, parent_project_id: parentId || 0 });
+    this.projects.push(created);
+    return created;
+  }
+
+  /**
+   * All tasks in the root project and its child projects, done or not
+   */
+  async connectorTasks(root) {
+    const ids = [root.id];
+    for (let i = 0; i < ids.length; i++) {
+      for (const project of this.projects) {
+        if (project.parent_project_id === ids[i]) {
+          ids.push(project.id);
+        }
+      }
+    }
+
+    const tasks = [];
+    for (const projectId of ids) {
+      tasks.push(...await this.vikunja.listAllTasks({ projectId }));
+    }
+    return tasks;
+  }
+}
+
+/**
+ * Map the "[TAG:ID]" title markers of tasks to their task id
+ */
+function markerMap(tasks) {
+  const markers = new Map();
+
+  for (const task of tasks) {
+    for (const [marker] of (task.title || '').matchAll(/\[[A-Z]+:[^\]\s]+\]/g)) {
+      markers.set(marker, task.id);
+    }
+  }
+  return markers;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Vikunja descriptions are HTML
+function textToHtml(text) {
+  if (!text) {
+    return '';
+  }
+  return text
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
@@ -0,0 +1,220 @@
+/**
+ * Jira Sync Connector
+ *
+ * Reads issues from the Jira Cloud REST API v3 (/rest/api/3/search/jql)
+ * using an email + API token. Select issues with JIRA_JQL; the default
+ * matches what the bash sync used: open issues assigned to you.
+ *
+ * @license AGPL-3.0
+ */
+
+import { SyncConnector, SyncSourceError, toIsoDate } from './connector.js';
+
+const DEFAULT_JQL = 'assignee=currentUser() AND resolution=Unresolved';
+
+// Jira default priority names -> Vikunja priority
+const PRIORITY_MAP = {
+  highest: 5,
+  high: 4,
+  medium: 3,
+  low: 2,
+  lowest: 1,
+};
+
+// Vikunja priority -> Jira priority name (two-way sync). Vikunja's 0 is
+// "unset" and clears the priority, so it reads back as 0.
+const PRIORITY_NAMES = [null, 'Lowest', 'Low', 'Medium', 'High', 'Highest'];
+
+const ISSUE_FIELDS = ['summary', 'description', 'priority', 'duedate', 'status', 'updated'].join(',');
+
+const PAGE_SIZE = 100;
+
+// Most issues /rest/api/3/issue/bulkfetch returns per request
+const BULK_FETCH_SIZE = 100;
+
+export class JiraConnector extends SyncConnector {
+  constructor({
+    baseUrl = process.env.JIRA_URL,
+    email = process.env.JIRA_EMAIL,
+    token = process.env.JIRA_TOKEN,
+    jql = process.env.JIRA_JQL || DEFAULT_JQL,
+    ...options
+  } = {}) {
+    super({ name: 'jira', tag: 'JIRA', projectTitle: 'Jira Tasks', baseUrl, ...options });
+    this.email = email;
+    this.token = token;
+    this.jql = jql;
+    // The default JQL (and most custom ones) only match unresolved issues
+    this.listsOpenItemsOnly = true;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.email && this.token);
+  }
+
+  headers() {
+    const credentials = Buffer.from(`${this.email}:${this.token}`).toString('base64');
+    return { Authorization: `Basic ${credentials}` };
+  }
+
+  async fetchIssues({ limit = 100, since = null } = {}) {
+    const issues = [];
+    const jql = since ? incrementalJql(this.jql, since) : this.jql;
+    let nextPageToken = null;
+
+    while (issues.length < limit) {
+      const page = await this.getJson('/rest/api/3/search/jql', {
+        jql,
+        fields: ISSUE_FIELDS,
+        maxResults: Math.min(PAGE_SIZE, limit - issues.length),
+        nextPageToken,
+      });
+
+      issues.push(...(page.issues || []));
+      nextPageToken = page.nextPageToken;
+      if (!nextPageToken || page.isLast) {
+        break;
+      }
+    }
+
+    return issues;
+  }
+
+  async fetchItem(externalId) {
+    try {
+      const issue = await this.getJson(`/rest/api/3/issue/${encodeURIComponent(externalId)}`, {
+        fields: ISSUE_FIELDS,
+      });
+      return this.mapIssue(issue);
+    } catch (error) {
+      if (error instanceof SyncSourceError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async fetchItemsById(externalIds) {
+    const items = [];
+
+    for (let i = 0; i < externalIds.length; i += BULK_FETCH_SIZE) {
+      // Keys that no longer exist come back in issueErrors
+      const { issues = [] } = await this.requestJson('POST', '/rest/api/3/issue/bulkfetch', {
+        body: {
+          issueIdsOrKeys: externalIds.slice(i, i + BULK_FETCH_SIZE),
+          fields: ISSUE_FIELDS.split(','),
+        },
+      });
+      items.push(...issues.map((issue) => this.mapIssue(issue)));
+    }
+
+    return items;
+  }
+
+  async updateIssue(externalId, changes) {
+    const path = `/rest/api/3/issue/${encodeURIComponent(externalId)}`;
+    const fields = {};
+
+    if ('title' in changes) {
+      fields.summary = changes.title;
+    }
+    if ('description' in changes) {
+      fields.description = textToAdf(changes.description);
+    }
+    if ('priority' in changes) {
+      const name = PRIORITY_NAMES[changes.priority];
+      fields.priority = name ? { name } : null;
+    }
+    if ('due_date' in changes) {
+      fields.duedate = changes.due_date;
+    }
+
+    if (Object.keys(fields).length > 0) {
+      await this.requestJson('PUT', path, { body: { fields } });
+    }
+    if ('done' in changes) {
+      await this.transition(externalId, changes.done);
+    }
+  }
+
+  /**
+   * Move an issue to the first available status in the done (or, to
+   * reopen, the to-do) category
+   */
+  async transition(externalId, done) {
+    const path = `/rest/api/3/issue/${encodeURIComponent(externalId)}/transitions`;
+    const { transitions = [] } = await this.getJson(path);
+    const category = done ? 'done' : 'new';
+    const transition = transitions.find((t) => t.to?.statusCategory?.key === category);
+
+    if (!transition) {
+      throw new SyncSourceError(`No Jira transition to a "${category}" status for ${externalId}`, {
+        source: this.name,
+      });
+    }
+    await this.requestJson('POST', path, { body: { transition: { id: transition.id } } });
+  }
+
+  mapIssue(issue) {
+    const fields = issue.fields || {};
+
+    return {
+      externalId: issue.key,
+      title: fields.summary || '',
+      description: adfToText(fields.description),
+      done: fields.status?.statusCategory?.key === 'done',
+      priority: PRIORITY_MAP[String(fields.priority?.name || '').toLowerCase()] || 0,
+      dueDate: toIsoDate(fields.duedate),
+      updated: toIsoDate(fields.updated),
+      url: `${this.baseUrl}/browse/${issue.key}`,
+    };
+  }
+}
+
+/**
+ * Restrict a JQL query to issues updated since a date, oldest first
+ * (replaces any ORDER BY of the configured query)
+ */
+function incrementalJql(jql, since) {
+  const [where] = jql.split(/\border\s+by\b/i);
+  const condition = `updated >= "${since}"`;
+  const filter = where.trim() ? `(${where.trim()}) AND ${condition}` : condition;
+  return `${filter} ORDER BY updated ASC`;
+}
+
+/**
+ * Wrap plain text in an Atlassian Document Format document
+ */
+export function textToAdf(text) {
+  const paragraphs = String(text || '').split(/\n{2,}/).filter((p) => p.trim());
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map((paragraph) => ({
+      type: 'paragraph',
+      content: [{ type: 'text', text: paragraph }],
+    })),
+  };
+}
+
+/**
+ * Flatten an Atlassian Document Format node to plain text
+ */
+export function adfToText(node) {
+  if (!node) {
+    return '';
+  }
+  if (typeof node === 'string') {
+    return node;
+  }
+  if (node.type === 'text') {
+    return node.text || '';
+  }
+  if (node.type === 'hardBreak') {
+    return '\n';
+  }
+
+  const text = (node.content || []).map(adfToText).join('');
+  const isBlock = ['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote'].includes(node.type);
+  return isBlock ? `${text}\n` : node.type === 'doc' ? text.trim() : text;
+}
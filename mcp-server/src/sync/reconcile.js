@@ -0,0 +1,223 @@
+/**
+ * Two-Way Sync Reconciliation
+ *
+ * Compares an external issue and its Vikunja task field by field against
+ * the values both had at the last sync (the "base"):
+ * - only the source changed  -> copy to Vikunja
+ * - only Vikunja changed     -> copy to the source
+ * - both changed differently -> conflict, resolved by the field's policy
+ *
+ * Conflict policies:
+ * - prefer-source    - the tracker's value wins
+ * - prefer-vikunja   - Vikunja's value wins
+ * - newest-wins      - the side updated most recently wins
+ * - flag-for-review  - neither side is touched; the conflict is recorded
+ *                      and the task labeled until someone resolves it
+ *
+ * Values are compared in a canonical, source-neutral form (plain text
+ * description, YYYY-MM-DD due date) so formatting differences between the
+ * trackers and Vikunja don't count as edits.
+ *
+ * @license AGPL-3.0
+ */
+
+export const CONFLICT_POLICIES = ['prefer-source', 'prefer-vikunja', 'newest-wins', 'flag-for-review'];
+
+export const DEFAULT_CONFLICT_POLICY = 'flag-for-review';
+
+// Fields kept in sync per sync mode
+export const SYNC_FIELDS = {
+  titles_only: ['title', 'done'],
+  full: ['title', 'description', 'done', 'priority', 'due_date', 'labels'],
+};
+
+/**
+ * Build the per-field policy map from a default policy and overrides like
+ * "title=prefer-source,done=newest-wins"
+ */
+export function parseConflictPolicies(defaultPolicy = DEFAULT_CONFLICT_POLICY, overrides = '') {
+  const fields = SYNC_FIELDS.full;
+  const policies = Object.fromEntries(fields.map((field) => [field, defaultPolicy]));
+
+  for (const entry of String(overrides || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [field, policy] = entry.split('=').map((s) => s.trim());
+    if (!fields.includes(field)) {
+      throw new Error(`Unknown sync field in conflict policies: ${field} (expected ${fields.join(', ')})`);
+    }
+    policies[field] = policy;
+  }
+
+  for (const policy of Object.values(policies)) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+      throw new Error(`Unknown conflict policy: ${policy} (expected ${CONFLICT_POLICIES.join(', ')})`);
+    }
+  }
+  return policies;
+}
+
+/**
+ * Canonical values of a sync item (the source side)
+ */
+export function valuesFromItem(item) {
+  return {
+    title: item.title || '',
+    description: normalizeText(item.description),
+    done: Boolean(item.done),
+    priority: item.priority || 0,
+    due_date: toDay(item.dueDate),
+    labels: [...(item.labels || [])].sort(),
+  };
+}
+
+/**
+ * Canonical values of a Vikunja task created by the sync. Labels in
+ * `ignoreLabels` (the conflict label) are left out.
+ */
+export function valuesFromTask(task, { ignoreLabels = [] } = {}) {
+  return {
+    title: stripMarker(task.title || ''),
+    description: normalizeText(taskDescriptionText(task)),
+    done: Boolean(task.done),
+    priority: task.priority || 0,
+    due_date: toDay(task.due_date),
+    labels: (task.labels || [])
+      .map((label) => label.title)
+      .filter((title) => !ignoreLabels.includes(title))
+      .sort(),
+  };
+}
+
+/**
+ * Reconcile one issue with its task.
+ *
+ * @param {object} options
+ * @param {object} options.base          Canonical values at the last sync
+ * @param {object} options.source        Current canonical source values
+ * @param {object} options.vikunja       Current canonical Vikunja values
+ * @param {string[]} options.fields      Fields to reconcile
+ * @param {object} options.policies      Field -> conflict policy
+ * @param {string} [options.sourceUpdated]   Source last-change timestamp
+ * @param {string} [options.vikunjaUpdated]  Vikunja last-change timestamp
+ * @param {object} [options.resolutions] Field -> 'source' | 'vikunja', chosen by a reviewer
+ * @returns {{ toSource: object, toVikunja: object, base: object, conflicts: object }}
+ */
+export function reconcile({
+  base,
+  source,
+  vikunja,
+  fields,
+  policies,
+  sourceUpdated = null,
+  vikunjaUpdated = null,
+  resolutions = {},
+}) {
+  const toSource = {};
+  const toVikunja = {};
+  const conflicts = {};
+  const newBase = { ...base };
+
+  for (const field of fields) {
+    const sourceChanged = !sameValue(source[field], base[field]);
+    const vikunjaChanged = !sameValue(vikunja[field], base[field]);
+
+    if (sameValue(source[field], vikunja[field])) {
+      newBase[field] = source[field];
+      continue;
+    }
+
+    let winner = null;
+    if (resolutions[field]) {
+      winner = resolutions[field];
+    } else if (sourceChanged && !vikunjaChanged) {
+      winner = 'source';
+    } else if (vikunjaChanged && !sourceChanged) {
+      winner = 'vikunja';
+    } else {
+      winner = resolveConflict(policies[field], sourceUpdated, vikunjaUpdated);
+    }
+
+    if (winner === 'source') {
+      toVikunja[field] = source[field];
+      newBase[field] = source[field];
+    } else if (winner === 'vikunja') {
+      toSource[field] = vikunja[field];
+      newBase[field] = vikunja[field];
+    } else {
+      conflicts[field] = { source: source[field], vikunja: vikunja[field] };
+    }
+  }
+
+  return { toSource, toVikunja, base: newBase, conflicts };
+}
+
+/**
+ * Winning side of a conflict under a policy, or null to flag it for review
+ */
+function resolveConflict(policy, sourceUpdated, vikunjaUpdated) {
+  switch (policy) {
+    case 'prefer-source':
+      return 'source';
+    case 'prefer-vikunja':
+      return 'vikunja';
+    case 'newest-wins': {
+      const sourceTime = Date.parse(sourceUpdated);
+      const vikunjaTime = Date.parse(vikunjaUpdated);
+      if (Number.isNaN(sourceTime) || Number.isNaN(vikunjaTime)) {
+        return null;
+      }
+      return sourceTime >= vikunjaTime ? 'source' : 'vikunja';
+    }
+    default:
+      return null;
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Vikunja stores "no due date" as the zero time
+function toDay(value) {
+  if (!value || String(value).startsWith('0001-01-01')) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+}
+
+function stripMarker(title) {
+  return title.replace(/\s*\[[A-Z]+:[^\]\s]+\]\s*$/, '');
+}
+
+// The sync prefixes full-mode descriptions with a link to the issue
+function stripSourceLink(html) {
+  return html.replace(/^<p><a href="[^"]*">[^<]*<\/a><\/p>/, '');
+}
+
+/**
+ * Plain-text description of a synced task, without the link to the issue
+ */
+export function taskDescriptionText(task) {
+  return htmlToText(stripSourceLink(task.description || ''));
+}
+
+/**
+ * Plain text of a Vikunja HTML description
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
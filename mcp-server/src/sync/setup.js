@@ -0,0 +1,79 @@
+/**
+ * Sync Setup
+ *
+ * Builds the sync engine from the environment, shared by the CLI (cron)
+ * and the webhook receiver of the MCP server. Runs hold the sync lock, so
+ * a webhook-triggered run and a cron run never write the state at once.
+ *
+ * @license AGPL-3.0
+ */
+
+import { VikunjaClient } from '../vikunja-client.js';
+import { SyncEngine, DEFAULT_CONFLICT_LABEL } from './engine.js';
+import { parseConflictPolicies, DEFAULT_CONFLICT_POLICY } from './reconcile.js';
+import { SyncStateStore, acquireSyncLock } from './state-store.js';
+import { YouTrackConnector } from './youtrack-connector.js';
+import { JiraConnector } from './jira-connector.js';
+import { TodoistConnector } from './todoist-connector.js';
+
+/**
+ * All connectors, configured from the environment
+ */
+export function createConnectors() {
+  return [new YouTrackConnector(), new JiraConnector(), new TodoistConnector()];
+}
+
+/**
+ * Create a sync engine configured from the environment
+ *
+ * @param {object} options
+ * @param {SyncStateStore} options.state
+ * @param {boolean} [options.dryRun]
+ * @param {boolean} [options.full]       Ignore the last sync timestamp
+ * @param {string} [options.direction]  Overrides SYNC_DIRECTION
+ * @param {object} [options.logger]
+ */
+export function createSyncEngine({ state, dryRun = false, full = false, direction, logger }) {
+  return new SyncEngine({
+    vikunjaClient: new VikunjaClient({
+      baseUrl: process.env.VIKUNJA_API_URL,
+      token: process.env.VIKUNJA_API_TOKEN,
+      timeoutMs: parseInt(process.env.VIKUNJA_TIMEOUT_MS || '30000', 10),
+      maxRetries: parseInt(process.env.VIKUNJA_MAX_RETRIES || '3', 10),
+      requestsPerSecond: parseFloat(process.env.VIKUNJA_RATE_LIMIT || '1'),
+    }),
+    connectors: createConnectors(),
+    mode: process.env.SYNC_MODE || 'titles_only',
+    maxTasks: parseInt(process.env.SYNC_MAX_TASKS || '100', 10),
+    state,
+    full,
+    direction: direction || process.env.SYNC_DIRECTION || 'import',
+    policies: parseConflictPolicies(
+      process.env.SYNC_CONFLICT_POLICY || DEFAULT_CONFLICT_POLICY,
+      process.env.SYNC_CONFLICT_POLICIES
+    ),
+    conflictLabel: process.env.SYNC_CONFLICT_LABEL || DEFAULT_CONFLICT_LABEL,
+    dryRun,
+    logger,
+  });
+}
+
+/**
+ * Run a sync of the named sources (all when null) while holding the sync
+ * lock. Returns the per-source results, or null when another run holds
+ * the lock.
+ */
+export async function runLockedSync(sourceNames, options = {}) {
+  const release = acquireSyncLock();
+  if (!release) {
+    return null;
+  }
+
+  try {
+    // Load the state only now, so changes of the previous run are seen
+    const engine = createSyncEngine({ ...options, state: new SyncStateStore() });
+    return await engine.run(sourceNames);
+  } finally {
+    release();
+  }
+}
@@ -0,0 +1,253 @@
+/**
+ * Sync State Store
+ *
+ * Remembers, per source, which Vikunja task each external issue was synced
+ * to, a hash of the issue content at that time, and when the source was
+ * last synced. Lets the engine fetch only recently updated issues and skip
+ * the ones that didn't change.
+ *
+ * Kept as a JSON file (SYNC_STATE_DIR/sync-engine-state.json), written
+ * atomically so a crash never leaves a partial file:
+ *
+ *   {
+ *     "version": 1,
+ *     "sources": {
+ *       "jira": {
+ *         "last_synced_at": "2026-01-01T12:00:00.000Z",
+ *         "cursor": "2026-01-01T11:58:13.000Z",
+ *         "items": {
+ *           "PROJ-1": {
+ *             "task_id": 42, "hash": "…", "source_updated": "…", "done": false,
+ *             "synced_at": "…",
+ *             // two-way sync only:
+ *             "base": { "title": "…", "done": false, … },
+ *             "vikunja_updated": "…",
+ *             "conflicts": { "title": { "source": "…", "vikunja": "…", "detected_at": "…" } }
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * @license AGPL-3.0
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+export const STATE_FILE_NAME = 'sync-engine-state.json';
+
+const LOCK_FILE_NAME = 'sync-engine.lock';
+
+const STATE_VERSION = 1;
+
+// The lock holder touches the lock this often while it runs...
+export const LOCK_HEARTBEAT_MS = 60 * 1000;
+
+// ...so a lock untouched for this long is left over from a crashed run
+const LOCK_STALE_MS = 5 * 60 * 1000;
+
+/**
+ * Directory holding the sync state (SYNC_STATE_DIR, default ~/sync-state)
+ */
+export function defaultStateDir() {
+  return process.env.SYNC_STATE_DIR || path.join(os.homedir(), 'sync-state');
+}
+
+/**
+ * Stable hash of the synced fields of an item
+ */
+export function contentHash(item) {
+  const content = {
+    title: item.title || '',
+    description: item.description || '',
+    done: Boolean(item.done),
+    priority: item.priority || 0,
+    dueDate: item.dueDate || null,
+    labels: item.labels || null,
+    location: item.location || null,
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/**
+ * Take the lock serializing sync runs (and other state writers) across
+ * processes sharing the state directory. Returns a function releasing it,
+ * or null if it is held by someone else. Until released, the lock's mtime
+ * is refreshed every LOCK_HEARTBEAT_MS, however long the run takes.
+ */
+export function acquireSyncLock(dir = defaultStateDir()) {
+  const lockPath = path.join(dir, LOCK_FILE_NAME);
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, at: new Date().toISOString() }), {
+        flag: 'wx',
+        mode: 0o600,
+      });
+      const heartbeat = setInterval(() => {
+        const now = new Date();
+        try {
+          fs.utimesSync(lockPath, now, now);
+        } catch {
+          // Removed by hand; the next run simply takes a fresh lock
+        }
+      }, LOCK_HEARTBEAT_MS);
+      heartbeat.unref();
+
+      return () => {
+        clearInterval(heartbeat);
+        fs.rmSync(lockPath, { force: true });
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+      if (stat && Date.now() - stat.mtimeMs < LOCK_STALE_MS) {
+        return null;
+      }
+      fs.rmSync(lockPath, { force: true });
+    }
+  }
+  return null;
+}
+
+export class SyncStateStore {
+  constructor({ dir = defaultStateDir() } = {}) {
+    this.filePath = path.join(dir, STATE_FILE_NAME);
+    this.data = { version: STATE_VERSION, sources: {} };
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    if (saved.version !== STATE_VERSION) {
+      throw new Error(`Unsupported sync state version ${saved.version} in ${this.filePath}`);
+    }
+    this.data = saved;
+  }
+
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  source(name) {
+    if (!this.data.sources[name]) {
+      this.data.sources[name] = { last_synced_at: null, cursor: null, items: {} };
+    }
+    return this.data.sources[name];
+  }
+
+  getItem(sourceName, externalId) {
+    return this.source(sourceName).items[externalId] || null;
+  }
+
+  setItem(sourceName, externalId, entry) {
+    this.source(sourceName).items[externalId] = {
+      ...entry,
+      synced_at: new Date().toISOString(),
+    };
+  }
+
+  deleteItem(sourceName, externalId) {
+    delete this.source(sourceName).items[externalId];
+  }
+
+  /**
+   * External id of the item mapped to a Vikunja task, if any
+   */
+  findByTaskId(sourceName, taskId) {
+    const entry = Object.entries(this.source(sourceName).items)
+      .find(([, item]) => item.task_id === taskId);
+    return entry ? entry[0] : null;
+  }
+
+  /**
+   * Two-way sync conflicts across all sources, including resolved ones
+   * the next run hasn't applied yet
+   */
+  listConflicts() {
+    const conflicts = [];
+
+    for (const [sourceName, source] of Object.entries(this.data.sources)) {
+      for (const [externalId, item] of Object.entries(source.items)) {
+        for (const [field, conflict] of Object.entries(item.conflicts || {})) {
+          conflicts.push({
+            source: sourceName,
+            external_id: externalId,
+            task_id: item.task_id,
+            field,
+            source_value: conflict.source,
+            vikunja_value: conflict.vikunja,
+            detected_at: conflict.detected_at,
+            resolution: conflict.resolution || null,
+          });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Choose the winning side of a task's conflicts ('source' or 'vikunja').
+   * Applied by the next sync run. Without `field`, all of the task's
+   * conflicts are resolved. Returns the number of conflicts resolved.
+   */
+  resolveConflicts(taskId, keep, field = null) {
+    if (!['source', 'vikunja'].includes(keep)) {
+      throw new Error(`keep must be "source" or "vikunja", got: ${keep}`);
+    }
+
+    let resolved = 0;
+    for (const source of Object.values(this.data.sources)) {
+      for (const item of Object.values(source.items)) {
+        if (item.task_id !== taskId) {
+          continue;
+        }
+        for (const [name, conflict] of Object.entries(item.conflicts || {})) {
+          if (!field || field === name) {
+            conflict.resolution = keep;
+            resolved++;
+          }
+        }
+      }
+    }
+    return resolved;
+  }
+
+  /**
+   * Newest source `updated` timestamp seen; the next run fetches from here
+   */
+  getCursor(sourceName) {
+    return this.source(sourceName).cursor;
+  }
+
+  /**
+   * Record a finished run. The cursor only moves forward.
+   */
+  markSynced(sourceName, cursor) {
+    const source = this.source(sourceName);
+    source.last_synced_at = new Date().toISOString();
+    if (cursor && (!source.cursor || cursor > source.cursor)) {
+      source.cursor = cursor;
+    }
+  }
+
+  /**
+   * Forget a source entirely (next run is a full sync)
+   */
+  reset(sourceName) {
+    delete this.data.sources[sourceName];
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Sync Queue
+ *
+ * Collects sync requests from webhooks and runs one incremental sync for
+ * all of them:
+ * - deduplication - repeated events for the same item (or the same source)
+ *                   while a run is pending collapse into that run
+ * - debouncing    - the run starts once no event arrived for `debounceMs`,
+ *                   but no later than `maxDelayMs` after the first event
+ *
+ * Runs never overlap. Events arriving during a run queue the next one, and
+ * a run that finds the sync lock taken (e.g. by the cron fallback) is
+ * retried after another debounce period.
+ *
+ * @license AGPL-3.0
+ */
+
+import { createLogger } from '../logger.js';
+
+export class SyncQueue {
+  /**
+   * @param {object} options
+   * @param {(sources: string[]) => Promise<object[]|null>} options.runSync
+   *   Syncs the sources; resolves to null if the sync lock is taken
+   * @param {number} [options.debounceMs]
+   * @param {number} [options.maxDelayMs]
+   */
+  constructor({ runSync, debounceMs = 5000, maxDelayMs = 60000, logger }) {
+    this.runSync = runSync;
+    this.debounceMs = debounceMs;
+    this.maxDelayMs = maxDelayMs;
+    this.logger = logger || createLogger();
+
+    // source -> Set of item keys waiting for the next run
+    this.pending = new Map();
+    this.firstQueuedAt = null;
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Queue a sync of `source` for the item `key`. Returns whether the item
+   * was already waiting for the next run.
+   */
+  enqueue(source, key) {
+    if (!this.pending.has(source)) {
+      this.pending.set(source, new Set());
+    }
+    const keys = this.pending.get(source);
+    const duplicate = keys.has(key);
+    keys.add(key);
+
+    this.firstQueuedAt = this.firstQueuedAt || Date.now();
+    this.schedule();
+    return { queued: true, duplicate };
+  }
+
+  /**
+   * (Re)start the debounce timer, capped by the maximum delay
+   */
+  schedule(delayMs = this.debounceMs) {
+    if (this.timer) clearTimeout(this.timer);
+    if (this.running) {
+      // flush() reschedules when the current run ends
+      return;
+    }
+
+    const deadline = this.firstQueuedAt + this.maxDelayMs;
+    this.timer = setTimeout(() => this.flush(), Math.max(0, Math.min(delayMs, deadline - Date.now())));
+    this.timer.unref();
+  }
+
+  /**
+   * Run the sync for everything pending
+   */
+  async flush() {
+    this.timer = null;
+    if (this.running || this.pending.size === 0) {
+      return;
+    }
+
+    const batch = this.pending;
+    this.pending = new Map();
+    this.firstQueuedAt = null;
+    this.running = true;
+
+    const sources = [...batch.keys()];
+    const items = [...batch.values()].reduce((count, keys) => count + keys.size, 0);
+    this.logger.info(`Webhook sync of ${sources.join(', ')} (${items} changed items)`);
+
+    try {
+      const results = await this.runSync(sources);
+      if (results) {
+        this.lastRun = { at: new Date().toISOString(), sources, items, results };
+      } else {
+        this.logger.info('Sync lock is taken, retrying the webhook sync later');
+        this.requeue(batch);
+      }
+    } catch (error) {
+      this.logger.error(`Webhook sync failed: ${error.message}`);
+      this.lastRun = { at: new Date().toISOString(), sources, items, error: error.message };
+    } finally {
+      this.running = false;
+    }
+
+    if (this.pending.size > 0) {
+      this.schedule();
+    }
+  }
+
+  /**
+   * Put a batch back in front of anything queued meanwhile
+   */
+  requeue(batch) {
+    for (const [source, keys] of batch) {
+      for (const key of keys) {
+        this.enqueue(source, key);
+      }
+    }
+  }
+
+  /**
+   * Queue state for the health endpoint
+   */
+  status() {
+    return {
+      pending: Object.fromEntries([...this.pending].map(([source, keys]) => [source, keys.size])),
+      running: this.running,
+      last_run: this.lastRun,
+    };
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * Todoist Sync Connector
+ *
+ * Reads active tasks through the Todoist REST API (TodoistClient) using an
+ * API token. Todoist projects and sections become child projects of the
+ * "Todoist" Vikunja project, labels become Vikunja labels and priorities
+ * p1-p4 map to Vikunja 5, 4, 3 and 1. Narrow the tasks with TODOIST_FILTER
+ * (Todoist filter syntax, e.g. "#Work | @waiting").
+ *
+ * Todoist has no "updated since" query and lists active tasks only, so
+ * every run scans all of them; the engine skips unchanged tasks by hash
+ * and looks up mapped tasks that dropped out of the listing to see whether
+ * they were completed. REST only knows active tasks, so those that aren't
+ * are looked up through the Sync API, which still serves completed ones.
+ * The listing isn't cut at SYNC_MAX_TASKS: the engine applies that limit
+ * to the tasks it creates.
+ *
+ * @license AGPL-3.0
+ */
+
+import { SyncConnector, SyncSourceError, toIsoDate } from './connector.js';
+import {
+  TodoistClient,
+  todoistToVikunjaPriority,
+  vikunjaToTodoistPriority,
+} from '../todoist-client.js';
+
+export class TodoistConnector extends SyncConnector {
+  constructor({
+    baseUrl = process.env.TODOIST_API_URL || 'https://api.todoist.com/rest/v2',
+    syncUrl = process.env.TODOIST_SYNC_API_URL,
+    token = process.env.TODOIST_API_TOKEN,
+    filter = process.env.TODOIST_FILTER || '',
+    ...options
+  } = {}) {
+    super({ name: 'todoist', tag: 'TD', projectTitle: 'Todoist', baseUrl, ...options });
+    this.token = token;
+    this.filter = filter;
+    this.client = new TodoistClient({ baseUrl: this.baseUrl, syncUrl, token, timeoutMs: this.timeoutMs });
+    this.projectNames = null;
+    this.sectionNames = null;
+
+    this.supportsIncremental = false;
+    this.listsOpenItemsOnly = true;
+    this.fields = [...this.fields, 'labels'];
+  }
+
+  isConfigured() {
+    return Boolean(this.token);
+  }
+
+  async fetchItems() {
+    await this.loadNames();
+    const tasks = await this.client.listTasks({ filter: this.filter || null });
+    return tasks.map((task) => this.mapIssue(task));
+  }
+
+  async fetchItem(externalId) {
+    try {
+      await this.loadNames();
+      return this.mapIssue(await this.client.getAnyTask(externalId));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw this.sourceError(error);
+    }
+  }
+
+  /**
+   * Tasks still active (e.g. outside TODOIST_FILTER) come from one REST
+   * listing; the rest are completed or deleted and looked up one by one
+   */
+  async fetchItemsById(externalIds) {
+    let active;
+    try {
+      await this.loadNames();
+      active = (await this.client.listTasks({ ids: externalIds })).map((task) => this.mapIssue(task));
+    } catch (error) {
+      throw this.sourceError(error);
+    }
+
+    const activeIds = new Set(active.map((item) => item.externalId));
+    const closed = await super.fetchItemsById(externalIds.filter((id) => !activeIds.has(id)));
+    return [...active, ...closed];
+  }
+
+  async updateIssue(externalId, changes) {
+    const updates = {};
+
+    if ('title' in changes) {
+      updates.content = changes.title;
+    }
+    if ('description' in changes) {
+      updates.description = changes.description;
+    }
+    if ('priority' in changes) {
+      updates.priority = vikunjaToTodoistPriority(changes.priority);
+    }
+    if ('due_date' in changes) {
+      if (changes.due_date) {
+        updates.due_date = changes.due_date;
+      } else {
+        updates.due_string = 'no date';
+      }
+    }
+    if ('labels' in changes) {
+      updates.labels = changes.labels;
+    }
+
+    try {
+      if (Object.keys(updates).length > 0) {
+        await this.client.updateTask(externalId, updates);
+      }
+      if ('done' in changes) {
+        await (changes.done ? this.client.closeTask(externalId) : this.client.reopenTask(externalId));
+      }
+    } catch (error) {
+      throw this.sourceError(error);
+    }
+  }
+
+  mapIssue(task) {
+    const location = [this.projectNames.get(task.project_id) || 'Inbox'];
+    if (task.section_id && this.sectionNames.has(task.section_id)) {
+      location.push(this.sectionNames.get(task.section_id));
+    }
+
+    return {
+      externalId: String(task.id),
+      title: task.content || '',
+      description: task.description || '',
+      done: Boolean(task.is_completed),
+      priority: todoistToVikunjaPriority(task.priority),
+      dueDate: toIsoDate(task.due?.date),
+      // Todoist REST tasks carry no modification time
+      updated: null,
+      url: task.url || `https://app.todoist.com/app/task/${task.id}`,
+      labels: task.labels || [],
+      location,
+    };
+  }
+
+  /**
+   * Load project and section names once per run
+   */
+  async loadNames() {
+    if (this.projectNames) {
+      return;
+    }
+
+    try {
+      const [projects, sections] = await Promise.all([
+        this.client.listProjects(),
+        this.client.listSections(),
+      ]);
+      this.projectNames = new Map(projects.map((project) => [project.id, project.name]));
+      this.sectionNames = new Map(sections.map((section) => [section.id, section.name]));
+    } catch (error) {
+      throw this.sourceError(error);
+    }
+  }
+
+  /**
+   * Report client errors the way the other connectors do
+   */
+  sourceError(error) {
+    if (error instanceof SyncSourceError) {
+      return error;
+    }
+    return new SyncSourceError(`${this.name} request failed: ${error.message}`, {
+      source: this.name,
+      status: error.status ?? null,
+      body: error.body ?? null,
+    });
+  }
+}
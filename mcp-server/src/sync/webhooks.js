@@ -0,0 +1,217 @@
+/**
+ * Sync Webhooks
+ *
+ * Receives change notifications so edits are synced within seconds
+ * instead of at the next cron run (which stays as a fallback):
+ *
+ *   POST /webhooks/vikunja   - Vikunja task.created / task.updated / task.deleted
+ *   POST /webhooks/jira      - Jira issue created / updated / deleted
+ *   POST /webhooks/youtrack  - YouTrack workflow notification
+ *
+ * A source's endpoint is enabled by its secret (VIKUNJA_WEBHOOK_SECRET,
+ * JIRA_WEBHOOK_SECRET, YOUTRACK_WEBHOOK_SECRET). Requests are verified
+ * before anything is queued:
+ * - Vikunja  - X-Vikunja-Signature: hex HMAC-SHA256 of the body
+ * - Jira     - X-Hub-Signature: "sha256=" + hex HMAC-SHA256 of the body
+ * - YouTrack - X-YouTrack-Signature like Jira, or the secret itself in
+ *              X-Webhook-Token (YouTrack workflows can't compute HMACs)
+ *
+ * Accepted events are handed to the SyncQueue, which runs one incremental
+ * sync for all of them. Every verified event is also passed to `onEvent`
+ * (the MCP server uses Vikunja events to refresh subscribed resources).
+ *
+ * @license AGPL-3.0
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { createLogger } from '../logger.js';
+
+const VIKUNJA_EVENTS = ['task.created', 'task.updated', 'task.deleted'];
+
+const MARKER_PATTERN = /\[([A-Z]+):([^\]\s]+)\]\s*$/;
+
+/**
+ * Raised for webhook requests that are rejected
+ */
+export class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+  }
+}
+
+/**
+ * Webhook secrets from the environment; sources without one are disabled
+ */
+export function webhookSecretsFromEnv(env = process.env) {
+  return Object.fromEntries(
+    [
+      ['vikunja', env.VIKUNJA_WEBHOOK_SECRET],
+      ['jira', env.JIRA_WEBHOOK_SECRET],
+      ['youtrack', env.YOUTRACK_WEBHOOK_SECRET],
+    ].filter(([, secret]) => secret)
+  );
+}
+
+/**
+ * Hex HMAC-SHA256 of a request body
+ */
+export function signBody(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Throw unless the request carries a valid signature for the source
+ */
+export function verifySignature(source, secret, headers, rawBody) {
+  let signature = null;
+
+  if (source === 'vikunja') {
+    signature = headers['x-vikunja-signature'];
+  } else if (source === 'jira') {
+    signature = stripAlgorithm(headers['x-hub-signature']);
+  } else if (source === 'youtrack') {
+    signature = stripAlgorithm(headers['x-youtrack-signature']);
+    if (!signature && headers['x-webhook-token']) {
+      if (!safeEqual(headers['x-webhook-token'], secret)) {
+        throw new WebhookError('Invalid webhook token', 401);
+      }
+      return;
+    }
+  }
+
+  if (!signature) {
+    throw new WebhookError('Missing webhook signature', 401);
+  }
+  if (!safeEqual(signature.toLowerCase(), signBody(secret, rawBody))) {
+    throw new WebhookError('Invalid webhook signature', 401);
+  }
+}
+
+/**
+ * Work out what a verified webhook payload asks for.
+ *
+ * Returns `{ event, source, key }` - the sync source to run and the item
+ * that changed - or `{ event, ignored }` for events that need no sync.
+ *
+ * @param {string} source  Webhook source (URL path)
+ * @param {object} payload Parsed JSON body
+ * @param {object} lookup
+ * @param {Map<string, string>} lookup.sourcesByTag  Title marker tag -> sync source
+ * @param {(taskId: number) => string|null} lookup.sourceForTask
+ *   Sync source a Vikunja task is mapped to (for tasks without a marker)
+ */
+export function parseWebhook(source, payload, { sourcesByTag, sourceForTask }) {
+  if (source === 'vikunja') {
+    const event = payload.event_name;
+    if (!VIKUNJA_EVENTS.includes(event)) {
+      return { event, ignored: 'event not handled' };
+    }
+
+    const task = payload.data?.task;
+    if (!task?.id) {
+      throw new WebhookError('Vikunja payload has no task');
+    }
+
+    const marker = String(task.title || '').match(MARKER_PATTERN);
+    const syncSource = (marker && sourcesByTag.get(marker[1])) || sourceForTask(task.id);
+    if (!syncSource) {
+      return { event, ignored: 'task is not synced' };
+    }
+    return { event, source: syncSource, key: `task:${task.id}` };
+  }
+
+  if (source === 'jira') {
+    const event = payload.webhookEvent;
+    if (!payload.issue?.key) {
+      return { event, ignored: 'not an issue event' };
+    }
+    return { event, source: 'jira', key: payload.issue.key };
+  }
+
+  if (source === 'youtrack') {
+    const issueId = payload.issueId || payload.idReadable || payload.issue?.idReadable || payload.issue?.id;
+    if (!issueId) {
+      throw new WebhookError('YouTrack payload has no issue id');
+    }
+    return { event: payload.event || 'issue.changed', source: 'youtrack', key: String(issueId) };
+  }
+
+  throw new WebhookError(`Unknown webhook source: ${source}`, 404);
+}
+
+/**
+ * Express router serving /webhooks/:source. Mount it before any JSON body
+ * parser: signatures are computed over the raw body.
+ *
+ * @param {object} options
+ * @param {(source: string, payload: object) => void} [options.onEvent]
+ *   Called for every verified event, whether or not it needs a sync
+ */
+export function createWebhookRouter({ secrets, queue, lookup, onEvent = null, logger = createLogger() }) {
+  const router = express.Router();
+
+  router.post('/:source', express.raw({ type: () => true, limit: '1mb' }), (req, res) => {
+    const { source } = req.params;
+
+    try {
+      const secret = secrets[source];
+      if (!secret) {
+        throw new WebhookError(`Webhooks from ${source} are not enabled`, 404);
+      }
+
+      const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      verifySignature(source, secret, req.headers, rawBody);
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch {
+        throw new WebhookError('Webhook body is not valid JSON');
+      }
+
+      if (onEvent) {
+        try {
+          onEvent(source, payload);
+        } catch (error) {
+          logger.warn(`Webhook event handler failed: ${error.message}`);
+        }
+      }
+
+      const parsed = parseWebhook(source, payload, lookup);
+      if (parsed.ignored) {
+        logger.debug(`Ignoring ${source} webhook ${parsed.event}: ${parsed.ignored}`);
+        res.status(202).json({ queued: false, event: parsed.event, reason: parsed.ignored });
+        return;
+      }
+
+      const { duplicate } = queue.enqueue(parsed.source, parsed.key);
+      logger.info(`Queued ${parsed.source} sync for ${parsed.key} (${parsed.event})`, { duplicate });
+      res.status(202).json({ queued: true, duplicate, event: parsed.event, source: parsed.source });
+    } catch (error) {
+      const status = error instanceof WebhookError ? error.status : 500;
+      logger.warn(`Rejected ${source} webhook: ${error.message}`);
+      res.status(status).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Drop an "sha256=" algorithm prefix from a signature header
+ */
+function stripAlgorithm(signature) {
+  return signature ? signature.replace(/^sha256=/i, '') : null;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
@@ -0,0 +1,182 @@
+/**
+ * YouTrack Sync Connector
+ *
+ * Reads issues from the YouTrack REST API (/api/issues) using a permanent
+ * token. Narrow the issues with YOUTRACK_QUERY, e.g.
+ * "for: me #Unresolved".
+ *
+ * @license AGPL-3.0
+ */
+
+import { SyncConnector, SyncSourceError, toIsoDate } from './connector.js';
+
+// YouTrack default priority values -> Vikunja priority
+const PRIORITY_MAP = {
+  'show-stopper': 5,
+  critical: 4,
+  major: 3,
+  normal: 2,
+  minor: 1,
+};
+
+// Vikunja priority -> YouTrack priority value (two-way sync). Vikunja's 0
+// is "unset" and clears the priority, so it reads back as 0.
+const PRIORITY_NAMES = [null, 'Minor', 'Normal', 'Major', 'Critical', 'Show-stopper'];
+
+const ISSUE_FIELDS = [
+  'idReadable',
+  'summary',
+  'description',
+  'resolved',
+  'updated',
+  'customFields(name,value(name))',
+].join(',');
+
+const PAGE_SIZE = 100;
+
+// Issue ids per "issue id:" query, keeping the URL short
+const LOOKUP_SIZE = 50;
+
+export class YouTrackConnector extends SyncConnector {
+  constructor({
+    baseUrl = process.env.YOUTRACK_URL,
+    token = process.env.YOUTRACK_TOKEN,
+    query = process.env.YOUTRACK_QUERY || '',
+    doneState = process.env.YOUTRACK_DONE_STATE || 'Fixed',
+    openState = process.env.YOUTRACK_OPEN_STATE || 'Open',
+    ...options
+  } = {}) {
+    super({ name: 'youtrack', tag: 'YT', projectTitle: 'YouTrack Tasks', baseUrl, ...options });
+    this.token = token;
+    this.query = query;
+    this.doneState = doneState;
+    this.openState = openState;
+    // Queries usually select #Unresolved issues
+    this.listsOpenItemsOnly = true;
+  }
+
+  isConfigured() {
+    return Boolean(this.baseUrl && this.token);
+  }
+
+  headers() {
+    return { Authorization: `Bearer ${this.token}` };
+  }
+
+  async fetchIssues({ limit = 100, since = null } = {}) {
+    const issues = [];
+    const query = since
+      ? `${this.query} updated: ${since} .. Today sort by: updated asc`.trim()
+      : this.query;
+
+    while (issues.length < limit) {
+      const top = Math.min(PAGE_SIZE, limit - issues.length);
+      const page = await this.getJson('/api/issues', {
+        fields: ISSUE_FIELDS,
+        query,
+        $skip: issues.length,
+        $top: top,
+      });
+
+      issues.push(...page);
+      if (page.length < top) {
+        break;
+      }
+    }
+
+    return issues;
+  }
+
+  async fetchItem(externalId) {
+    try {
+      const issue = await this.getJson(`/api/issues/${encodeURIComponent(externalId)}`, {
+        fields: ISSUE_FIELDS,
+      });
+      return this.mapIssue(issue);
+    } catch (error) {
+      if (error instanceof SyncSourceError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async fetchItemsById(externalIds) {
+    const items = [];
+
+    for (let i = 0; i < externalIds.length; i += LOOKUP_SIZE) {
+      const ids = externalIds.slice(i, i + LOOKUP_SIZE);
+      // Deleted issues simply don't match
+      const issues = await this.getJson('/api/issues', {
+        fields: ISSUE_FIELDS,
+        query: `issue id: ${ids.join(', ')}`,
+        $top: ids.length,
+      });
+      items.push(...issues.map((issue) => this.mapIssue(issue)));
+    }
+
+    return items;
+  }
+
+  async updateIssue(externalId, changes) {
+    const body = {};
+    const customFields = [];
+
+    if ('title' in changes) {
+      body.summary = changes.title;
+    }
+    if ('description' in changes) {
+      body.description = changes.description;
+    }
+    if ('priority' in changes) {
+      customFields.push({
+        name: 'Priority',
+        $type: 'SingleEnumIssueCustomField',
+        value: PRIORITY_NAMES[changes.priority] ? { name: PRIORITY_NAMES[changes.priority] } : null,
+      });
+    }
+    if ('done' in changes) {
+      customFields.push({
+        name: 'State',
+        $type: 'StateIssueCustomField',
+        value: { name: changes.done ? this.doneState : this.openState },
+      });
+    }
+    if ('due_date' in changes) {
+      customFields.push({
+        name: 'Due Date',
+        $type: 'DateIssueCustomField',
+        value: changes.due_date ? Date.parse(`${changes.due_date}T00:00:00Z`) : null,
+      });
+    }
+    if (customFields.length > 0) {
+      body.customFields = customFields;
+    }
+
+    await this.requestJson('POST', `/api/issues/${encodeURIComponent(externalId)}`, {
+      params: { fields: 'idReadable' },
+      body,
+    });
+  }
+
+  mapIssue(issue) {
+    const priority = customField(issue, 'Priority')?.name;
+    const dueDate = customField(issue, 'Due Date');
+
+    return {
+      externalId: issue.idReadable,
+      title: issue.summary || '',
+      description: issue.description || '',
+      done: Boolean(issue.resolved),
+      priority: PRIORITY_MAP[String(priority || '').toLowerCase()] || 0,
+      dueDate: toIsoDate(dueDate),
+      updated: toIsoDate(issue.updated),
+      url: `${this.baseUrl}/issue/${issue.idReadable}`,
+    };
+  }
+}
+
+function customField(issue, name) {
+  const field = (issue.customFields || []).find((f) => f.name === name);
+  return field ? field.value : null;
+}
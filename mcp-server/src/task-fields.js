@@ -0,0 +1,208 @@
+/**
+ * Task Field Normalization
+ *
+ * Validates the scheduling fields of a task (dates, reminders, repeat
+ * interval, progress and color) and brings them into the form the Vikunja
+ * API stores:
+ * - dates          - RFC 3339 in UTC; a bare YYYY-MM-DD means local midnight (TZ)
+ * - reminders      - { reminder } (absolute) or { relative_to, relative_period }
+ *                    with the period in seconds, negative = before the date
+ * - repeat_after   - seconds; durations like "1w" or "2d 12h" are accepted
+ * - repeat_mode    - 0 default, 1 monthly, 2 from current date
+ * - percent_done   - fraction 0..1
+ * - hex_color      - six lowercase hex digits without "#"
+ *
+ * @license AGPL-3.0
+ */
+
+export const TASK_DATE_FIELDS = ['start_date', 'end_date', 'due_date'];
+
+export const REMINDER_RELATIVE_TO = TASK_DATE_FIELDS;
+
+// Index = Vikunja's numeric repeat_mode
+export const REPEAT_MODES = ['default', 'monthly', 'from_current_date'];
+
+const DURATION_UNITS = { w: 604800, d: 86400, h: 3600, m: 60, s: 1 };
+
+const DATE_ONLY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Vikunja reports unset dates as the zero time
+const ZERO_DATE_PREFIX = '0001-01-01';
+
+/**
+ * Raised for task field values Vikunja would reject or misread
+ */
+export class TaskFieldError extends Error {
+  constructor(field, message) {
+    super(`Invalid ${field}: ${message}`);
+    this.name = 'TaskFieldError';
+    this.field = field;
+  }
+}
+
+/**
+ * Normalize the scheduling fields present in `fields`; other fields are
+ * returned unchanged. null clears a date, reminders or the color.
+ */
+export function normalizeTaskFields(fields) {
+  const normalized = { ...fields };
+
+  for (const field of TASK_DATE_FIELDS) {
+    if (field in fields) {
+      normalized[field] = normalizeDate(fields[field], field);
+    }
+  }
+  if ('reminders' in fields) {
+    normalized.reminders = normalizeReminders(fields.reminders);
+  }
+  if ('repeat_after' in fields) {
+    normalized.repeat_after = fields.repeat_after === null ? 0 : parseDuration(fields.repeat_after, 'repeat_after');
+    if (normalized.repeat_after < 0) {
+      throw new TaskFieldError('repeat_after', 'must not be negative');
+    }
+  }
+  if ('repeat_mode' in fields) {
+    normalized.repeat_mode = normalizeRepeatMode(fields.repeat_mode);
+  }
+  if ('percent_done' in fields) {
+    const value = fields.percent_done ?? 0;
+    if (typeof value !== 'number' || Number.isNaN(value) || value < 0 || value > 1) {
+      throw new TaskFieldError('percent_done', `${fields.percent_done} is not a fraction between 0 and 1`);
+    }
+    normalized.percent_done = value;
+  }
+  if ('hex_color' in fields) {
+    normalized.hex_color = normalizeColor(fields.hex_color);
+  }
+
+  return normalized;
+}
+
+/**
+ * Throw if a task's dates contradict each other: a start after the end, or
+ * a relative reminder on a date the task doesn't have
+ */
+export function assertConsistentDates(task) {
+  const start = dateValue(task.start_date);
+  const end = dateValue(task.end_date);
+  if (start && end && start > end) {
+    throw new TaskFieldError('end_date', `${task.end_date} is before start_date ${task.start_date}`);
+  }
+
+  for (const reminder of task.reminders || []) {
+    if (reminder.relative_to && !dateValue(task[reminder.relative_to])) {
+      throw new TaskFieldError('reminders', `reminder relative to ${reminder.relative_to}, but the task has none`);
+    }
+  }
+}
+
+/**
+ * Date as Vikunja's RFC 3339 form without milliseconds, or null
+ */
+export function normalizeDate(value, field = 'date') {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  let date;
+  const dateOnly = typeof value === 'string' && value.match(DATE_ONLY_PATTERN);
+  if (dateOnly) {
+    date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  } else if (typeof value === 'string' || value instanceof Date) {
+    date = new Date(value);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new TaskFieldError(field, `"${value}" is not an ISO 8601 date`);
+  }
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Seconds from a number of seconds or a duration like "1w", "-1d" or "2h 30m"
+ */
+export function parseDuration(value, field = 'duration') {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return Math.trunc(value);
+  }
+
+  const text = String(value).trim().toLowerCase();
+  const match = text.match(/^([+-])?\s*((?:\d+\s*[wdhms]\s*)+)$/);
+  if (!match) {
+    throw new TaskFieldError(field, `"${value}" is not a duration like "1d", "-2h" or "1w 2d"`);
+  }
+
+  let seconds = 0;
+  for (const [, amount, unit] of match[2].matchAll(/(\d+)\s*([wdhms])/g)) {
+    seconds += Number(amount) * DURATION_UNITS[unit];
+  }
+  return match[1] === '-' ? -seconds : seconds;
+}
+
+/**
+ * Reminders as Vikunja expects them. Items are an ISO date string,
+ * `{ reminder }` or `{ relative_to, relative_period }`.
+ */
+function normalizeReminders(reminders) {
+  if (reminders === null) {
+    return [];
+  }
+  if (!Array.isArray(reminders)) {
+    throw new TaskFieldError('reminders', 'must be an array');
+  }
+
+  return reminders.map((item) => {
+    if (typeof item === 'string' || item?.reminder) {
+      return { reminder: normalizeDate(typeof item === 'string' ? item : item.reminder, 'reminders') };
+    }
+    if (!REMINDER_RELATIVE_TO.includes(item?.relative_to)) {
+      throw new TaskFieldError(
+        'reminders',
+        `each reminder needs a date or relative_to (${REMINDER_RELATIVE_TO.join(', ')})`
+      );
+    }
+    return {
+      relative_to: item.relative_to,
+      relative_period: parseDuration(item.relative_period ?? 0, 'reminders'),
+    };
+  });
+}
+
+/**
+ * Vikunja's numeric repeat mode from its name or number
+ */
+function normalizeRepeatMode(mode) {
+  const index = typeof mode === 'number' ? mode : REPEAT_MODES.indexOf(mode);
+  if (!REPEAT_MODES[index]) {
+    throw new TaskFieldError('repeat_mode', `${mode} (expected ${REPEAT_MODES.join(', ')})`);
+  }
+  return index;
+}
+
+/**
+ * Six lowercase hex digits without "#", or '' to clear the color
+ */
+function normalizeColor(color) {
+  if (color === null || color === '') {
+    return '';
+  }
+
+  const hex = String(color).trim().replace(/^#/, '').toLowerCase();
+  if (/^[0-9a-f]{3}$/.test(hex)) {
+    return [...hex].map((digit) => digit + digit).join('');
+  }
+  if (!/^[0-9a-f]{6}$/.test(hex)) {
+    throw new TaskFieldError('hex_color', `"${color}" is not a hex color like #1973ff`);
+  }
+  return hex;
+}
+
+/**
+ * Timestamp of a date field, or null if unset
+ */
+function dateValue(value) {
+  if (!value || String(value).startsWith(ZERO_DATE_PREFIX)) {
+    return null;
+  }
+  return new Date(value).getTime();
+}
@@ -0,0 +1,346 @@
+/**
+ * Todoist API Client
+ *
+ * HTTP client for the Todoist REST API, used by the Todoist tools and the
+ * Todoist <-> Vikunja sync. The REST API only serves active tasks, so
+ * completed ones are looked up through the Sync API.
+ *
+ * @license AGPL-3.0
+ */
+
+import { randomUUID } from 'crypto';
+import fetch from 'node-fetch';
+import { createLogger } from './logger.js';
+import { RateLimiter, sleep, parseRetryAfter } from './rate-limiter.js';
+
+const logger = createLogger();
+
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Todoist priorities run from 1 (p4, normal) to 4 (p1, urgent).
+ * Vikunja priorities run from 1 (low) to 5 (do now).
+ */
+const TODOIST_TO_VIKUNJA_PRIORITY = { 1: 1, 2: 3, 3: 4, 4: 5 };
+
+export function todoistToVikunjaPriority(priority) {
+  return TODOIST_TO_VIKUNJA_PRIORITY[priority] || 1;
+}
+
+export function vikunjaToTodoistPriority(priority) {
+  if (priority >= 5) {
+    return 4;
+  }
+  if (priority >= 4) {
+    return 3;
+  }
+  return priority >= 2 ? 2 : 1;
+}
+
+/**
+ * Error returned by the Todoist API
+ */
+export class TodoistApiError extends Error {
+  constructor(message, { status = null, body = null, method = null, endpoint = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'TodoistApiError';
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.endpoint = endpoint;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+export class TodoistClient {
+  constructor({
+    baseUrl = 'https://api.todoist.com/rest/v2',
+    syncUrl = 'https://api.todoist.com/sync/v9',
+    token,
+    timeoutMs = 30000,
+    maxRetries = 3,
+    retryBaseDelayMs = 500,
+    requestsPerSecond = 0,
+  }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.syncUrl = syncUrl.replace(/\/$/, '');
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.rateLimiter = new RateLimiter({ requestsPerSecond });
+  }
+
+  /**
+   * Make an authenticated request to the Todoist API
+   *
+   * Writes carry an X-Request-Id, which Todoist uses to drop duplicates,
+   * so every method is retried on 429, 5xx, network errors and timeouts.
+   */
+  async request(method, endpoint, body = null, { baseUrl = this.baseUrl } = {}) {
+    const requestId = method === 'GET' ? null : randomUUID();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, endpoint, body, requestId, baseUrl);
+      } catch (error) {
+        const retryDelay = this.retryDelay(error, attempt);
+
+        if (retryDelay === null) {
+          logger.error(`Todoist request failed: ${method} ${endpoint}`, { error: error.message });
+          throw error;
+        }
+
+        logger.warn(`Todoist request failed, retrying in ${retryDelay}ms: ${method} ${endpoint}`, {
+          attempt: attempt + 1,
+          error: error.message,
+        });
+        await sleep(retryDelay);
+      }
+    }
+  }
+
+  /**
+   * Perform a single HTTP request
+   */
+  async send(method, endpoint, body, requestId, baseUrl = this.baseUrl) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${this.token}`,
+    };
+    if (requestId) {
+      headers['X-Request-Id'] = requestId;
+    }
+
+    const controller = new AbortController();
+    const options = { method, headers, signal: controller.signal };
+    if (body) {
+      options.body = JSON.stringify(body);
+    }
+
+    await this.rateLimiter.acquire();
+    logger.debug(`Todoist Request: ${method} ${endpoint}`);
+
+    const timer = this.timeoutMs ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
+    try {
+      const response = await fetch(`${baseUrl}${endpoint}`, options);
+      const text = await response.text();
+
+      if (!response.ok) {
+        throw new TodoistApiError(`Todoist API Error (${response.status}): ${text}`, {
+          status: response.status,
+          body: text,
+          method,
+          endpoint,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+
+      return text ? JSON.parse(text) : { success: true };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new TodoistApiError(`Todoist request timed out after ${this.timeoutMs}ms`, { method, endpoint });
+      }
+      throw error;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Retry delay in milliseconds, or null when the error should be raised
+   */
+  retryDelay(error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const backoff = Math.min(
+      this.retryBaseDelayMs * 2 ** attempt + Math.random() * this.retryBaseDelayMs,
+      MAX_RETRY_DELAY_MS
+    );
+
+    if (error.status === 429 && error.retryAfterMs !== null) {
+      return Math.min(error.retryAfterMs, MAX_RETRY_DELAY_MS);
+    }
+
+    const retryable = error.status === 429
+      || error.status >= 500
+      || error.name === 'FetchError'
+      || (error instanceof TodoistApiError && error.status === null);
+
+    return retryable ? backoff : null;
+  }
+
+  // ===========================================================================
+  // Projects, Sections and Labels
+  // ===========================================================================
+
+  /**
+   * List all projects
+   */
+  async listProjects() {
+    return this.request('GET', '/projects');
+  }
+
+  /**
+   * Get a specific project
+   */
+  async getProject(projectId) {
+    return this.request('GET', `/projects/${projectId}`);
+  }
+
+  /**
+   * List sections, optionally of one project
+   */
+  async listSections(projectId = null) {
+    const query = projectId ? `?project_id=${encodeURIComponent(projectId)}` : '';
+    return this.request('GET', `/sections${query}`);
+  }
+
+  /**
+   * List personal labels
+   */
+  async listLabels() {
+    return this.request('GET', '/labels');
+  }
+
+  // ===========================================================================
+  // Tasks
+  // ===========================================================================
+
+  /**
+   * List active tasks
+   *
+   * `filter` takes Todoist filter syntax (e.g. "today | overdue") and
+   * can't be combined with the other options.
+   */
+  async listTasks({ projectId = null, sectionId = null, label = null, filter = null, ids = [] } = {}) {
+    const params = new URLSearchParams();
+
+    if (filter) {
+      params.append('filter', filter);
+    } else {
+      const options = { project_id: projectId, section_id: sectionId, label, ids: ids.join(',') };
+      for (const [key, value] of Object.entries(options)) {
+        if (value) {
+          params.append(key, value);
+        }
+      }
+    }
+
+    const query = params.toString();
+    return this.request('GET', `/tasks${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Active tasks due in a date window, optionally with overdue tasks
+   *
+   * @param {string} startDate  "today" or YYYY-MM-DD
+   * @param {number} daysCount  Days in the window, starting at startDate
+   */
+  async findTasksByDate({ startDate = 'today', daysCount = 1, includeOverdue = false } = {}) {
+    const today = localDate(new Date());
+    const start = startDate === 'today' ? today : startDate;
+    const endDate = new Date(`${start}T00:00:00Z`);
+    endDate.setUTCDate(endDate.getUTCDate() + daysCount - 1);
+    const end = endDate.toISOString().slice(0, 10);
+
+    const tasks = await this.listTasks();
+    return tasks.filter((task) => {
+      const due = task.due?.date?.slice(0, 10);
+      if (!due) {
+        return false;
+      }
+      return (due >= start && due <= end) || (includeOverdue && due < today);
+    });
+  }
+
+  /**
+   * Get a specific active task (404 once it is completed or deleted)
+   */
+  async getTask(taskId) {
+    return this.request('GET', `/tasks/${taskId}`);
+  }
+
+  /**
+   * Get a task whether active or completed, through the Sync API, shaped
+   * like a REST task (`is_completed`). Deleted tasks give a 404, like
+   * getTask().
+   */
+  async getAnyTask(taskId) {
+    const { item } = await this.request('POST', '/items/get', { item_id: String(taskId) }, {
+      baseUrl: this.syncUrl,
+    });
+    if (!item || item.is_deleted) {
+      throw new TodoistApiError(`Todoist task ${taskId} was deleted`, {
+        status: 404,
+        method: 'POST',
+        endpoint: '/items/get',
+      });
+    }
+    return { ...item, is_completed: Boolean(item.checked) };
+  }
+
+  /**
+   * Create a new task
+   */
+  async createTask(fields) {
+    return this.request('POST', '/tasks', fields);
+  }
+
+  /**
+   * Update a task. Todoist applies only the fields sent.
+   */
+  async updateTask(taskId, updates) {
+    return this.request('POST', `/tasks/${taskId}`, updates);
+  }
+
+  /**
+   * Complete a task
+   */
+  async closeTask(taskId) {
+    return this.request('POST', `/tasks/${taskId}/close`);
+  }
+
+  /**
+   * Reopen a completed task
+   */
+  async reopenTask(taskId) {
+    return this.request('POST', `/tasks/${taskId}/reopen`);
+  }
+
+  /**
+   * Delete a task
+   */
+  async deleteTask(taskId) {
+    return this.request('DELETE', `/tasks/${taskId}`);
+  }
+
+  // ===========================================================================
+  // Comments
+  // ===========================================================================
+
+  /**
+   * List the comments of a task
+   */
+  async listComments(taskId) {
+    return this.request('GET', `/comments?task_id=${encodeURIComponent(taskId)}`);
+  }
+
+  /**
+   * Add a comment to a task
+   */
+  async addComment(taskId, content) {
+    return this.request('POST', '/comments', { task_id: String(taskId), content });
+  }
+}
+
+/**
+ * YYYY-MM-DD of a date in the local timezone (TZ)
+ */
+function localDate(date) {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 10);
+}
@@ -6,60 +6,208 @@
  * @license AGPL-3.0
  */
 
-import fetch from 'node-fetch';
+import fetch, { FormData, Blob } from 'node-fetch';
 import { createLogger } from './logger.js';
+import {
+  NotFoundError,
+  TimeoutError,
+  TaskConflictError,
+  errorForResponse,
+} from './errors.js';
+import { RateLimiter, sleep, parseRetryAfter } from './rate-limiter.js';
+import { normalizeTaskFields, assertConsistentDates } from './task-fields.js';
+
+export * from './errors.js';
 
 const logger = createLogger();
 
+// Methods that are safe to repeat after a network error or 5xx
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'DELETE']);
+
+const MAX_RETRY_DELAY_MS = 30000;
+
+// Completing a repeating task moves these forward instead of setting done
+const REPEAT_MOVED_FIELDS = ['due_date', 'start_date', 'end_date', 'reminders'];
+
+// Task relation kinds; Vikunja adds the inverse relation automatically
+// (subtask <-> parenttask, blocking <-> blocked, ...)
+export const RELATION_KINDS = [
+  'subtask',
+  'parenttask',
+  'related',
+  'duplicateof',
+  'duplicates',
+  'blocking',
+  'blocked',
+  'precedes',
+  'follows',
+  'copiedfrom',
+  'copiedto',
+];
+
+// Project sharing permissions, in Vikunja's numeric order
+export const SHARE_PERMISSIONS = ['read', 'write', 'admin'];
+
+// Vikunja reports view kinds as names; older releases used numbers
+const KANBAN_VIEW_KINDS = ['kanban', 3];
+
+const MAX_RELATION_DEPTH = 3;
+const MAX_RELATION_NODES = 100;
+
 export class VikunjaClient {
-  constructor({ baseUrl, token }) {
+  constructor({
+    baseUrl,
+    token,
+    timeoutMs = 30000,
+    maxRetries = 3,
+    retryBaseDelayMs = 500,
+    requestsPerSecond = 0,
+  }) {
     this.baseUrl = baseUrl.replace(/\/$/, '');
     this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.rateLimiter = new RateLimiter({ requestsPerSecond });
   }
 
   /**
    * Make an authenticated request to Vikunja API
+   *
+   * `body` is sent as JSON, or as multipart when it is a FormData. With
+   * `raw`, the response body is returned as a Buffer instead of parsed JSON.
+   */
+  async request(method, endpoint, body = null, { raw = false } = {}) {
+    const { data } = await this.requestWithHeaders(method, endpoint, body, { raw });
+    return data;
+  }
+
+  /**
+   * Make an authenticated request and also return the response headers
+   * (needed for pagination metadata)
+   *
+   * Retries with exponential backoff on 429 (any method, honoring
+   * Retry-After) and on 5xx, network errors and timeouts (idempotent
+   * methods only).
    */
-  async request(method, endpoint, body = null) {
+  async requestWithHeaders(method, endpoint, body = null, { raw = false } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.send(method, endpoint, body, { raw });
+      } catch (error) {
+        const retryDelay = this.retryDelay(method, error, attempt);
+
+        if (retryDelay === null) {
+          logger.error(`API request failed: ${method} ${endpoint}`, {
+            error: error.message,
+          });
+          throw error;
+        }
+
+        logger.warn(`API request failed, retrying in ${retryDelay}ms: ${method} ${endpoint}`, {
+          attempt: attempt + 1,
+          error: error.message,
+        });
+        await sleep(retryDelay);
+      }
+    }
+  }
+
+  /**
+   * Perform a single HTTP request
+   */
+  async send(method, endpoint, body, { raw = false } = {}) {
     const url = `${this.baseUrl}${endpoint}`;
-    const headers = {
-      'Content-Type': 'application/json',
-    };
+    const multipart = body instanceof FormData;
+    // fetch sets the multipart Content-Type with its boundary
+    const headers = multipart ? {} : { 'Content-Type': 'application/json' };
 
     if (this.token) {
       headers['Authorization'] = `Bearer ${this.token}`;
     }
 
+    const controller = new AbortController();
     const options = {
       method,
       headers,
+      signal: controller.signal,
     };
 
     if (body) {
-      options.body = JSON.stringify(body);
+      options.body = multipart ? body : JSON.stringify(body);
     }
 
+    await this.rateLimiter.acquire();
     logger.debug(`API Request: ${method} ${endpoint}`);
 
+    const timer = this.timeoutMs ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+
     try {
       const response = await fetch(url, options);
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`API Error (${response.status}): ${errorText}`);
+        throw errorForResponse(response.status, errorText, {
+          method,
+          endpoint,
+          retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+        });
+      }
+
+      if (raw) {
+        return {
+          data: Buffer.from(await response.arrayBuffer()),
+          headers: response.headers,
+        };
       }
 
       // Handle empty responses (e.g., DELETE)
       const text = await response.text();
-      return text ? JSON.parse(text) : { success: true };
+      return {
+        data: text ? JSON.parse(text) : { success: true },
+        headers: response.headers,
+      };
     } catch (error) {
-      logger.error(`API request failed: ${method} ${endpoint}`, {
-        error: error.message,
-      });
+      if (error.name === 'AbortError') {
+        throw new TimeoutError(`Request timed out after ${this.timeoutMs}ms`, { method, endpoint });
+      }
       throw error;
+    } finally {
+      if (timer) clearTimeout(timer);
     }
   }
 
+  /**
+   * Decide whether to retry a failed request. Returns the delay in
+   * milliseconds, or null when the error should be raised.
+   */
+  retryDelay(method, error, attempt) {
+    if (attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const backoff = Math.min(
+      this.retryBaseDelayMs * 2 ** attempt + Math.random() * this.retryBaseDelayMs,
+      MAX_RETRY_DELAY_MS
+    );
+
+    // Rate limited requests were not processed, so any method can be retried
+    if (error.status === 429) {
+      return error.retryAfterMs !== null
+        ? Math.min(error.retryAfterMs, MAX_RETRY_DELAY_MS)
+        : backoff;
+    }
+
+    if (!IDEMPOTENT_METHODS.has(method)) {
+      return null;
+    }
+
+    const isServerError = error.status >= 500;
+    const isNetworkError = error.name === 'FetchError' || error instanceof TimeoutError;
+
+    return isServerError || isNetworkError ? backoff : null;
+  }
+
   // ===========================================================================
   // Projects
   // ===========================================================================
@@ -67,8 +215,21 @@ export class VikunjaClient {
   /**
    * List all projects
    */
-  async listProjects() {
-    return this.request('GET', '/projects');
+  async listProjects({ includeArchived = false } = {}) {
+    const projects = [];
+
+    for (let page = 1; ; page++) {
+      const params = new URLSearchParams({ page: String(page), per_page: '50' });
+      if (includeArchived) {
+        params.append('is_archived', 'true');
+      }
+      const { data, headers } = await this.requestWithHeaders('GET', `/projects?${params.toString()}`);
+      projects.push(...(Array.isArray(data) ? data : []));
+
+      if (page >= parseInt(headers.get('x-pagination-total-pages') || '1', 10)) {
+        return projects;
+      }
+    }
   }
 
   /**
@@ -81,13 +242,217 @@ export class VikunjaClient {
   /**
    * Create a new project
    */
-  async createProject({ title, description = '' }) {
-    return this.request('POST', '/projects', {
+  async createProject({ title, description = '', parent_project_id = 0, hex_color = '' }) {
+    return this.request('PUT', '/projects', {
       title,
       description,
+      parent_project_id,
+      hex_color,
+    });
+  }
+
+  /**
+   * Update an existing project
+   */
+  async updateProject(projectId, updates) {
+    // Vikunja replaces the whole project, so merge with the current state
+    const currentProject = await this.getProject(projectId);
+
+    const updatedProject = {
+      ...currentProject,
+      ...updates,
+    };
+
+    return this.request('POST', `/projects/${projectId}`, updatedProject);
+  }
+
+  /**
+   * Archive or unarchive a project
+   */
+  async archiveProject(projectId, archived = true) {
+    return this.updateProject(projectId, { is_archived: archived });
+  }
+
+  /**
+   * Move a project under another parent (0 for top level). Moving it under
+   * itself or one of its descendants would make a cycle and is refused.
+   */
+  async moveProject(projectId, parentProjectId) {
+    if (parentProjectId === projectId) {
+      throw new Error('A project cannot be its own parent');
+    }
+
+    if (parentProjectId) {
+      const parents = new Map(
+        (await this.listProjects({ includeArchived: true }))
+          .map((project) => [project.id, project.parent_project_id || 0])
+      );
+      const seen = new Set();
+      for (let id = parentProjectId; id && !seen.has(id); id = parents.get(id)) {
+        if (id === projectId) {
+          throw new Error(`Project ${parentProjectId} is inside project ${projectId}; a project cannot move under its own subproject`);
+        }
+        seen.add(id);
+      }
+    }
+
+    return this.updateProject(projectId, { parent_project_id: parentProjectId });
+  }
+
+  /**
+   * Delete a project (including its tasks and child projects)
+   */
+  async deleteProject(projectId) {
+    return this.request('DELETE', `/projects/${projectId}`);
+  }
+
+  /**
+   * Build the project hierarchy as a nested tree
+   */
+  async getProjectTree({ includeArchived = false } = {}) {
+    const projects = await this.listProjects({ includeArchived });
+    const nodes = new Map();
+
+    for (const project of projects) {
+      nodes.set(project.id, {
+        id: project.id,
+        title: project.title,
+        is_archived: project.is_archived,
+        parent_project_id: project.parent_project_id || 0,
+        children: [],
+      });
+    }
+
+    const roots = [];
+    for (const node of nodes.values()) {
+      const parent = nodes.get(node.parent_project_id);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        // Parent is top level, archived or not visible to this token
+        roots.push(node);
+      }
+    }
+
+    return roots;
+  }
+
+  // ===========================================================================
+  // Views and Buckets
+  // ===========================================================================
+
+  /**
+   * List the views of a project (list, gantt, table, kanban)
+   */
+  async listProjectViews(projectId) {
+    return (await this.request('GET', `/projects/${projectId}/views`)) || [];
+  }
+
+  /**
+   * The project's kanban view: `viewId` if given, otherwise the first one
+   */
+  async findKanbanView(projectId, viewId = null) {
+    const views = await this.listProjectViews(projectId);
+    const view = viewId
+      ? views.find((candidate) => candidate.id === viewId)
+      : views.find((candidate) => KANBAN_VIEW_KINDS.includes(candidate.view_kind));
+
+    if (!view) {
+      throw new Error(viewId
+        ? `View ${viewId} not found in project ${projectId}`
+        : `Project ${projectId} has no kanban view`);
+    }
+    if (!KANBAN_VIEW_KINDS.includes(view.view_kind)) {
+      throw new Error(`View ${view.id} (${view.title}) is not a kanban view`);
+    }
+    return view;
+  }
+
+  /**
+   * List the buckets (columns) of a kanban view
+   */
+  async listBuckets(projectId, viewId) {
+    return (await this.request('GET', `/projects/${projectId}/views/${viewId}/buckets`)) || [];
+  }
+
+  /**
+   * Create a bucket; `limit` caps its tasks (0 = no limit)
+   */
+  async createBucket(projectId, viewId, { title, limit = 0 }) {
+    return this.request('PUT', `/projects/${projectId}/views/${viewId}/buckets`, { title, limit });
+  }
+
+  /**
+   * Rename a bucket or change its limit
+   */
+  async updateBucket(projectId, viewId, bucketId, updates) {
+    // Vikunja replaces the whole bucket, so merge with the current state
+    const bucket = (await this.listBuckets(projectId, viewId)).find((candidate) => candidate.id === bucketId);
+    if (!bucket) {
+      throw new Error(`Bucket ${bucketId} not found in view ${viewId}`);
+    }
+
+    return this.request('POST', `/projects/${projectId}/views/${viewId}/buckets/${bucketId}`, {
+      ...bucket,
+      ...updates,
     });
   }
 
+  /**
+   * Move a task into a bucket. Moving into the view's done bucket marks
+   * the task done; moving out of it reopens the task.
+   */
+  async moveTaskToBucket(projectId, viewId, bucketId, taskId) {
+    return this.request('POST', `/projects/${projectId}/views/${viewId}/buckets/${bucketId}/tasks`, {
+      task_id: taskId,
+      bucket_id: bucketId,
+      project_view_id: viewId,
+    });
+  }
+
+  /**
+   * Tasks of a kanban view grouped by bucket, in board order.
+   * Vikunja pages the tasks per bucket; `perBucket` sets the page size.
+   */
+  async getBoard(projectId, { viewId = null, perBucket = 50 } = {}) {
+    const view = await this.findKanbanView(projectId, viewId);
+    const params = new URLSearchParams({ per_page: String(perBucket) });
+    const buckets = (await this.request('GET', `/projects/${projectId}/views/${view.id}/tasks?${params.toString()}`)) || [];
+
+    return {
+      project_id: projectId,
+      view: { id: view.id, title: view.title },
+      done_bucket_id: view.done_bucket_id || null,
+      buckets: buckets.map((bucket) => ({
+        id: bucket.id,
+        title: bucket.title,
+        limit: bucket.limit || 0,
+        count: bucket.count ?? (bucket.tasks || []).length,
+        tasks: (bucket.tasks || []).map(boardCard),
+      })),
+    };
+  }
+
+  // ===========================================================================
+  // Saved Filters
+  // ===========================================================================
+
+  /**
+   * Get a saved filter
+   */
+  async getSavedFilter(filterId) {
+    return this.request('GET', `/filters/${filterId}`);
+  }
+
+  /**
+   * Query the tasks a saved filter matches (same options as queryTasks)
+   */
+  async querySavedFilter(filterId, options = {}) {
+    const saved = await this.getSavedFilter(filterId);
+    const result = await this.queryTasks({ ...options, filter: saved.filters?.filter || null });
+    return { filter: { id: saved.id, title: saved.title, description: saved.description }, ...result };
+  }
+
   // ===========================================================================
   // Tasks
   // ===========================================================================
@@ -96,6 +461,34 @@ export class VikunjaClient {
    * List tasks, optionally filtered by project
    */
   async listTasks(projectId = null, done = null) {
+    const { tasks } = await this.queryTasks({ projectId, done });
+    return tasks;
+  }
+
+  /**
+   * Query tasks with filters, sorting and pagination
+   *
+   * Structured filters are combined with the raw `filter` expression using
+   * Vikunja's filter syntax (e.g. "priority >= 3 && due_date < now+7d").
+   * Returns the page of tasks together with pagination metadata.
+   */
+  async queryTasks({
+    projectId = null,
+    done = null,
+    search = null,
+    filter = null,
+    dueBefore = null,
+    dueAfter = null,
+    priorityMin = null,
+    priorityMax = null,
+    labels = [],
+    assignees = [],
+    sortBy = [],
+    orderBy = [],
+    page = 1,
+    perPage = null,
+    timezone = null,
+  } = {}) {
     let endpoint = '/tasks/all';
     const params = new URLSearchParams();
 
@@ -103,16 +496,102 @@ export class VikunjaClient {
       endpoint = `/projects/${projectId}/tasks`;
     }
 
-    if (done !== null) {
-      params.append('filter_done', done.toString());
+    const conditions = [];
+    if (done !== null && done !== undefined) {
+      conditions.push(`done = ${done}`);
+    }
+    if (dueAfter) {
+      conditions.push(`due_date >= ${dueAfter}`);
+    }
+    if (dueBefore) {
+      conditions.push(`due_date <= ${dueBefore}`);
+    }
+    if (priorityMin !== null && priorityMin !== undefined) {
+      conditions.push(`priority >= ${priorityMin}`);
+    }
+    if (priorityMax !== null && priorityMax !== undefined) {
+      conditions.push(`priority <= ${priorityMax}`);
+    }
+    if (labels.length > 0) {
+      const labelIds = await this.resolveLabelIds(labels);
+      conditions.push(`labels in ${labelIds.join(', ')}`);
+    }
+    if (assignees.length > 0) {
+      conditions.push(`assignees in ${assignees.join(', ')}`);
+    }
+    if (filter) {
+      conditions.push(conditions.length > 0 ? `(${filter})` : filter);
+    }
+
+    if (conditions.length > 0) {
+      params.append('filter', conditions.join(' && '));
+      if (timezone) {
+        params.append('filter_timezone', timezone);
+      }
+    }
+
+    if (search) {
+      params.append('s', search);
     }
 
-    const queryString = params.toString();
-    if (queryString) {
-      endpoint += `?${queryString}`;
+    for (const field of sortBy) {
+      params.append('sort_by[]', field);
+    }
+    for (const direction of orderBy) {
+      params.append('order_by[]', direction);
     }
 
-    return this.request('GET', endpoint);
+    params.append('page', String(page));
+    if (perPage) {
+      params.append('per_page', String(perPage));
+    }
+
+    const { data, headers } = await this.requestWithHeaders(
+      'GET',
+      `${endpoint}?${params.toString()}`
+    );
+
+    const tasks = Array.isArray(data) ? data : [];
+    const totalPages = parseInt(headers.get('x-pagination-total-pages') || '1', 10);
+    const hasMore = page < totalPages;
+
+    return {
+      tasks,
+      pagination: {
+        page,
+        per_page: perPage,
+        total_pages: totalPages,
+        result_count: tasks.length,
+        has_more: hasMore,
+        next_page: hasMore ? page + 1 : null,
+      },
+    };
+  }
+
+  /**
+   * Fetch every page of a task query
+   */
+  async listAllTasks(options = {}) {
+    const tasks = [];
+    let page = 1;
+
+    for (;;) {
+      const result = await this.queryTasks({ perPage: 50, ...options, page });
+      tasks.push(...result.tasks);
+
+      if (!result.pagination.has_more) {
+        return tasks;
+      }
+      page = result.pagination.next_page;
+    }
+  }
+
+  /**
+   * Find a project by its exact title
+   */
+  async findProjectByTitle(title) {
+    const projects = await this.listProjects();
+    return projects.find((project) => project.title === title) || null;
   }
 
   /**
@@ -124,36 +603,99 @@ export class VikunjaClient {
 
   /**
    * Create a new task
+   *
+   * Scheduling fields (dates, reminders, repeat_after/repeat_mode,
+   * percent_done, hex_color) are validated and normalized first; see
+   * task-fields.js.
    */
-  async createTask({ title, project_id, description = '', priority = 0, due_date = null }) {
+  async createTask({ title, project_id, description = '', priority = 0, ...fields }) {
     const task = {
       title,
       description,
       priority,
+      ...pickSet(normalizeTaskFields(fields)),
     };
-
-    if (due_date) {
-      task.due_date = due_date;
-    }
+    assertConsistentDates(task);
 
     return this.request('PUT', `/projects/${project_id}/tasks`, task);
   }
 
   /**
    * Update an existing task
+   *
+   * Only the fields present in `updates` are changed; undefined values are
+   * ignored and null clears a field. Vikunja replaces the whole task on POST,
+   * so the current task is fetched and the patch applied on top of it.
+   *
+   * When `expectedUpdated` is given (the `updated` timestamp the caller last
+   * saw), the update is refused with a TaskConflictError if the task has been
+   * modified since.
    */
-  async updateTask(taskId, updates) {
-    // First get the current task to merge with updates
+  async updateTask(taskId, updates, { expectedUpdated = null } = {}) {
+    const patch = normalizeTaskFields(Object.fromEntries(
+      Object.entries(updates).filter(([, value]) => value !== undefined)
+    ));
+
     const currentTask = await this.getTask(taskId);
 
+    if (expectedUpdated && !sameTimestamp(currentTask.updated, expectedUpdated)) {
+      throw new TaskConflictError({
+        taskId,
+        expectedUpdated,
+        currentTask,
+        patch,
+      });
+    }
+
+    if (Object.keys(patch).length === 0) {
+      return currentTask;
+    }
+
     const updatedTask = {
       ...currentTask,
-      ...updates,
+      ...patch,
     };
+    if (['start_date', 'end_date', 'reminders'].some((field) => field in patch)) {
+      assertConsistentDates(updatedTask);
+    }
 
     return this.request('POST', `/tasks/${taskId}`, updatedTask);
   }
 
+  /**
+   * Mark a task as done, optionally recording why in a comment.
+   *
+   * If the comment can't be added, the task is reopened (a repeating task
+   * gets its dates moved back) and the error raised, so a completion never
+   * lands without its comment.
+   */
+  async completeTask(taskId, { comment = null, expectedUpdated = null } = {}) {
+    if (!comment) {
+      return this.updateTask(taskId, { done: true }, { expectedUpdated });
+    }
+
+    const before = await this.getTask(taskId);
+    const task = await this.updateTask(taskId, { done: true }, { expectedUpdated });
+
+    try {
+      return { ...task, comment: await this.addComment(taskId, comment) };
+    } catch (error) {
+      if (before.done) {
+        throw error;
+      }
+      // Sent as Vikunja reported them, so relative reminders stay relative
+      const restored = Object.fromEntries(REPEAT_MOVED_FIELDS.map((field) => [field, before[field]]));
+      await this.getTask(taskId)
+        .then((current) => this.request('POST', `/tasks/${taskId}`, { ...current, ...restored, done: false }))
+        .catch((revertError) => {
+          logger.error(`Failed to reopen task ${taskId} after its completion comment failed`, {
+            error: revertError.message,
+          });
+        });
+      throw error;
+    }
+  }
+
   /**
    * Delete a task
    */
@@ -164,9 +706,115 @@ export class VikunjaClient {
   /**
    * Search tasks by title/description
    */
-  async searchTasks(query) {
-    const params = new URLSearchParams({ s: query });
-    return this.request('GET', `/tasks/all?${params.toString()}`);
+  async searchTasks(query, options = {}) {
+    return this.queryTasks({ ...options, search: query });
+  }
+
+  // ===========================================================================
+  // Relations
+  // ===========================================================================
+
+  /**
+   * Relate a task to another one, e.g. (epic, story, 'subtask')
+   */
+  async addRelation(taskId, otherTaskId, relationKind) {
+    assertRelationKind(relationKind);
+    return this.request('PUT', `/tasks/${taskId}/relations`, {
+      other_task_id: otherTaskId,
+      relation_kind: relationKind,
+    });
+  }
+
+  /**
+   * Remove a relation (and its inverse)
+   */
+  async removeRelation(taskId, otherTaskId, relationKind) {
+    assertRelationKind(relationKind);
+    return this.request('DELETE', `/tasks/${taskId}/relations/${relationKind}/${otherTaskId}`);
+  }
+
+  /**
+   * Create a task as a subtask of another one. Without a project_id the
+   * subtask goes into the parent's project. If the relation can't be
+   * created, the new task is deleted again.
+   */
+  async createSubtask(parentTaskId, fields) {
+    const parent = await this.getTask(parentTaskId);
+    const task = await this.createTask({ ...fields, project_id: fields.project_id || parent.project_id });
+
+    try {
+      await this.addRelation(parentTaskId, task.id, 'subtask');
+    } catch (error) {
+      await this.deleteTask(task.id).catch((cleanupError) => {
+        logger.error(`Failed to remove task ${task.id} after its subtask relation failed`, {
+          error: cleanupError.message,
+        });
+      });
+      throw error;
+    }
+    return { ...task, parent_task_id: parentTaskId };
+  }
+
+  /**
+   * A task with the tasks related to it, followed `depth` relations deep.
+   *
+   * Returns the graph as nodes (task summaries) and edges
+   * ({ task_id, other_task_id, kind }, both directions as Vikunja stores them).
+   */
+  async getTaskGraph(taskId, { depth = 1, kinds = RELATION_KINDS } = {}) {
+    const maxDepth = Math.max(0, Math.min(depth, MAX_RELATION_DEPTH));
+    const root = await this.getTask(taskId);
+    const nodes = new Map([[root.id, taskSummary(root)]]);
+    const edges = [];
+    let frontier = [root];
+
+    for (let level = 0; level < maxDepth && frontier.length > 0; level++) {
+      const next = [];
+      for (const task of frontier) {
+        for (const [kind, related] of Object.entries(task.related_tasks || {})) {
+          if (!kinds.includes(kind)) {
+            continue;
+          }
+          for (const other of related || []) {
+            edges.push({ task_id: task.id, other_task_id: other.id, kind });
+            if (!nodes.has(other.id) && nodes.size < MAX_RELATION_NODES) {
+              nodes.set(other.id, taskSummary(other));
+              next.push(other.id);
+            }
+          }
+        }
+      }
+      // Related tasks come without their own relations; fetch the next level
+      frontier = level + 1 < maxDepth ? await Promise.all(next.map((id) => this.getTask(id))) : [];
+    }
+
+    return {
+      task: root,
+      nodes: [...nodes.values()],
+      edges,
+      truncated: nodes.size >= MAX_RELATION_NODES,
+    };
+  }
+
+  /**
+   * Open tasks that are blocked by (kind 'blocked') or block (kind
+   * 'blocking') other tasks. By default only relations to open tasks
+   * count: a task whose blockers are all done is no longer blocked.
+   */
+  async listDependencies({ kind = 'blocked', projectId = null, includeDoneRelated = false } = {}) {
+    if (!['blocked', 'blocking'].includes(kind)) {
+      throw new Error(`kind must be "blocked" or "blocking", got: ${kind}`);
+    }
+
+    const tasks = await this.listAllTasks({ projectId, done: false });
+    return tasks
+      .map((task) => ({
+        ...taskSummary(task),
+        [kind === 'blocked' ? 'blocked_by' : 'blocks']: (task.related_tasks?.[kind] || [])
+          .filter((other) => includeDoneRelated || !other.done)
+          .map(taskSummary),
+      }))
+      .filter((task) => (task.blocked_by || task.blocks).length > 0);
   }
 
   // ===========================================================================
@@ -180,6 +828,74 @@ export class VikunjaClient {
     return this.request('GET', '/labels');
   }
 
+  /**
+   * Get a specific label
+   */
+  async getLabel(labelId) {
+    return this.request('GET', `/labels/${labelId}`);
+  }
+
+  /**
+   * Find a label by its title (case-insensitive exact match)
+   */
+  async findLabelByTitle(title) {
+    const params = new URLSearchParams({ s: title });
+    const labels = await this.request('GET', `/labels?${params.toString()}`);
+    const wanted = title.trim().toLowerCase();
+
+    return (labels || []).find((label) => label.title.toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * Resolve a mix of label IDs and titles to label IDs
+   */
+  async resolveLabelIds(labels) {
+    return Promise.all(labels.map(async (label) => {
+      if (typeof label === 'number' || /^\d+$/.test(label)) {
+        return Number(label);
+      }
+
+      const found = await this.findLabelByTitle(label);
+      if (!found) {
+        throw new Error(`Label not found: ${label}`);
+      }
+      return found.id;
+    }));
+  }
+
+  /**
+   * Create a new label
+   */
+  async createLabel({ title, description = '', hex_color = '' }) {
+    return this.request('PUT', '/labels', {
+      title,
+      description,
+      hex_color,
+    });
+  }
+
+  /**
+   * Update an existing label
+   */
+  async updateLabel(labelId, updates) {
+    // Vikunja replaces the whole label, so merge with the current state
+    const currentLabel = await this.getLabel(labelId);
+
+    const updatedLabel = {
+      ...currentLabel,
+      ...updates,
+    };
+
+    return this.request('POST', `/labels/${labelId}`, updatedLabel);
+  }
+
+  /**
+   * Delete a label
+   */
+  async deleteLabel(labelId) {
+    return this.request('DELETE', `/labels/${labelId}`);
+  }
+
   /**
    * Add label to task
    */
@@ -197,7 +913,106 @@ export class VikunjaClient {
   }
 
   // ===========================================================================
-  // User
+  // Comments
+  // ===========================================================================
+
+  /**
+   * List the comments of a task, oldest first
+   */
+  async listComments(taskId) {
+    return this.request('GET', `/tasks/${taskId}/comments`);
+  }
+
+  /**
+   * Get a specific comment
+   */
+  async getComment(taskId, commentId) {
+    return this.request('GET', `/tasks/${taskId}/comments/${commentId}`);
+  }
+
+  /**
+   * Add a comment to a task
+   */
+  async addComment(taskId, comment) {
+    return this.request('PUT', `/tasks/${taskId}/comments`, { comment });
+  }
+
+  /**
+   * Replace the text of a comment
+   */
+  async updateComment(taskId, commentId, comment) {
+    return this.request('POST', `/tasks/${taskId}/comments/${commentId}`, { comment });
+  }
+
+  /**
+   * Delete a comment
+   */
+  async deleteComment(taskId, commentId) {
+    return this.request('DELETE', `/tasks/${taskId}/comments/${commentId}`);
+  }
+
+  // ===========================================================================
+  // Attachments
+  // ===========================================================================
+
+  /**
+   * List the attachments of a task
+   */
+  async listAttachments(taskId) {
+    return (await this.request('GET', `/tasks/${taskId}/attachments`)) || [];
+  }
+
+  /**
+   * Get an attachment's metadata (file name, MIME type, size)
+   */
+  async getAttachment(taskId, attachmentId) {
+    const attachment = (await this.listAttachments(taskId)).find((candidate) => candidate.id === attachmentId);
+    if (!attachment) {
+      throw new NotFoundError(`Attachment ${attachmentId} not found on task ${taskId}`, {
+        status: 404,
+        endpoint: `/tasks/${taskId}/attachments/${attachmentId}`,
+      });
+    }
+    return attachment;
+  }
+
+  /**
+   * Upload a file to a task
+   *
+   * @param {number} taskId
+   * @param {object} file
+   * @param {string} file.filename
+   * @param {Buffer} file.data
+   * @param {string} [file.mimeType]
+   */
+  async uploadAttachment(taskId, { filename, data, mimeType = 'application/octet-stream' }) {
+    const form = new FormData();
+    form.append('files', new Blob([data], { type: mimeType }), filename);
+
+    // Vikunja reports per-file results instead of failing the request
+    const result = await this.request('PUT', `/tasks/${taskId}/attachments`, form);
+    if (result?.errors?.length) {
+      throw new Error(`Upload of ${filename} failed: ${result.errors.map((error) => error.message).join('; ')}`);
+    }
+    return result?.success?.[0] ?? result;
+  }
+
+  /**
+   * Download an attachment's content as a Buffer
+   */
+  async downloadAttachment(taskId, attachmentId) {
+    return this.request('GET', `/tasks/${taskId}/attachments/${attachmentId}`, null, { raw: true });
+  }
+
+  /**
+   * Delete an attachment
+   */
+  async deleteAttachment(taskId, attachmentId) {
+    return this.request('DELETE', `/tasks/${taskId}/attachments/${attachmentId}`);
+  }
+
+  // ===========================================================================
+  // Users
   // ===========================================================================
 
   /**
@@ -207,6 +1022,117 @@ export class VikunjaClient {
     return this.request('GET', '/user');
   }
 
+  /**
+   * Search users by username, name or email
+   */
+  async searchUsers(query) {
+    const params = new URLSearchParams({ s: query });
+    return (await this.request('GET', `/users?${params.toString()}`)) || [];
+  }
+
+  /**
+   * Resolve a user from a username or display name ("Dana").
+   * Throws if nobody or more than one user matches.
+   */
+  async findUser(user) {
+    const wanted = String(user).trim().toLowerCase();
+    const users = await this.searchUsers(user);
+    const exact = users.filter((candidate) => candidate.username.toLowerCase() === wanted);
+    const byName = users.filter((candidate) => (candidate.name || '').toLowerCase() === wanted);
+    const matches = exact.length > 0 ? exact : byName.length > 0 ? byName : users;
+
+    if (matches.length === 0) {
+      throw new Error(`User not found: ${user}`);
+    }
+    if (matches.length > 1) {
+      const names = matches.map((candidate) => candidate.username).join(', ');
+      throw new Error(`"${user}" matches several users (${names}); use the username`);
+    }
+    return matches[0];
+  }
+
+  /**
+   * Search teams by name
+   */
+  async searchTeams(query) {
+    const params = new URLSearchParams({ s: query });
+    return (await this.request('GET', `/teams?${params.toString()}`)) || [];
+  }
+
+  // ===========================================================================
+  // Assignees
+  // ===========================================================================
+
+  /**
+   * List the users assigned to a task
+   */
+  async listAssignees(taskId) {
+    return (await this.request('GET', `/tasks/${taskId}/assignees`)) || [];
+  }
+
+  /**
+   * Assign a user to a task
+   */
+  async addAssignee(taskId, userId) {
+    return this.request('PUT', `/tasks/${taskId}/assignees`, { user_id: userId });
+  }
+
+  /**
+   * Unassign a user from a task
+   */
+  async removeAssignee(taskId, userId) {
+    return this.request('DELETE', `/tasks/${taskId}/assignees/${userId}`);
+  }
+
+  // ===========================================================================
+  // Project Sharing
+  // ===========================================================================
+
+  /**
+   * Users and teams a project is shared with
+   */
+  async listProjectShares(projectId) {
+    const [users, teams] = await Promise.all([
+      this.request('GET', `/projects/${projectId}/users`),
+      this.request('GET', `/projects/${projectId}/teams`),
+    ]);
+    return { users: users || [], teams: teams || [] };
+  }
+
+  /**
+   * Share a project with a user (by username)
+   */
+  async shareProjectWithUser(projectId, username, permission = 'read') {
+    return this.request('PUT', `/projects/${projectId}/users`, {
+      username,
+      ...permissionFields(permission),
+    });
+  }
+
+  /**
+   * Stop sharing a project with a user
+   */
+  async unshareProjectWithUser(projectId, userId) {
+    return this.request('DELETE', `/projects/${projectId}/users/${userId}`);
+  }
+
+  /**
+   * Share a project with a team
+   */
+  async shareProjectWithTeam(projectId, teamId, permission = 'read') {
+    return this.request('PUT', `/projects/${projectId}/teams`, {
+      team_id: teamId,
+      ...permissionFields(permission),
+    });
+  }
+
+  /**
+   * Stop sharing a project with a team
+   */
+  async unshareProjectWithTeam(projectId, teamId) {
+    return this.request('DELETE', `/projects/${projectId}/teams/${teamId}`);
+  }
+
   /**
    * Test API connection
    */
@@ -219,3 +1145,72 @@ export class VikunjaClient {
     }
   }
 }
+
+/**
+ * Compare two timestamps regardless of formatting (e.g. Z vs +00:00)
+ */
+function sameTimestamp(a, b) {
+  const timeA = Date.parse(a);
+  const timeB = Date.parse(b);
+
+  if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+    return a === b;
+  }
+  return timeA === timeB;
+}
+
+/**
+ * Drop null and undefined values, leaving Vikunja's defaults in place
+ */
+function pickSet(fields) {
+  return Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== null && value !== undefined)
+  );
+}
+
+/**
+ * Sharing permission as Vikunja expects it. Older releases call the field
+ * `right`, newer ones `permission`; each ignores the other.
+ */
+function permissionFields(permission) {
+  const level = SHARE_PERMISSIONS.indexOf(permission);
+  if (level === -1) {
+    throw new Error(`Unknown permission: ${permission} (expected ${SHARE_PERMISSIONS.join(', ')})`);
+  }
+  return { permission: level, right: level };
+}
+
+/**
+ * Throw unless the relation kind is one Vikunja knows
+ */
+function assertRelationKind(relationKind) {
+  if (!RELATION_KINDS.includes(relationKind)) {
+    throw new Error(`Unknown relation kind: ${relationKind} (expected one of ${RELATION_KINDS.join(', ')})`);
+  }
+}
+
+/**
+ * The fields of a task needed to follow its relations
+ */
+function taskSummary(task) {
+  return {
+    id: task.id,
+    identifier: task.identifier,
+    title: task.title,
+    done: Boolean(task.done),
+    project_id: task.project_id,
+  };
+}
+
+/**
+ * Task summary for a board card, with what a standup looks at
+ */
+function boardCard(task) {
+  return {
+    ...taskSummary(task),
+    priority: task.priority || 0,
+    due_date: task.due_date && !task.due_date.startsWith('0001-') ? task.due_date : null,
+    assignees: (task.assignees || []).map((user) => user.username),
+    percent_done: task.percent_done || 0,
+  };
+}
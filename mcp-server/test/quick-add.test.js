@@ -0,0 +1,118 @@
+/**
+ * parseQuickAdd with a fixed clock and timezone
+ */
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseQuickAdd } from '../src/quick-add.js';
+
+// Wednesday, 11:30 in Berlin (UTC+1 until the DST switch on March 29th)
+const NOW = new Date('2026-03-04T10:30:00Z');
+const BERLIN = { now: NOW, timezone: 'Europe/Berlin' };
+
+describe('parseQuickAdd dates', () => {
+  test('reads "tomorrow 9am" in the given timezone', () => {
+    const result = parseQuickAdd('Call Dana tomorrow 9am', BERLIN);
+
+    assert.equal(result.title, 'Call Dana');
+    assert.equal(result.due_date, '2026-03-05T08:00:00Z');
+    assert.deepEqual(result.interpreted, [
+      { text: 'tomorrow 9am', field: 'due_date', value: '2026-03-05T08:00:00Z' },
+    ]);
+  });
+
+  test('uses the offset in force on the target day across a DST switch', () => {
+    const result = parseQuickAdd('Call Dana tomorrow at 9am', {
+      now: new Date('2026-03-28T10:00:00Z'),
+      timezone: 'Europe/Berlin',
+    });
+    assert.equal(result.due_date, '2026-03-29T07:00:00Z');
+  });
+
+  test('depends on the timezone, not the machine clock', () => {
+    const result = parseQuickAdd('Call Dana tomorrow 9am', { now: NOW, timezone: 'America/New_York' });
+    assert.equal(result.due_date, '2026-03-05T14:00:00Z');
+  });
+
+  test('reads "in 2 days" at the default time', () => {
+    assert.equal(parseQuickAdd('Pay rent in 2 days', BERLIN).due_date, '2026-03-06T11:00:00Z');
+    assert.equal(parseQuickAdd('Pay rent in 2 days', { ...BERLIN, defaultTime: '8am' }).due_date,
+      '2026-03-06T07:00:00Z');
+  });
+
+  test('reads "in 2 hours" from the current instant', () => {
+    assert.equal(parseQuickAdd('Check the oven in 2 hours', BERLIN).due_date, '2026-03-04T12:30:00Z');
+  });
+
+  test('reads weekdays as the coming one', () => {
+    assert.equal(parseQuickAdd('Standup next monday', BERLIN).due_date, '2026-03-09T11:00:00Z');
+    assert.equal(parseQuickAdd('Standup friday at 17:30', BERLIN).due_date, '2026-03-06T16:30:00Z');
+    assert.equal(parseQuickAdd('Standup wednesday', BERLIN).due_date, '2026-03-11T11:00:00Z');
+  });
+
+  test('moves a time that already passed today to tomorrow', () => {
+    assert.equal(parseQuickAdd('Stretch at 9am', BERLIN).due_date, '2026-03-05T08:00:00Z');
+    assert.equal(parseQuickAdd('Stretch at 5pm', BERLIN).due_date, '2026-03-04T16:00:00Z');
+  });
+
+  test('reads month names, rolling over to next year once passed', () => {
+    assert.equal(parseQuickAdd('Renew passport jan 15', BERLIN).due_date, '2027-01-15T11:00:00Z');
+    assert.equal(parseQuickAdd('File taxes 15th march 2027', BERLIN).due_date, '2027-03-15T11:00:00Z');
+  });
+
+  test('rejects impossible dates', () => {
+    assert.throws(() => parseQuickAdd('Party feb 30', BERLIN), /Unrecognized date: "feb 30"/);
+  });
+});
+
+describe('parseQuickAdd tokens', () => {
+  test('extracts labels, project, priority and assignees', () => {
+    const result = parseQuickAdd('Review PR *work *"follow up" +Sales !4 @dana', BERLIN);
+
+    assert.equal(result.title, 'Review PR');
+    assert.deepEqual(result.labels, ['work', 'follow up']);
+    assert.equal(result.project, 'Sales');
+    assert.equal(result.priority, 4);
+    assert.deepEqual(result.assignees, ['dana']);
+    assert.equal(result.due_date, null);
+  });
+
+  test('takes quoted project titles and leaves tokens inside words alone', () => {
+    const result = parseQuickAdd("Email bob@example.com about C++ !5 +'Home Office'", BERLIN);
+
+    assert.equal(result.title, 'Email bob@example.com about C++');
+    assert.equal(result.project, 'Home Office');
+    assert.equal(result.priority, 5);
+    assert.deepEqual(result.assignees, []);
+  });
+
+  test('reads repeats and starts them on the next matching day', () => {
+    const result = parseQuickAdd('Water plants every monday', BERLIN);
+
+    assert.equal(result.title, 'Water plants');
+    assert.equal(result.repeat_after, 7 * 86400);
+    assert.equal(result.repeat_mode, 'default');
+    assert.equal(result.due_date, '2026-03-09T11:00:00Z');
+    assert.equal(parseQuickAdd('Pay rent monthly', BERLIN).repeat_mode, 'monthly');
+  });
+
+  test('reads reminders relative to the due date', () => {
+    const result = parseQuickAdd('Dentist friday at 3pm remind 1h before', BERLIN);
+
+    assert.equal(result.due_date, '2026-03-06T14:00:00Z');
+    assert.deepEqual(result.reminders, [{ relative_to: 'due_date', relative_period: -3600 }]);
+    assert.throws(() => parseQuickAdd('Dentist remind 1h before', BERLIN), /needs a due date/);
+  });
+});
+
+describe('parseQuickAdd errors', () => {
+  test('rejects unknown timezones', () => {
+    assert.throws(() => parseQuickAdd('Call Dana tomorrow', { now: NOW, timezone: 'Mars/Olympus' }),
+      /Unknown timezone: Mars\/Olympus/);
+  });
+
+  test('rejects text without a title', () => {
+    assert.throws(() => parseQuickAdd('*work tomorrow !3', BERLIN), /no title left/);
+  });
+});
@@ -0,0 +1,620 @@
+/**
+ * Sync engine tests against local stub servers for Vikunja, YouTrack and Jira
+ */
+
+import { describe, test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+import { VikunjaClient } from '../src/vikunja-client.js';
+import { SyncEngine } from '../src/sync/engine.js';
+import {
+  SyncStateStore,
+  STATE_FILE_NAME,
+  LOCK_HEARTBEAT_MS,
+  acquireSyncLock,
+} from '../src/sync/state-store.js';
+import { YouTrackConnector } from '../src/sync/youtrack-connector.js';
+import { JiraConnector } from '../src/sync/jira-connector.js';
+import { TodoistConnector } from '../src/sync/todoist-connector.js';
+import { runLockedSync } from '../src/sync/setup.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * Start an HTTP server on a free local port. `handle(request)` returns
+ * [status, json, headers]; every request is recorded in `requests`.
+ */
+async function startStub(handle) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: url.searchParams,
+        body: body ? JSON.parse(body) : null,
+      };
+      requests.push(request);
+
+      const [status, data, headers = {}] = handle(request);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(data === undefined ? '' : JSON.stringify(data));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+/**
+ * In-memory Vikunja with the project, task and label endpoints the engine
+ * uses. `onTaskRead(task)` runs before a single task is returned.
+ */
+async function startVikunja() {
+  const projects = [];
+  const tasks = new Map();
+  const labels = [];
+  const hooks = { onTaskRead: null };
+  let nextId = 1;
+  let clock = 0;
+  const stamp = () => new Date(Date.UTC(2026, 0, 1) + ++clock * 1000).toISOString();
+
+  const stub = await startStub(({ method, path: route, body }) => {
+    let match;
+    if (route === '/projects') {
+      if (method === 'GET') return [200, projects];
+      const project = { ...body, id: nextId++ };
+      projects.push(project);
+      return [200, project];
+    }
+    if ((match = route.match(/^\/projects\/(\d+)\/tasks$/))) {
+      const projectId = Number(match[1]);
+      if (method === 'GET') {
+        const list = [...tasks.values()].filter((task) => task.project_id === projectId);
+        return [200, list, { 'x-pagination-total-pages': '1' }];
+      }
+      const task = { done: false, labels: [], ...body, id: nextId++, project_id: projectId, updated: stamp() };
+      tasks.set(task.id, task);
+      return [200, task];
+    }
+    if ((match = route.match(/^\/tasks\/(\d+)$/))) {
+      const task = tasks.get(Number(match[1]));
+      if (!task) return [404, { message: 'The task does not exist.' }];
+      if (method === 'GET') {
+        hooks.onTaskRead?.(task);
+        return [200, task];
+      }
+      Object.assign(task, body, { id: task.id, updated: stamp() });
+      return [200, task];
+    }
+    if (route === '/labels') {
+      if (method === 'GET') return [200, labels];
+      const label = { ...body, id: nextId++ };
+      labels.push(label);
+      return [200, label];
+    }
+    if ((match = route.match(/^\/tasks\/(\d+)\/labels$/))) {
+      const task = tasks.get(Number(match[1]));
+      task.labels.push(labels.find((label) => label.id === body.label_id));
+      return [200, { label_id: body.label_id }];
+    }
+    if ((match = route.match(/^\/tasks\/(\d+)\/labels\/(\d+)$/))) {
+      const task = tasks.get(Number(match[1]));
+      task.labels = task.labels.filter((label) => label.id !== Number(match[2]));
+      return [200, { message: 'Success' }];
+    }
+    return [404, { message: `No stub for ${method} ${route}` }];
+  });
+
+  return Object.assign(hooks, stub, { projects, tasks });
+}
+
+/**
+ * YouTrack serving `issues` from /api/issues and /api/issues/<id>.
+ * Like a "#Unresolved" query, the listing leaves out resolved issues;
+ * an "issue id:" query finds issues in any state.
+ */
+async function startYouTrack(issues) {
+  return startStub(({ path: route, query }) => {
+    if (route === '/api/issues') {
+      const lookup = (query.get('query') || '').match(/^issue id: (.*)$/);
+      if (lookup) {
+        const ids = lookup[1].split(', ');
+        return [200, issues.filter((i) => ids.includes(i.idReadable))];
+      }
+      const skip = Number(query.get('$skip') || 0);
+      const open = issues.filter((i) => !i.resolved);
+      return [200, open.slice(skip, skip + Number(query.get('$top') || 100))];
+    }
+    const issue = issues.find((i) => route === `/api/issues/${i.idReadable}`);
+    return issue ? [200, issue] : [404, { error: 'Not Found' }];
+  });
+}
+
+/**
+ * Jira serving `issues` from the JQL search, the bulk fetch and
+ * /rest/api/3/issue/<key>. Like the default JQL, the search leaves out
+ * resolved issues.
+ */
+async function startJira(issues) {
+  return startStub(({ method, path: route, body }) => {
+    if (route === '/rest/api/3/search/jql') {
+      const open = issues.filter((i) => i.fields.status.statusCategory.key !== 'done');
+      return [200, { issues: open, isLast: true }];
+    }
+    if (route === '/rest/api/3/issue/bulkfetch') {
+      const found = issues.filter((i) => body.issueIdsOrKeys.includes(i.key));
+      const missing = body.issueIdsOrKeys.filter((key) => !found.some((i) => i.key === key));
+      return [200, { issues: found, issueErrors: missing.map((key) => ({ key })) }];
+    }
+    const issue = issues.find((i) => route === `/rest/api/3/issue/${i.key}`);
+    if (issue && method === 'PUT') {
+      Object.assign(issue.fields, body.fields, { updated: new Date().toISOString() });
+      return [204];
+    }
+    return issue ? [200, issue] : [404, { errorMessages: ['Issue does not exist'] }];
+  });
+}
+
+/**
+ * Todoist serving active `tasks` in a single "Inbox" project from the REST
+ * API, and active or `completed` tasks from the Sync API's /sync/items/get
+ */
+async function startTodoist(tasks, completed = []) {
+  return startStub(({ path: route, query, body }) => {
+    if (route === '/projects') return [200, [{ id: 'p1', name: 'Inbox' }]];
+    if (route === '/sections') return [200, []];
+    if (route === '/tasks') {
+      const ids = query.get('ids')?.split(',');
+      return [200, ids ? tasks.filter((t) => ids.includes(t.id)) : tasks];
+    }
+    if (route === '/sync/items/get') {
+      const active = tasks.find((t) => t.id === body.item_id);
+      const done = completed.find((t) => t.id === body.item_id);
+      if (active) return [200, { item: { ...active, checked: false } }];
+      return done ? [200, { item: { ...done, checked: true } }] : [404, { error: 'Item not found' }];
+    }
+    const task = tasks.find((t) => route === `/tasks/${t.id}`);
+    return task ? [200, task] : [404, 'Task not found'];
+  });
+}
+
+function youTrackIssue(id, summary, updated = Date.UTC(2026, 0, 1)) {
+  return { idReadable: id, summary, description: '', resolved: null, updated, customFields: [] };
+}
+
+function jiraIssue(key, summary, updated = '2026-01-01T10:00:00.000+0000') {
+  return { key, fields: { summary, status: { statusCategory: { key: 'new' } }, updated } };
+}
+
+function createEngine({
+  vikunja,
+  connector,
+  state,
+  dryRun = false,
+  direction = 'import',
+  mode = 'titles_only',
+  maxTasks = 100,
+}) {
+  return new SyncEngine({
+    vikunjaClient: new VikunjaClient({ baseUrl: vikunja.url, token: 'test-token', maxRetries: 0 }),
+    connectors: [connector],
+    state,
+    dryRun,
+    direction,
+    mode,
+    maxTasks,
+    logger: silentLogger,
+  });
+}
+
+function taskTitles(vikunja) {
+  return [...vikunja.tasks.values()].map((task) => task.title).sort();
+}
+
+describe('SyncEngine with YouTrack', () => {
+  let vikunja;
+  let youtrack;
+  let issues;
+  let stateDir;
+
+  beforeEach(async () => {
+    issues = [youTrackIssue('DEMO-1', 'First issue'), youTrackIssue('DEMO-2', 'Second issue')];
+    vikunja = await startVikunja();
+    youtrack = await startYouTrack(issues);
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-engine-test-'));
+  });
+
+  afterEach(async () => {
+    await vikunja.close();
+    await youtrack.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  const connector = () => new YouTrackConnector({ baseUrl: youtrack.url, token: 'yt-token' });
+
+  test('creates a project and a task per issue', async () => {
+    const state = new SyncStateStore({ dir: stateDir });
+    const [result] = await createEngine({ vikunja, connector: connector(), state }).run();
+
+    assert.equal(result.created, 2);
+    assert.equal(result.incremental, false);
+    assert.deepEqual(vikunja.projects.map((p) => p.title), ['YouTrack Tasks']);
+    assert.deepEqual(taskTitles(vikunja), ['First issue [YT:DEMO-1]', 'Second issue [YT:DEMO-2]']);
+
+    const saved = new SyncStateStore({ dir: stateDir });
+    const task = [...vikunja.tasks.values()].find((t) => t.title === 'First issue [YT:DEMO-1]');
+    assert.equal(saved.getItem('youtrack', 'DEMO-1').task_id, task.id);
+    assert.ok(saved.getCursor('youtrack'));
+  });
+
+  test('updates only issues whose content hash changed', async () => {
+    await createEngine({ vikunja, connector: connector(), state: new SyncStateStore({ dir: stateDir }) }).run();
+
+    issues[1].summary = 'Second issue, renamed';
+    issues[1].updated = Date.UTC(2026, 0, 2);
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.incremental, true);
+    assert.equal(result.created, 0);
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 1);
+    assert.deepEqual(taskTitles(vikunja), ['First issue [YT:DEMO-1]', 'Second issue, renamed [YT:DEMO-2]']);
+
+    // The cursor is the newest issue seen, queried with a day of overlap
+    const searches = youtrack.requests.filter((r) => r.path === '/api/issues');
+    assert.match(searches.at(-1).query.get('query'), /updated: 2025-12-31 \.\. Today/);
+  });
+
+  test('completes tasks of issues resolved since the last run', async () => {
+    await createEngine({ vikunja, connector: connector(), state: new SyncStateStore({ dir: stateDir }) }).run();
+
+    issues[0].resolved = Date.UTC(2026, 0, 2);
+    issues[0].updated = Date.UTC(2026, 0, 2);
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.incremental, true);
+    assert.equal(result.updated, 1);
+    const task = [...vikunja.tasks.values()].find((t) => t.title === 'First issue [YT:DEMO-1]');
+    assert.equal(task.done, true);
+    assert.equal(new SyncStateStore({ dir: stateDir }).getItem('youtrack', 'DEMO-1').done, true);
+
+    const lookups = youtrack.requests.filter((r) => /^issue id:/.test(r.query.get('query') || ''));
+    assert.deepEqual(lookups.map((r) => r.query.get('query')), ['issue id: DEMO-1']);
+    assert.equal(youtrack.requests.filter((r) => r.path === '/api/issues/DEMO-1').length, 0);
+  });
+
+  test('two-way sync flags a task edited in Vikunja during the run instead of overwriting it', async () => {
+    const run = () => createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+      direction: 'two-way',
+    }).run();
+    await run();
+    const before = new SyncStateStore({ dir: stateDir }).getItem('youtrack', 'DEMO-1');
+
+    issues[0].summary = 'First issue, renamed in YouTrack';
+    issues[0].updated = Date.UTC(2026, 0, 2);
+    vikunja.onTaskRead = (task) => {
+      if (task.id === before.task_id && !task.title.includes('Vikunja')) {
+        task.title = 'First issue, renamed in Vikunja [YT:DEMO-1]';
+        task.updated = '2026-01-03T00:00:00.000Z';
+      }
+    };
+    const [result] = await run();
+
+    assert.equal(result.conflicts, 1);
+    assert.equal(result.failed, 0);
+    const task = vikunja.tasks.get(before.task_id);
+    assert.equal(task.title, 'First issue, renamed in Vikunja [YT:DEMO-1]');
+    assert.deepEqual(task.labels.map((label) => label.title), ['sync-conflict']);
+    assert.deepEqual(new SyncStateStore({ dir: stateDir }).getItem('youtrack', 'DEMO-1'), before);
+    assert.equal(youtrack.requests.filter((r) => r.method === 'POST').length, 0);
+
+    // The next run reconciles the edit like any other
+    vikunja.onTaskRead = null;
+    await run();
+    const [conflict] = new SyncStateStore({ dir: stateDir }).listConflicts();
+    assert.equal(conflict.field, 'title');
+    assert.equal(conflict.vikunja_value, 'First issue, renamed in Vikunja');
+  });
+
+  test('dry run reports changes without writing to Vikunja or the state', async () => {
+    const state = new SyncStateStore({ dir: stateDir });
+    const [result] = await createEngine({ vikunja, connector: connector(), state, dryRun: true }).run();
+
+    assert.equal(result.dry_run, true);
+    assert.equal(result.created, 2);
+    assert.equal(result.project_id, null);
+    assert.deepEqual(vikunja.requests.filter((r) => r.method !== 'GET'), []);
+    assert.equal(fs.existsSync(path.join(stateDir, STATE_FILE_NAME)), false);
+  });
+});
+
+describe('SyncEngine with Jira', () => {
+  let vikunja;
+  let jira;
+  let issues;
+  let stateDir;
+
+  beforeEach(async () => {
+    issues = [jiraIssue('PROJ-1', 'Fix login'), jiraIssue('PROJ-2', 'Write docs')];
+    vikunja = await startVikunja();
+    jira = await startJira(issues);
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-engine-test-'));
+  });
+
+  afterEach(async () => {
+    await vikunja.close();
+    await jira.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  const connector = () => new JiraConnector({ baseUrl: jira.url, email: 'me@example.com', token: 'jira-token' });
+
+  test('creates a task per issue', async () => {
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.created, 2);
+    assert.deepEqual(vikunja.projects.map((p) => p.title), ['Jira Tasks']);
+    assert.deepEqual(taskTitles(vikunja), ['Fix login [JIRA:PROJ-1]', 'Write docs [JIRA:PROJ-2]']);
+  });
+
+  test('updates only issues whose content hash changed', async () => {
+    await createEngine({ vikunja, connector: connector(), state: new SyncStateStore({ dir: stateDir }) }).run();
+
+    issues[0].fields.summary = 'Fix login on Safari';
+    issues[0].fields.updated = '2026-01-02T09:00:00.000+0000';
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.incremental, true);
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 1);
+    assert.deepEqual(taskTitles(vikunja), ['Fix login on Safari [JIRA:PROJ-1]', 'Write docs [JIRA:PROJ-2]']);
+
+    const searches = jira.requests.filter((r) => r.path === '/rest/api/3/search/jql');
+    assert.match(searches.at(-1).query.get('jql'), /AND updated >= "2025-12-31" ORDER BY updated ASC$/);
+  });
+
+  test('completes tasks of issues resolved since the last run', async () => {
+    await createEngine({ vikunja, connector: connector(), state: new SyncStateStore({ dir: stateDir }) }).run();
+
+    issues[1].fields.status = { statusCategory: { key: 'done' } };
+    issues[1].fields.updated = '2026-01-02T09:00:00.000+0000';
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.updated, 1);
+    assert.equal(result.unchanged, 1);
+    const task = [...vikunja.tasks.values()].find((t) => t.title === 'Write docs [JIRA:PROJ-2]');
+    assert.equal(task.done, true);
+    // Looked up in one batch, not issue by issue
+    const lookups = jira.requests.filter((r) => r.path === '/rest/api/3/issue/bulkfetch');
+    assert.deepEqual(lookups.map((r) => r.body.issueIdsOrKeys), [['PROJ-2']]);
+    assert.equal(jira.requests.filter((r) => r.path === '/rest/api/3/issue/PROJ-2').length, 0);
+  });
+
+  test('two-way sync clears the Jira priority of a task whose priority was unset', async () => {
+    issues[0].fields.priority = { name: 'High' };
+    const run = () => createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+      direction: 'two-way',
+      mode: 'full',
+    }).run();
+    await run();
+    const taskId = new SyncStateStore({ dir: stateDir }).getItem('jira', 'PROJ-1').task_id;
+    assert.equal(vikunja.tasks.get(taskId).priority, 4);
+
+    Object.assign(vikunja.tasks.get(taskId), { priority: 0, updated: '2026-01-03T00:00:00.000Z' });
+    const [pushed] = await run();
+    assert.equal(pushed.updated_in_source, 1);
+    assert.equal(issues[0].fields.priority, null);
+
+    // 0 reads back as 0: nothing left to sync either way
+    const [settled] = await run();
+    assert.equal(settled.updated_in_vikunja, 0);
+    assert.equal(settled.updated_in_source, 0);
+    assert.equal(vikunja.tasks.get(taskId).priority, 0);
+  });
+
+  test('adopts existing tasks by title marker instead of duplicating them', async () => {
+    const vikunjaClient = new VikunjaClient({ baseUrl: vikunja.url, token: 'test-token', maxRetries: 0 });
+    const project = await vikunjaClient.createProject({ title: 'Jira Tasks' });
+    await vikunjaClient.createTask({ title: 'Fix login [JIRA:PROJ-1]', project_id: project.id });
+
+    const [result] = await createEngine({
+      vikunja,
+      connector: connector(),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+
+    assert.equal(result.created, 1);
+    assert.equal(result.unchanged, 1);
+    assert.equal(vikunja.tasks.size, 2);
+  });
+});
+
+describe('SyncEngine with Todoist', () => {
+  let vikunja;
+  let todoist;
+  let tasks;
+  let completed;
+  let stateDir;
+
+  beforeEach(async () => {
+    tasks = ['Buy milk', 'Call Bob', 'Pay rent'].map((content, i) => ({
+      id: String(i + 1),
+      content,
+      project_id: 'p1',
+      priority: 1,
+      labels: [],
+    }));
+    completed = [];
+    vikunja = await startVikunja();
+    todoist = await startTodoist(tasks, completed);
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-engine-test-'));
+  });
+
+  afterEach(async () => {
+    await vikunja.close();
+    await todoist.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('limits creations, not the listing, to maxTasks', async () => {
+    const run = () => createEngine({
+      vikunja,
+      connector: new TodoistConnector({ baseUrl: todoist.url, token: 'td-token' }),
+      state: new SyncStateStore({ dir: stateDir }),
+      maxTasks: 2,
+    }).run();
+
+    const [first] = await run();
+    assert.equal(first.fetched, 3);
+    assert.equal(first.created, 2);
+    assert.equal(first.deferred, 1);
+
+    const [second] = await run();
+    assert.equal(second.created, 1);
+    assert.equal(second.unchanged, 2);
+    assert.equal(second.deferred, 0);
+    assert.deepEqual(taskTitles(vikunja), ['Buy milk [TD:1]', 'Call Bob [TD:2]', 'Pay rent [TD:3]']);
+
+    // Mapped tasks come from the listing, none had to be fetched one by one
+    assert.equal(todoist.requests.filter((r) => r.path.startsWith('/tasks/')).length, 0);
+  });
+
+  test('completes the task of a Todoist task completed since the last run, not of a deleted one', async () => {
+    const run = () => createEngine({
+      vikunja,
+      connector: new TodoistConnector({ baseUrl: todoist.url, syncUrl: `${todoist.url}/sync`, token: 'td-token' }),
+      state: new SyncStateStore({ dir: stateDir }),
+    }).run();
+    await run();
+
+    // "Call Bob" is completed and "Pay rent" deleted: both drop out of the listing
+    completed.push(...tasks.splice(1, 1));
+    tasks.splice(1, 1);
+    const [result] = await run();
+
+    assert.equal(result.updated, 1);
+    const done = Object.fromEntries([...vikunja.tasks.values()].map((task) => [task.title, task.done]));
+    assert.deepEqual(done, { 'Buy milk [TD:1]': false, 'Call Bob [TD:2]': true, 'Pay rent [TD:3]': false });
+    const state = new SyncStateStore({ dir: stateDir });
+    assert.equal(state.getItem('todoist', '2').done, true);
+    assert.equal(state.getItem('todoist', '3').done, false);
+  });
+});
+
+describe('runLockedSync', () => {
+  const ENV_KEYS = ['SYNC_STATE_DIR', 'VIKUNJA_API_URL', 'VIKUNJA_API_TOKEN', 'VIKUNJA_RATE_LIMIT',
+    'VIKUNJA_MAX_RETRIES', 'YOUTRACK_URL', 'YOUTRACK_TOKEN', 'LOG_LEVEL'];
+  let savedEnv;
+  let vikunja;
+  let youtrack;
+  let stateDir;
+  let lockPath;
+
+  beforeEach(async () => {
+    vikunja = await startVikunja();
+    youtrack = await startYouTrack([youTrackIssue('DEMO-1', 'First issue')]);
+    stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-engine-test-'));
+    lockPath = path.join(stateDir, 'sync-engine.lock');
+
+    savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+    Object.assign(process.env, {
+      SYNC_STATE_DIR: stateDir,
+      VIKUNJA_API_URL: vikunja.url,
+      VIKUNJA_API_TOKEN: 'test-token',
+      VIKUNJA_RATE_LIMIT: '0',
+      VIKUNJA_MAX_RETRIES: '0',
+      YOUTRACK_URL: youtrack.url,
+      YOUTRACK_TOKEN: 'yt-token',
+      LOG_LEVEL: 'error',
+    });
+  });
+
+  afterEach(async () => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await vikunja.close();
+    await youtrack.close();
+    fs.rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('skips the run while another process holds the lock', async () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, at: new Date().toISOString() }));
+
+    assert.equal(await runLockedSync(['youtrack']), null);
+    assert.equal(youtrack.requests.length, 0);
+    assert.ok(fs.existsSync(lockPath));
+  });
+
+  test('takes over a stale lock left by a crashed run', async () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 1, at: '2026-01-01T00:00:00.000Z' }));
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    fs.utimesSync(lockPath, hourAgo, hourAgo);
+
+    const [result] = await runLockedSync(['youtrack']);
+
+    assert.equal(result.source, 'youtrack');
+    assert.equal(result.created, 1);
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+
+  test('keeps the lock fresh while a long run holds it', () => {
+    mock.timers.enable({ apis: ['setInterval'] });
+    try {
+      const release = acquireSyncLock(stateDir);
+      const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+      fs.utimesSync(lockPath, hourAgo, hourAgo);
+
+      mock.timers.tick(LOCK_HEARTBEAT_MS);
+      assert.ok(Date.now() - fs.statSync(lockPath).mtimeMs < LOCK_HEARTBEAT_MS);
+      assert.equal(acquireSyncLock(stateDir), null);
+
+      release();
+      assert.equal(fs.existsSync(lockPath), false);
+    } finally {
+      mock.timers.reset();
+    }
+  });
+});
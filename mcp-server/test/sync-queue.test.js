@@ -0,0 +1,96 @@
+/**
+ * SyncQueue deduplication and debouncing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SyncQueue } from '../src/sync/sync-queue.js';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wait until `condition()` holds, failing after `timeoutMs`
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the sync run');
+    }
+    await sleep(10);
+  }
+}
+
+/**
+ * Queue whose runSync records the sources of every run, like
+ * runLockedSync resolving to `result` (null when the lock is taken)
+ */
+function createQueue(options = {}, result = () => []) {
+  const runs = [];
+  const queue = new SyncQueue({
+    runSync: async (sources) => {
+      runs.push(sources);
+      return result(runs.length);
+    },
+    debounceMs: 200,
+    maxDelayMs: 5000,
+    logger: silentLogger,
+    ...options,
+  });
+  return { queue, runs };
+}
+
+test('reports repeated items as duplicates', () => {
+  const { queue } = createQueue();
+
+  assert.deepEqual(queue.enqueue('jira', 'PROJ-1'), { queued: true, duplicate: false });
+  assert.deepEqual(queue.enqueue('jira', 'PROJ-1'), { queued: true, duplicate: true });
+  assert.deepEqual(queue.enqueue('youtrack', 'PROJ-1'), { queued: true, duplicate: false });
+  assert.deepEqual(queue.status().pending, { jira: 1, youtrack: 1 });
+});
+
+test('coalesces events within the debounce period into one run', async () => {
+  const { queue, runs } = createQueue();
+
+  queue.enqueue('jira', 'PROJ-1');
+  await sleep(50);
+  queue.enqueue('jira', 'PROJ-2');
+  await sleep(50);
+  queue.enqueue('youtrack', 'DEMO-1');
+  queue.enqueue('jira', 'PROJ-1');
+
+  await sleep(100);
+  assert.equal(runs.length, 0, 'each event restarts the debounce timer');
+
+  await waitFor(() => runs.length > 0);
+  assert.deepEqual(runs, [['jira', 'youtrack']]);
+  assert.deepEqual(queue.status().pending, {});
+  assert.equal(queue.status().last_run.items, 3);
+});
+
+test('runs after maxDelayMs even while events keep arriving', async () => {
+  const { queue, runs } = createQueue({ debounceMs: 200, maxDelayMs: 300 });
+
+  for (let i = 0; i < 8; i++) {
+    queue.enqueue('jira', `PROJ-${i}`);
+    await sleep(75);
+  }
+
+  assert.ok(runs.length >= 1);
+  await waitFor(() => queue.status().pending.jira === undefined && !queue.status().running);
+});
+
+test('retries the batch when the sync lock is taken', async () => {
+  const { queue, runs } = createQueue({}, (run) => (run === 1 ? null : []));
+
+  queue.enqueue('jira', 'PROJ-1');
+  await waitFor(() => runs.length === 1);
+  assert.deepEqual(queue.status().pending, { jira: 1 });
+
+  await waitFor(() => runs.length === 2);
+  assert.deepEqual(runs, [['jira'], ['jira']]);
+  assert.deepEqual(queue.status().pending, {});
+});
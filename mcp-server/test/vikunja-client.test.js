@@ -0,0 +1,200 @@
+/**
+ * VikunjaClient against local stubs of the task and project endpoints
+ */
+
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { VikunjaClient } from '../src/vikunja-client.js';
+
+const WEEK_MS = 7 * 24 * 3600 * 1000;
+
+/**
+ * One task at /tasks/1. Like Vikunja, completing a repeating task moves
+ * its dates forward by repeat_after and leaves it open. Comments fail
+ * while `failComments` is set.
+ */
+async function startVikunja(task) {
+  const stub = { task, failComments: false, requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push(`${req.method} ${req.url}`);
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (req.url === '/tasks/1' && req.method === 'GET') return send(200, stub.task);
+      if (req.url === '/tasks/1' && req.method === 'POST') {
+        const update = JSON.parse(body);
+        if (update.done && update.repeat_after && !stub.task.done) {
+          const shift = (date) => new Date(Date.parse(date) + update.repeat_after * 1000).toISOString();
+          Object.assign(update, {
+            done: false,
+            due_date: shift(update.due_date),
+            reminders: update.reminders.map((r) => ({ ...r, reminder: shift(r.reminder) })),
+          });
+        }
+        stub.task = update;
+        return send(200, stub.task);
+      }
+      if (req.url === '/tasks/1/comments' && req.method === 'PUT') {
+        return stub.failComments
+          ? send(500, { message: 'Internal error' })
+          : send(200, { id: 7, comment: JSON.parse(body).comment });
+      }
+      send(404, { message: 'Not found' });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return stub;
+}
+
+/**
+ * Projects served two per page, like a Vikunja whose per-page limit is
+ * lower than the number of projects
+ */
+async function startProjects(projects) {
+  const stub = { projects, requests: [] };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      stub.requests.push(`${req.method} ${url.pathname}`);
+      const send = (status, data, headers = {}) => {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      };
+
+      if (url.pathname === '/projects') {
+        const page = Number(url.searchParams.get('page') || 1);
+        return send(200, stub.projects.slice((page - 1) * 2, page * 2), {
+          'x-pagination-total-pages': String(Math.ceil(stub.projects.length / 2)),
+        });
+      }
+      const project = stub.projects.find((p) => url.pathname === `/projects/${p.id}`);
+      if (project && req.method === 'GET') return send(200, project);
+      if (project && req.method === 'POST') return send(200, Object.assign(project, JSON.parse(body)));
+      send(404, { message: 'Not found' });
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  stub.url = `http://127.0.0.1:${server.address().port}`;
+  stub.close = () => {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(resolve));
+  };
+  return stub;
+}
+
+describe('VikunjaClient.completeTask', () => {
+  let vikunja;
+  let client;
+
+  beforeEach(async () => {
+    vikunja = await startVikunja({
+      id: 1,
+      title: 'Water the plants',
+      done: false,
+      due_date: '2026-03-02T09:00:00Z',
+      start_date: '0001-01-01T00:00:00Z',
+      end_date: '0001-01-01T00:00:00Z',
+      reminders: [{ reminder: '2026-03-02T08:00:00Z', relative_to: '', relative_period: 0 }],
+      repeat_after: WEEK_MS / 1000,
+      updated: '2026-03-01T10:00:00Z',
+    });
+    client = new VikunjaClient({ baseUrl: vikunja.url, token: 'test-token', maxRetries: 0 });
+  });
+
+  afterEach(() => vikunja.close());
+
+  test('completes the task and adds the comment', async () => {
+    const task = await client.completeTask(1, { comment: 'Done for this week' });
+
+    assert.equal(task.comment.comment, 'Done for this week');
+    assert.equal(vikunja.task.due_date, '2026-03-09T09:00:00.000Z');
+  });
+
+  test('moves a repeating task back when the comment fails', async () => {
+    vikunja.failComments = true;
+
+    await assert.rejects(client.completeTask(1, { comment: 'Done for this week' }), { status: 500 });
+
+    assert.equal(vikunja.task.done, false);
+    assert.equal(vikunja.task.due_date, '2026-03-02T09:00:00Z');
+    assert.deepEqual(vikunja.task.reminders, [
+      { reminder: '2026-03-02T08:00:00Z', relative_to: '', relative_period: 0 },
+    ]);
+  });
+
+  test('reopens a plain task when the comment fails', async () => {
+    vikunja.task = { ...vikunja.task, repeat_after: 0 };
+    vikunja.failComments = true;
+
+    await assert.rejects(client.completeTask(1, { comment: 'Finished' }));
+
+    assert.equal(vikunja.task.done, false);
+    assert.equal(vikunja.task.due_date, '2026-03-02T09:00:00Z');
+  });
+});
+
+describe('VikunjaClient project hierarchy', () => {
+  let vikunja;
+  let client;
+
+  beforeEach(async () => {
+    // Work > Clients > Acme > Invoices, plus a separate Home project
+    vikunja = await startProjects([
+      { id: 1, title: 'Work', parent_project_id: 0 },
+      { id: 2, title: 'Clients', parent_project_id: 1 },
+      { id: 3, title: 'Acme', parent_project_id: 2 },
+      { id: 4, title: 'Invoices', parent_project_id: 3 },
+      { id: 5, title: 'Home', parent_project_id: 0 },
+    ]);
+    client = new VikunjaClient({ baseUrl: vikunja.url, token: 'test-token', maxRetries: 0 });
+  });
+
+  afterEach(async () => {
+    await vikunja.close();
+  });
+
+  test('lists projects from every page', async () => {
+    const projects = await client.listProjects();
+
+    assert.deepEqual(projects.map((p) => p.id), [1, 2, 3, 4, 5]);
+    assert.equal(vikunja.requests.filter((r) => r === 'GET /projects').length, 3);
+  });
+
+  test('builds the tree from projects beyond the first page', async () => {
+    const [work, home] = await client.getProjectTree();
+
+    assert.equal(home.title, 'Home');
+    assert.equal(work.children[0].children[0].children[0].title, 'Invoices');
+  });
+
+  test('refuses to move a project under one of its descendants', async () => {
+    await assert.rejects(client.moveProject(2, 4), /cannot move under its own subproject/);
+
+    assert.equal(vikunja.projects[1].parent_project_id, 1);
+    assert.ok(!vikunja.requests.includes('POST /projects/2'));
+  });
+
+  test('moves a project under an unrelated parent', async () => {
+    await client.moveProject(3, 5);
+
+    assert.equal(vikunja.projects[2].parent_project_id, 5);
+  });
+});
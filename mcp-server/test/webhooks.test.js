@@ -0,0 +1,143 @@
+/**
+ * Webhook signature checks and the /webhooks router
+ */
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+import { verifySignature, signBody, createWebhookRouter, WebhookError } from '../src/sync/webhooks.js';
+import { SyncQueue } from '../src/sync/sync-queue.js';
+
+const SECRET = 'test-secret';
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('verifySignature', () => {
+  const body = Buffer.from(JSON.stringify({ event_name: 'task.updated', data: { task: { id: 1 } } }));
+
+  test('accepts a valid Vikunja HMAC', () => {
+    assert.doesNotThrow(() => verifySignature('vikunja', SECRET, {
+      'x-vikunja-signature': signBody(SECRET, body),
+    }, body));
+  });
+
+  test('rejects an HMAC made with another secret', () => {
+    assert.throws(
+      () => verifySignature('vikunja', SECRET, { 'x-vikunja-signature': signBody('other', body) }, body),
+      (error) => error instanceof WebhookError && error.status === 401 && /Invalid webhook signature/.test(error.message)
+    );
+  });
+
+  test('rejects a valid HMAC of a different body', () => {
+    const tampered = Buffer.from(body.toString().replace('task.updated', 'task.deleted'));
+    assert.throws(
+      () => verifySignature('vikunja', SECRET, { 'x-vikunja-signature': signBody(SECRET, body) }, tampered),
+      { status: 401 }
+    );
+  });
+
+  test('accepts Jira signatures with the sha256= prefix, in any case', () => {
+    const signature = signBody(SECRET, body);
+    assert.doesNotThrow(() => verifySignature('jira', SECRET, { 'x-hub-signature': `sha256=${signature}` }, body));
+    assert.doesNotThrow(() => verifySignature('jira', SECRET, {
+      'x-hub-signature': `SHA256=${signature.toUpperCase()}`,
+    }, body));
+  });
+
+  test('accepts YouTrack signatures or its secret token', () => {
+    assert.doesNotThrow(() => verifySignature('youtrack', SECRET, {
+      'x-youtrack-signature': `sha256=${signBody(SECRET, body)}`,
+    }, body));
+    assert.doesNotThrow(() => verifySignature('youtrack', SECRET, { 'x-webhook-token': SECRET }, body));
+    assert.throws(() => verifySignature('youtrack', SECRET, { 'x-webhook-token': 'wrong' }, body), { status: 401 });
+  });
+
+  test('rejects requests without a signature with 401', () => {
+    for (const source of ['vikunja', 'jira', 'youtrack']) {
+      assert.throws(
+        () => verifySignature(source, SECRET, {}, body),
+        (error) => error instanceof WebhookError && error.status === 401 && /Missing/.test(error.message)
+      );
+    }
+  });
+});
+
+describe('createWebhookRouter', () => {
+  let server;
+  let baseUrl;
+  let runs;
+
+  before(async () => {
+    runs = [];
+    const queue = new SyncQueue({
+      runSync: async (sources) => {
+        runs.push(sources);
+        return [];
+      },
+      debounceMs: 500,
+      logger: silentLogger,
+    });
+    const app = express();
+    app.use('/webhooks', createWebhookRouter({
+      secrets: { jira: SECRET },
+      queue,
+      lookup: { sourcesByTag: new Map(), sourceForTask: () => null },
+      logger: silentLogger,
+    }));
+    server = app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function postJira(payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    return fetch(`${baseUrl}/webhooks/jira`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature': `sha256=${signBody(SECRET, body)}`,
+        ...headers,
+      },
+      body,
+    });
+  }
+
+  test('answers 401 without a signature and queues nothing', async () => {
+    const response = await fetch(`${baseUrl}/webhooks/jira`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ webhookEvent: 'jira:issue_updated', issue: { key: 'PROJ-1' } }),
+    });
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Missing webhook signature' });
+  });
+
+  test('answers 404 for sources without a secret', async () => {
+    const response = await fetch(`${baseUrl}/webhooks/vikunja`, { method: 'POST', body: '{}' });
+    assert.equal(response.status, 404);
+  });
+
+  test('flags duplicate deliveries and syncs them once', async () => {
+    const payload = { webhookEvent: 'jira:issue_updated', issue: { key: 'PROJ-1' } };
+
+    const first = await (await postJira(payload)).json();
+    const second = await (await postJira(payload)).json();
+    const other = await (await postJira({ ...payload, issue: { key: 'PROJ-2' } })).json();
+
+    assert.deepEqual(first, { queued: true, duplicate: false, event: 'jira:issue_updated', source: 'jira' });
+    assert.equal(second.duplicate, true);
+    assert.equal(other.duplicate, false);
+
+    const deadline = Date.now() + 3000;
+    while (runs.length === 0 && Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    assert.deepEqual(runs, [['jira']]);
+  });
+});
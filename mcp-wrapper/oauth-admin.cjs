@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * OAuth Admin CLI
+ *
+ * Lists and revokes connector authorizations through the proxy's admin API.
+ *
+ * Usage (inside the container):
+ *   node oauth-admin.cjs grants                 List active grants (token pairs)
+ *   node oauth-admin.cjs clients                List registered clients
+ *   node oauth-admin.cjs revoke-grant <id>      Revoke one grant's tokens
+ *   node oauth-admin.cjs revoke-client <id>     Remove a client and all of its tokens
+ *
+ * Environment:
+ *   OAUTH_ADMIN_KEY   Admin API key (same value as the proxy)
+ *   OAUTH_ADMIN_URL   Proxy base URL (default: http://localhost:8080)
+ */
+
+const OAUTH_ADMIN_KEY = process.env.OAUTH_ADMIN_KEY || '';
+const OAUTH_ADMIN_URL = (process.env.OAUTH_ADMIN_URL || 'http://localhost:8080').replace(/\/$/, '');
+
+const COMMANDS = {
+  grants: { method: 'GET', path: () => '/admin/grants' },
+  clients: { method: 'GET', path: () => '/admin/clients' },
+  'revoke-grant': { method: 'DELETE', path: (id) => `/admin/grants/${encodeURIComponent(id)}`, needsId: true },
+  'revoke-client': { method: 'DELETE', path: (id) => `/admin/clients/${encodeURIComponent(id)}`, needsId: true },
+};
+
+function usage() {
+  console.error('Usage: oauth-admin.cjs <grants|clients|revoke-grant <id>|revoke-client <id>>');
+  process.exit(1);
+}
+
+async function main() {
+  const [commandName, id] = process.argv.slice(2);
+  const command = COMMANDS[commandName];
+
+  if (!command || (command.needsId && !id)) {
+    usage();
+  }
+
+  if (!OAUTH_ADMIN_KEY) {
+    console.error('OAUTH_ADMIN_KEY is not set');
+    process.exit(1);
+  }
+
+  const response = await fetch(`${OAUTH_ADMIN_URL}${command.path(id)}`, {
+    method: command.method,
+    headers: { Authorization: `Bearer ${OAUTH_ADMIN_KEY}` },
+  });
+  const body = await response.json();
+
+  console.log(JSON.stringify(body, null, 2));
+  if (!response.ok) {
+    process.exit(1);
+  }
+}
+
+main().catch((e) => {
+  console.error('Admin request failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,135 @@
+/**
+ * OAuth Store for the MCP HTTP Proxy
+ *
+ * Keeps registered clients, authorization codes, access tokens and refresh
+ * tokens. Two backends are available:
+ * - MemoryStore - nothing survives a restart
+ * - FileStore   - JSON file, written atomically on every change (default)
+ *
+ * Codes and tokens are stored by their SHA-256 hash, so a leaked store file
+ * can't be used to call the MCP endpoint.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const COLLECTIONS = ['clients', 'authCodes', 'accessTokens', 'refreshTokens'];
+
+// Hash a code or token for storage
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+class MemoryStore {
+  constructor() {
+    this.data = Object.fromEntries(COLLECTIONS.map((name) => [name, {}]));
+  }
+
+  get(collection, key) {
+    return this.data[collection][key] || null;
+  }
+
+  set(collection, key, value) {
+    this.data[collection][key] = value;
+    this.persist();
+  }
+
+  delete(collection, key) {
+    if (!(key in this.data[collection])) return false;
+    delete this.data[collection][key];
+    this.persist();
+    return true;
+  }
+
+  entries(collection) {
+    return Object.entries(this.data[collection]);
+  }
+
+  // Delete every entry of a collection matching the predicate
+  deleteWhere(collection, predicate) {
+    let removed = 0;
+    for (const [key, value] of this.entries(collection)) {
+      if (predicate(value)) {
+        delete this.data[collection][key];
+        removed++;
+      }
+    }
+    if (removed > 0) this.persist();
+    return removed;
+  }
+
+  // Remove expired codes and tokens
+  cleanupExpired(now = Date.now()) {
+    let removed = 0;
+    for (const collection of ['authCodes', 'accessTokens', 'refreshTokens']) {
+      for (const [key, value] of this.entries(collection)) {
+        if (value.expiresAt < now) {
+          delete this.data[collection][key];
+          removed++;
+        }
+      }
+    }
+    if (removed > 0) this.persist();
+    return removed;
+  }
+
+  persist() {}
+}
+
+class FileStore extends MemoryStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.load();
+  }
+
+  // An unreadable file is moved aside before starting empty, so the next
+  // persist() doesn't overwrite it and it can still be inspected or restored.
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (e) {
+      const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+      fs.renameSync(this.filePath, corruptPath);
+      console.error(`Failed to load OAuth store from ${this.filePath} (${e.message}); moved it to ${corruptPath}`);
+      return;
+    }
+
+    for (const name of COLLECTIONS) {
+      this.data[name] = (saved && saved[name]) || {};
+    }
+  }
+
+  // Write to a temp file and rename, so a crash never leaves a partial file.
+  // A failed write is logged but keeps the in-memory state usable.
+  persist() {
+    const tmpPath = `${this.filePath}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.writeFileSync(tmpPath, JSON.stringify(this.data), { mode: 0o600 });
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (e) {
+      console.error(`Failed to save OAuth store to ${this.filePath}:`, e.message);
+    }
+  }
+}
+
+// Create the store selected by OAUTH_STORE (file or memory)
+function createStore({
+  type = process.env.OAUTH_STORE || 'file',
+  filePath = process.env.OAUTH_STORE_PATH || '/var/lib/vikunja-mcp/oauth-store.json',
+} = {}) {
+  if (type === 'memory') {
+    return new MemoryStore();
+  }
+  if (type === 'file') {
+    return new FileStore(filePath);
+  }
+  throw new Error(`Unknown OAUTH_STORE: ${type} (expected file or memory)`);
+}
+
+module.exports = { MemoryStore, FileStore, createStore, hashKey };
@@ -1,52 +1,181 @@
 /**
  * HTTP Proxy Wrapper for MCP Server with OAuth 2.1 Support
  *
- * Implements simplified OAuth for Claude Custom Connectors:
+ * Implements OAuth 2.1 for Claude Custom Connectors:
  * - /.well-known/oauth-authorization-server - OAuth metadata
- * - /register - Dynamic Client Registration (DCR)
- * - /authorize - Authorization endpoint
- * - /token - Token exchange
- * - /mcp - Protected MCP endpoint (requires Bearer token)
+ * - /.well-known/oauth-protected-resource - Protected resource metadata
+ * - /register - Dynamic Client Registration (DCR), one client per caller, rate limited per IP
+ * - /authorize - Authorization endpoint with login/consent page
+ * - /token - Token exchange (authorization_code with mandatory PKCE, refresh_token)
+ * - /mcp - Protected MCP endpoint (requires Bearer token, forwards the token's scopes)
+ * - /health - Unauthenticated health check (forwarded to the MCP server)
+ * - /webhooks/* - Sync webhooks (forwarded; the MCP server verifies their signatures)
+ * - /admin/grants, /admin/clients - List and revoke tokens and clients (requires OAUTH_ADMIN_KEY)
+ *
+ * Clients and tokens are kept in a persistent store (see oauth-store.cjs),
+ * so connectors stay authorized across container restarts.
  */
 
 const http = require('http');
 const crypto = require('crypto');
 const url = require('url');
+const { createStore, hashKey } = require('./oauth-store.cjs');
 
-const MCP_PROXY_PORT = 8081;
+const MCP_SERVER_PORT = 8081;
 const LISTEN_PORT = 8080;
 
 // OAuth configuration from environment
 const OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || 'claude-connector';
-const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || 'default-secret-change-me';
+const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || '';
+const OAUTH_REDIRECT_URIS = (process.env.OAUTH_REDIRECT_URIS || 'https://claude.ai/api/mcp/auth_callback')
+  .split(',').map((uri) => uri.trim()).filter(Boolean);
 const OAUTH_ISSUER = process.env.OAUTH_ISSUER || 'https://todo_mcp.smartautomatica.com';
 
-// In-memory storage for auth codes and tokens
-const authCodes = new Map(); // code -> { clientId, redirectUri, codeChallenge, expiresAt }
-const accessTokens = new Map(); // token -> { clientId, expiresAt }
+// Login for the consent page: a configured password, or Vikunja credentials
+const OAUTH_ADMIN_PASSWORD = process.env.OAUTH_ADMIN_PASSWORD || '';
+const OAUTH_LOGIN_MODE = process.env.OAUTH_LOGIN_MODE || (OAUTH_ADMIN_PASSWORD ? 'password' : 'vikunja');
+// Vikunja usernames or user IDs allowed to approve in vikunja mode. Tokens act
+// with VIKUNJA_API_TOKEN, so any other account must not be able to grant them.
+const OAUTH_ALLOWED_USERS = (process.env.OAUTH_ALLOWED_USERS || '')
+  .split(',').map((user) => user.trim()).filter(Boolean);
+const OAUTH_ADMIN_KEY = process.env.OAUTH_ADMIN_KEY || '';
+const VIKUNJA_API_URL = (process.env.VIKUNJA_API_URL || 'http://vikunja:3456/api/v1').replace(/\/$/, '');
+
+// Behind a reverse proxy (e.g. the Cloudflare tunnel) every request comes from
+// the proxy's address; only then may the forwarded client IP headers be trusted
+const OAUTH_TRUST_PROXY = process.env.OAUTH_TRUST_PROXY === 'true';
+
+// Scopes a connector can be granted (mirrors mcp-server/src/scopes.js)
+const SUPPORTED_SCOPES = ['tasks:read', 'tasks:write', 'tasks:delete', 'projects:admin'];
+const SCOPE_DESCRIPTIONS = {
+  'tasks:read': 'Read tasks, projects, labels, comments, attachments and users, use workflow prompts',
+  'tasks:write': 'Create and update tasks, labels and comments, upload attachments, assign users',
+  'tasks:delete': 'Delete tasks, labels, comments and attachments',
+  'projects:admin': 'Create, change, archive, share and delete projects and their kanban buckets',
+};
+
+// Lifetimes
+const AUTH_CODE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const PENDING_AUTH_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the login form
+const ACCESS_TOKEN_TTL_S = parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL || '3600', 10);
+const REFRESH_TOKEN_TTL_S = parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL || String(30 * 24 * 3600), 10);
+
+// Brute-force protection for the login form
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Limits for the unauthenticated registration endpoint. Clients that never
+// complete an authorization are removed after UNUSED_CLIENT_TTL_MS.
+const MAX_CLIENTS = parseInt(process.env.OAUTH_MAX_CLIENTS || '100', 10);
+const MAX_REGISTRATIONS_PER_IP = 10;
+const REGISTRATION_WINDOW_MS = 60 * 60 * 1000;
+const UNUSED_CLIENT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Largest request body the OAuth endpoints read (registration, token and
+// login requests are a few hundred bytes)
+const MAX_BODY_BYTES = 64 * 1024;
+
+// Persistent storage for clients, auth codes and tokens (codes and tokens keyed by hash):
+//   clients:       clientId -> { clientSecretHash, redirectUris, clientName, authMethod, createdAt, authorizedAt }
+//   authCodes:     hash(code) -> { clientId, redirectUri, codeChallenge, scope, expiresAt }
+//   accessTokens:  hash(token) -> { grantId, clientId, scope, createdAt, expiresAt }
+//   refreshTokens: hash(token) -> { grantId, clientId, scope, createdAt, expiresAt }
+const store = createStore();
+
+// Short-lived state that doesn't need to survive a restart
+const pendingAuthorizations = new Map(); // requestId -> { clientId, redirectUri, state, codeChallenge, scope, expiresAt }
+const loginFailures = new Map(); // ip -> { count, resetAt }
+const registrations = new Map(); // ip -> { count, resetAt }
+
+// Preconfigured confidential client (optional, for clients without DCR)
+if (OAUTH_CLIENT_SECRET) {
+  store.set('clients', OAUTH_CLIENT_ID, {
+    clientSecretHash: hashKey(OAUTH_CLIENT_SECRET),
+    redirectUris: OAUTH_REDIRECT_URIS,
+    clientName: 'Preconfigured Connector',
+    authMethod: 'client_secret_post',
+    createdAt: Date.now(),
+  });
+}
+
+// Parse a requested scope string into supported scopes.
+// No scope (or the legacy "mcp" scope) means everything.
+function parseScopes(value) {
+  const requested = String(value || '').split(/\s+/).filter(Boolean);
+  if (requested.length === 0 || requested.includes('mcp')) {
+    return [...SUPPORTED_SCOPES];
+  }
+  return requested.filter((scope) => SUPPORTED_SCOPES.includes(scope));
+}
 
 // Generate random string
 function generateRandomString(length = 32) {
   return crypto.randomBytes(length).toString('hex');
 }
 
+// Compare secrets without leaking timing information
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
 // Clean up expired entries
 function cleanupExpired() {
   const now = Date.now();
-  for (const [key, value] of authCodes) {
-    if (value.expiresAt < now) authCodes.delete(key);
+  store.cleanupExpired(now);
+  for (const [key, value] of pendingAuthorizations) {
+    if (value.expiresAt < now) pendingAuthorizations.delete(key);
+  }
+  for (const [key, value] of loginFailures) {
+    if (value.resetAt < now) loginFailures.delete(key);
+  }
+  for (const [key, value] of registrations) {
+    if (value.resetAt < now) registrations.delete(key);
+  }
+  removeUnusedClients(now);
+}
+
+// Remove registered clients that never exchanged an authorization code.
+// Clients from before authorizedAt was recorded count as used while they hold tokens.
+function removeUnusedClients(now) {
+  const inUse = new Set();
+  for (const collection of ['authCodes', 'accessTokens', 'refreshTokens']) {
+    for (const [, value] of store.entries(collection)) inUse.add(value.clientId);
   }
-  for (const [key, value] of accessTokens) {
-    if (value.expiresAt < now) accessTokens.delete(key);
+
+  for (const [clientId, client] of store.entries('clients')) {
+    const preconfigured = Boolean(OAUTH_CLIENT_SECRET) && clientId === OAUTH_CLIENT_ID;
+    if (preconfigured || client.authorizedAt || inUse.has(clientId)) continue;
+    if (client.createdAt + UNUSED_CLIENT_TTL_MS < now) {
+      store.delete('clients', clientId);
+      console.log(`Removed client ${clientId} that never completed an authorization`);
+    }
   }
 }
 setInterval(cleanupExpired, 60000); // Clean up every minute
 
-// Parse request body
+// Parse request body, rejecting with statusCode 413 past MAX_BODY_BYTES
 function parseBody(req) {
   return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error('Request body too large'), { statusCode: 413 });
+    if (parseInt(req.headers['content-length'] || '0', 10) > MAX_BODY_BYTES) {
+      reject(tooLarge());
+      return;
+    }
+
     let body = '';
-    req.on('data', chunk => body += chunk);
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        req.pause();
+        reject(tooLarge());
+        return;
+      }
+      body += chunk;
+    });
     req.on('end', () => {
       try {
         const contentType = req.headers['content-type'] || '';
@@ -65,11 +194,23 @@ function parseBody(req) {
   });
 }
 
-// PKCE: Verify code challenge
+// PKCE: Verify S256 code challenge
 function verifyCodeChallenge(codeVerifier, codeChallenge) {
   const hash = crypto.createHash('sha256').update(codeVerifier).digest();
   const computed = hash.toString('base64url');
-  return computed === codeChallenge;
+  return safeEqual(computed, codeChallenge);
+}
+
+// Redirect URIs must be HTTPS, or HTTP on loopback for local clients
+function isValidRedirectUri(uri) {
+  try {
+    const parsed = new URL(uri);
+    if (parsed.hash) return false;
+    if (parsed.protocol === 'https:') return true;
+    return parsed.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+  } catch {
+    return false;
+  }
 }
 
 // Add CORS headers
@@ -83,10 +224,274 @@ function addCorsHeaders(res) {
 // Send JSON response
 function sendJson(res, statusCode, data) {
   res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
   res.writeHead(statusCode);
   res.end(JSON.stringify(data));
 }
 
+// Answer a request whose body could not be read: 413 (dropping the
+// connection instead of reading the rest) for an oversized body, else 400
+function sendBodyError(req, res, e) {
+  if (e.statusCode === 413) {
+    res.setHeader('Connection', 'close');
+    res.on('finish', () => req.destroy());
+    sendJson(res, 413, { error: 'invalid_request', error_description: 'Request body too large' });
+    return;
+  }
+  sendJson(res, 400, { error: 'invalid_request' });
+}
+
+// Send HTML response
+function sendHtml(res, statusCode, html) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'");
+  res.writeHead(statusCode);
+  res.end(html);
+}
+
+// Redirect back to the client with query parameters
+function redirectToClient(res, redirectUri, params) {
+  const redirectUrl = new URL(redirectUri);
+  for (const [key, value] of Object.entries(params)) {
+    if (value) redirectUrl.searchParams.set(key, value);
+  }
+  res.writeHead(302, { Location: redirectUrl.toString() });
+  res.end();
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Login and consent page
+function renderConsentPage({ requestId, clientName, redirectUri, scope, error }) {
+  const scopeFields = scope.split(' ').map((name) => `
+    <label class="scope"><input type="checkbox" name="scope:${escapeHtml(name)}" checked>
+      <code>${escapeHtml(name)}</code> - ${escapeHtml(SCOPE_DESCRIPTIONS[name])}</label>`).join('');
+  const usernameField = OAUTH_LOGIN_MODE === 'vikunja'
+    ? '<label>Vikunja username<input name="username" autocomplete="username" required></label>'
+    : '';
+  const passwordLabel = OAUTH_LOGIN_MODE === 'vikunja' ? 'Vikunja password' : 'Password';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Authorize ${escapeHtml(clientName)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 420px; margin: 4rem auto; padding: 0 1rem; color: #222; }
+    label { display: block; margin: 1rem 0; }
+    input { display: block; width: 100%; padding: .5rem; margin-top: .25rem; box-sizing: border-box; }
+    .error { color: #b00020; }
+    .meta { font-size: .9rem; color: #555; word-break: break-all; }
+    .scope { margin: .5rem 0; }
+    .scope input { display: inline; width: auto; margin-right: .5rem; }
+    button { padding: .5rem 1rem; margin-right: .5rem; }
+  </style>
+</head>
+<body>
+  <h1>Authorize access</h1>
+  <p><strong>${escapeHtml(clientName)}</strong> wants to access your Vikunja tasks through the MCP server.</p>
+  <p class="meta">Redirects to: ${escapeHtml(redirectUri)}</p>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+  <form method="post" action="/authorize">
+    <input type="hidden" name="request_id" value="${escapeHtml(requestId)}">
+    <fieldset>
+      <legend>Permissions</legend>${scopeFields}
+    </fieldset>
+    ${usernameField}
+    <label>${passwordLabel}<input type="password" name="password" autocomplete="current-password" required></label>
+    <button type="submit" name="decision" value="approve">Approve</button>
+    <button type="submit" name="decision" value="deny" formnovalidate>Deny</button>
+  </form>
+</body>
+</html>`;
+}
+
+// Check the login form against the configured password, or against Vikunja
+// for one of OAUTH_ALLOWED_USERS
+async function verifyLogin({ username, password }) {
+  if (!password) return false;
+
+  if (OAUTH_LOGIN_MODE === 'password') {
+    return Boolean(OAUTH_ADMIN_PASSWORD) && safeEqual(password, OAUTH_ADMIN_PASSWORD);
+  }
+
+  if (OAUTH_ALLOWED_USERS.length === 0) return false;
+
+  try {
+    const response = await fetch(`${VIKUNJA_API_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password, long_token: false }),
+    });
+    if (!response.ok) return false;
+
+    // Check the account the credentials belong to, not the typed username
+    const { token } = await response.json();
+    const userResponse = await fetch(`${VIKUNJA_API_URL}/user`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    if (!userResponse.ok) return false;
+    const user = await userResponse.json();
+
+    const allowed = OAUTH_ALLOWED_USERS.includes(user.username) || OAUTH_ALLOWED_USERS.includes(String(user.id));
+    if (!allowed) {
+      console.warn(`Vikunja user ${user.username} is not in OAUTH_ALLOWED_USERS`);
+    }
+    return allowed;
+  } catch (e) {
+    console.error('Vikunja login check failed:', e.message);
+    return false;
+  }
+}
+
+// Address the login lockout is keyed on. Forwarded headers are ignored unless
+// OAUTH_TRUST_PROXY is set, since any client can send them.
+function clientIp(req) {
+  if (OAUTH_TRUST_PROXY) {
+    const forwarded = req.headers['cf-connecting-ip']
+      || String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    if (forwarded) return forwarded;
+  }
+  return req.socket.remoteAddress;
+}
+
+function isLockedOut(ip) {
+  const entry = loginFailures.get(ip);
+  return Boolean(entry) && entry.count >= MAX_LOGIN_FAILURES && entry.resetAt > Date.now();
+}
+
+function recordLoginFailure(ip) {
+  const entry = loginFailures.get(ip);
+  if (!entry || entry.resetAt < Date.now()) {
+    loginFailures.set(ip, { count: 1, resetAt: Date.now() + LOGIN_LOCKOUT_MS });
+  } else {
+    entry.count++;
+  }
+}
+
+// Count a registration attempt; false once the IP used up its window
+function allowRegistration(ip) {
+  const entry = registrations.get(ip);
+  if (!entry || entry.resetAt < Date.now()) {
+    registrations.set(ip, { count: 1, resetAt: Date.now() + REGISTRATION_WINDOW_MS });
+    return true;
+  }
+  entry.count++;
+  return entry.count <= MAX_REGISTRATIONS_PER_IP;
+}
+
+// Authenticate the client at the token endpoint (client_secret_basic, client_secret_post or none)
+function authenticateClient(req, body) {
+  let clientId = body.client_id;
+  let clientSecret = body.client_secret;
+
+  const authHeader = req.headers['authorization'] || '';
+  if (authHeader.startsWith('Basic ')) {
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    clientId = decodeURIComponent(decoded.slice(0, separator));
+    clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+  }
+
+  const client = store.get('clients', clientId);
+  if (!client) return null;
+
+  if (client.authMethod === 'none') {
+    return { clientId, client };
+  }
+
+  if (!clientSecret || !safeEqual(hashKey(clientSecret), client.clientSecretHash)) {
+    return null;
+  }
+  return { clientId, client };
+}
+
+// Issue an access token and a refresh token. Tokens from the same
+// authorization share a grant ID, which is kept across refreshes.
+function issueTokens(clientId, scope, grantId = generateRandomString(8)) {
+  const accessToken = generateRandomString(32);
+  const refreshToken = generateRandomString(32);
+  const createdAt = Date.now();
+
+  // Only one live access token per grant
+  store.deleteWhere('accessTokens', (value) => value.grantId === grantId);
+
+  store.set('accessTokens', hashKey(accessToken), {
+    grantId,
+    clientId,
+    scope,
+    createdAt,
+    expiresAt: createdAt + ACCESS_TOKEN_TTL_S * 1000,
+  });
+  store.set('refreshTokens', hashKey(refreshToken), {
+    grantId,
+    clientId,
+    scope,
+    createdAt,
+    expiresAt: createdAt + REFRESH_TOKEN_TTL_S * 1000,
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: ACCESS_TOKEN_TTL_S,
+    refresh_token: refreshToken,
+    scope,
+  };
+}
+
+// Summarize active grants for the admin API
+function listGrants() {
+  const grants = new Map();
+
+  for (const [, token] of store.entries('refreshTokens')) {
+    const client = store.get('clients', token.clientId);
+    grants.set(token.grantId, {
+      id: token.grantId,
+      client_id: token.clientId,
+      client_name: client ? client.clientName : null,
+      scope: token.scope,
+      refresh_expires_at: new Date(token.expiresAt).toISOString(),
+      access_expires_at: null,
+    });
+  }
+
+  for (const [, token] of store.entries('accessTokens')) {
+    const grant = grants.get(token.grantId) || {
+      id: token.grantId,
+      client_id: token.clientId,
+      scope: token.scope,
+      refresh_expires_at: null,
+    };
+    grant.access_expires_at = new Date(token.expiresAt).toISOString();
+    grants.set(token.grantId, grant);
+  }
+
+  return [...grants.values()];
+}
+
+// Revoke all tokens matching the predicate, returns the number removed
+function revokeTokens(predicate) {
+  return store.deleteWhere('accessTokens', predicate) + store.deleteWhere('refreshTokens', predicate);
+}
+
+// Admin API requires Authorization: Bearer OAUTH_ADMIN_KEY
+function isAdminRequest(req) {
+  const authHeader = req.headers['authorization'] || '';
+  return Boolean(OAUTH_ADMIN_KEY) && authHeader.startsWith('Bearer ') &&
+    safeEqual(authHeader.slice(7), OAUTH_ADMIN_KEY);
+}
+
 // Validate Bearer token
 function validateToken(req) {
   const authHeader = req.headers['authorization'];
@@ -94,7 +499,7 @@ function validateToken(req) {
     return null;
   }
   const token = authHeader.slice(7);
-  const tokenData = accessTokens.get(token);
+  const tokenData = store.get('accessTokens', hashKey(token));
   if (!tokenData || tokenData.expiresAt < Date.now()) {
     return null;
   }
@@ -125,10 +530,21 @@ const server = http.createServer(async (req, res) => {
       token_endpoint: `${OAUTH_ISSUER}/token`,
       registration_endpoint: `${OAUTH_ISSUER}/register`,
       response_types_supported: ['code'],
-      grant_types_supported: ['authorization_code'],
+      grant_types_supported: ['authorization_code', 'refresh_token'],
       code_challenge_methods_supported: ['S256'],
-      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
-      scopes_supported: ['mcp'],
+      token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic', 'none'],
+      scopes_supported: SUPPORTED_SCOPES,
+    });
+    return;
+  }
+
+  // Protected Resource Metadata (RFC 9728)
+  if (pathname === '/.well-known/oauth-protected-resource') {
+    sendJson(res, 200, {
+      resource: `${OAUTH_ISSUER}/mcp`,
+      authorization_servers: [OAUTH_ISSUER],
+      bearer_methods_supported: ['header'],
+      scopes_supported: SUPPORTED_SCOPES,
     });
     return;
   }
@@ -136,119 +552,329 @@ const server = http.createServer(async (req, res) => {
   // Dynamic Client Registration (DCR)
   if (pathname === '/register' && req.method === 'POST') {
     try {
+      if (!allowRegistration(clientIp(req))) {
+        sendJson(res, 429, { error: 'too_many_requests', error_description: 'Too many registrations. Try again later.' });
+        return;
+      }
+      if (store.entries('clients').length >= MAX_CLIENTS) {
+        console.warn(`DCR refused: ${MAX_CLIENTS} clients registered (OAUTH_MAX_CLIENTS)`);
+        sendJson(res, 403, {
+          error: 'access_denied',
+          error_description: 'Client limit reached. Revoke unused clients via /admin/clients.',
+        });
+        return;
+      }
+
       const body = await parseBody(req);
-      console.log('DCR request:', JSON.stringify(body));
+      console.log('DCR request:', JSON.stringify({ client_name: body.client_name, redirect_uris: body.redirect_uris }));
+
+      const redirectUris = Array.isArray(body.redirect_uris) ? body.redirect_uris : [];
+      if (redirectUris.length === 0 || !redirectUris.every(isValidRedirectUri)) {
+        sendJson(res, 400, {
+          error: 'invalid_redirect_uri',
+          error_description: 'redirect_uris must be HTTPS (or loopback HTTP) URLs without fragments',
+        });
+        return;
+      }
+
+      const authMethod = body.token_endpoint_auth_method === 'none' ? 'none' : 'client_secret_post';
+      const clientId = generateRandomString(16);
+      const clientSecret = authMethod === 'none' ? null : generateRandomString(32);
+      const createdAt = Date.now();
+
+      store.set('clients', clientId, {
+        clientSecretHash: clientSecret ? hashKey(clientSecret) : null,
+        redirectUris,
+        clientName: body.client_name || 'Claude Connector',
+        authMethod,
+        createdAt,
+      });
 
-      // Return preconfigured client credentials
       sendJson(res, 201, {
-        client_id: OAUTH_CLIENT_ID,
-        client_secret: OAUTH_CLIENT_SECRET,
+        client_id: clientId,
+        ...(clientSecret && { client_secret: clientSecret, client_secret_expires_at: 0 }),
+        client_id_issued_at: Math.floor(createdAt / 1000),
         client_name: body.client_name || 'Claude Connector',
-        redirect_uris: body.redirect_uris || [],
-        grant_types: ['authorization_code'],
+        redirect_uris: redirectUris,
+        grant_types: ['authorization_code', 'refresh_token'],
         response_types: ['code'],
-        token_endpoint_auth_method: 'client_secret_post',
+        token_endpoint_auth_method: authMethod,
       });
     } catch (e) {
       console.error('DCR error:', e);
-      sendJson(res, 400, { error: 'invalid_request' });
+      sendBodyError(req, res, e);
     }
     return;
   }
 
-  // Authorization Endpoint
+  // Authorization Endpoint - validate the request and show the login/consent page
   if (pathname === '/authorize' && req.method === 'GET') {
     const query = parsedUrl.query;
-    const { client_id, redirect_uri, response_type, state, code_challenge, code_challenge_method } = query;
+    const { client_id, redirect_uri, response_type, state, code_challenge, code_challenge_method, scope } = query;
 
-    console.log('Auth request:', JSON.stringify(query));
+    console.log('Auth request:', JSON.stringify({ client_id, redirect_uri, response_type, scope }));
+
+    // Client and redirect URI must be validated before redirecting anywhere
+    const client = store.get('clients', client_id);
+    if (!client) {
+      sendJson(res, 400, { error: 'invalid_client' });
+      return;
+    }
+
+    if (!client.redirectUris.includes(redirect_uri)) {
+      sendJson(res, 400, { error: 'invalid_request', error_description: 'redirect_uri is not registered for this client' });
+      return;
+    }
 
-    // Validate request
     if (response_type !== 'code') {
-      sendJson(res, 400, { error: 'unsupported_response_type' });
+      redirectToClient(res, redirect_uri, { error: 'unsupported_response_type', state });
       return;
     }
 
-    if (client_id !== OAUTH_CLIENT_ID) {
-      sendJson(res, 400, { error: 'invalid_client' });
+    if (!code_challenge || code_challenge_method !== 'S256') {
+      redirectToClient(res, redirect_uri, {
+        error: 'invalid_request',
+        error_description: 'PKCE with code_challenge_method=S256 is required',
+        state,
+      });
+      return;
+    }
+
+    const requestedScopes = parseScopes(scope);
+    if (requestedScopes.length === 0) {
+      redirectToClient(res, redirect_uri, { error: 'invalid_scope', state });
       return;
     }
 
-    // Generate authorization code
-    const code = generateRandomString(32);
-    authCodes.set(code, {
+    const requestId = generateRandomString(16);
+    const requestedScope = requestedScopes.join(' ');
+    pendingAuthorizations.set(requestId, {
       clientId: client_id,
       redirectUri: redirect_uri,
+      state,
       codeChallenge: code_challenge,
-      codeChallengeMethod: code_challenge_method,
-      expiresAt: Date.now() + 5 * 60 * 1000, // 5 minutes
+      scope: requestedScope,
+      expiresAt: Date.now() + PENDING_AUTH_TTL_MS,
     });
 
-    // Redirect back with code
-    const redirectUrl = new URL(redirect_uri);
-    redirectUrl.searchParams.set('code', code);
-    if (state) redirectUrl.searchParams.set('state', state);
-
-    console.log('Redirecting to:', redirectUrl.toString());
-    res.writeHead(302, { Location: redirectUrl.toString() });
-    res.end();
+    sendHtml(res, 200, renderConsentPage({
+      requestId,
+      clientName: client.clientName,
+      redirectUri: redirect_uri,
+      scope: requestedScope,
+    }));
     return;
   }
 
-  // Token Endpoint
-  if (pathname === '/token' && req.method === 'POST') {
+  // Authorization Endpoint - login/consent form submission
+  if (pathname === '/authorize' && req.method === 'POST') {
     try {
       const body = await parseBody(req);
-      console.log('Token request:', JSON.stringify(body));
+      const pending = pendingAuthorizations.get(body.request_id);
 
-      const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = body;
+      if (!pending || pending.expiresAt < Date.now()) {
+        sendHtml(res, 400, '<p>This authorization request has expired. Please start again from your client.</p>');
+        return;
+      }
 
-      if (grant_type !== 'authorization_code') {
-        sendJson(res, 400, { error: 'unsupported_grant_type' });
+      const client = store.get('clients', pending.clientId);
+      if (!client) {
+        pendingAuthorizations.delete(body.request_id);
+        sendHtml(res, 400, '<p>This client has been revoked.</p>');
         return;
       }
 
-      // Validate auth code
-      const codeData = authCodes.get(code);
-      if (!codeData) {
-        sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid or expired code' });
+      if (body.decision !== 'approve') {
+        pendingAuthorizations.delete(body.request_id);
+        redirectToClient(res, pending.redirectUri, { error: 'access_denied', state: pending.state });
         return;
       }
 
-      // Validate client
-      if (client_id !== OAUTH_CLIENT_ID || client_secret !== OAUTH_CLIENT_SECRET) {
+      const ip = clientIp(req);
+      if (isLockedOut(ip)) {
+        sendHtml(res, 429, renderConsentPage({
+          requestId: body.request_id,
+          clientName: client.clientName,
+          redirectUri: pending.redirectUri,
+          scope: pending.scope,
+          error: 'Too many failed attempts. Try again later.',
+        }));
+        return;
+      }
+
+      if (!(await verifyLogin(body))) {
+        recordLoginFailure(ip);
+        console.log('Login failed for authorization request');
+        sendHtml(res, 401, renderConsentPage({
+          requestId: body.request_id,
+          clientName: client.clientName,
+          redirectUri: pending.redirectUri,
+          scope: pending.scope,
+          error: 'Invalid credentials.',
+        }));
+        return;
+      }
+
+      // The user may grant fewer scopes than requested
+      const grantedScopes = pending.scope.split(' ').filter((name) => body[`scope:${name}`]);
+      if (grantedScopes.length === 0) {
+        sendHtml(res, 400, renderConsentPage({
+          requestId: body.request_id,
+          clientName: client.clientName,
+          redirectUri: pending.redirectUri,
+          scope: pending.scope,
+          error: 'Select at least one permission, or deny the request.',
+        }));
+        return;
+      }
+
+      pendingAuthorizations.delete(body.request_id);
+      loginFailures.delete(ip);
+
+      // Generate authorization code
+      const code = generateRandomString(32);
+      store.set('authCodes', hashKey(code), {
+        clientId: pending.clientId,
+        redirectUri: pending.redirectUri,
+        codeChallenge: pending.codeChallenge,
+        scope: grantedScopes.join(' '),
+        expiresAt: Date.now() + AUTH_CODE_TTL_MS,
+      });
+
+      console.log(`Authorization approved for client ${pending.clientId} (${grantedScopes.join(' ')})`);
+      redirectToClient(res, pending.redirectUri, { code, state: pending.state });
+    } catch (e) {
+      console.error('Authorization error:', e);
+      sendBodyError(req, res, e);
+    }
+    return;
+  }
+
+  // Token Endpoint
+  if (pathname === '/token' && req.method === 'POST') {
+    try {
+      const body = await parseBody(req);
+      console.log('Token request:', JSON.stringify({ grant_type: body.grant_type, client_id: body.client_id }));
+
+      const authenticated = authenticateClient(req, body);
+      if (!authenticated) {
         sendJson(res, 401, { error: 'invalid_client' });
         return;
       }
+      const { clientId } = authenticated;
+
+      if (body.grant_type === 'authorization_code') {
+        const { code, redirect_uri, code_verifier } = body;
+
+        // Validate auth code
+        const codeData = store.get('authCodes', hashKey(code));
+        if (!codeData || codeData.expiresAt < Date.now()) {
+          sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid or expired code' });
+          return;
+        }
+
+        // Codes are single use, even when the exchange fails
+        store.delete('authCodes', hashKey(code));
 
-      // Validate PKCE if code challenge was provided
-      if (codeData.codeChallenge && code_verifier) {
-        if (!verifyCodeChallenge(code_verifier, codeData.codeChallenge)) {
+        if (codeData.clientId !== clientId || codeData.redirectUri !== redirect_uri) {
+          sendJson(res, 400, { error: 'invalid_grant', error_description: 'Code was issued to another client or redirect_uri' });
+          return;
+        }
+
+        // PKCE is mandatory
+        if (!code_verifier || !verifyCodeChallenge(code_verifier, codeData.codeChallenge)) {
           sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid code_verifier' });
           return;
         }
+
+        // Mark the client as used, so it isn't removed as an abandoned registration
+        const client = store.get('clients', clientId);
+        if (client && !client.authorizedAt) {
+          store.set('clients', clientId, { ...client, authorizedAt: Date.now() });
+        }
+
+        sendJson(res, 200, issueTokens(clientId, codeData.scope));
+        return;
+      }
+
+      if (body.grant_type === 'refresh_token') {
+        const tokenData = store.get('refreshTokens', hashKey(body.refresh_token));
+        if (!tokenData || tokenData.expiresAt < Date.now() || tokenData.clientId !== clientId) {
+          sendJson(res, 400, { error: 'invalid_grant', error_description: 'Invalid or expired refresh token' });
+          return;
+        }
+
+        // A refresh may narrow the scope, never widen it
+        const grantedScopes = parseScopes(tokenData.scope);
+        let scope = grantedScopes.join(' ');
+        if (body.scope) {
+          const narrowed = parseScopes(body.scope);
+          if (narrowed.length === 0 || !narrowed.every((name) => grantedScopes.includes(name))) {
+            sendJson(res, 400, { error: 'invalid_scope' });
+            return;
+          }
+          scope = narrowed.join(' ');
+        }
+
+        // Rotate refresh tokens on every use
+        store.delete('refreshTokens', hashKey(body.refresh_token));
+        sendJson(res, 200, issueTokens(clientId, scope, tokenData.grantId));
+        return;
       }
 
-      // Delete used code
-      authCodes.delete(code);
+      sendJson(res, 400, { error: 'unsupported_grant_type' });
+    } catch (e) {
+      console.error('Token error:', e);
+      sendBodyError(req, res, e);
+    }
+    return;
+  }
+
+  // Admin API - list and revoke grants and clients
+  if (pathname.startsWith('/admin/')) {
+    if (!isAdminRequest(req)) {
+      sendJson(res, OAUTH_ADMIN_KEY ? 401 : 404, { error: OAUTH_ADMIN_KEY ? 'unauthorized' : 'not_found' });
+      return;
+    }
 
-      // Generate access token
-      const accessToken = generateRandomString(32);
-      accessTokens.set(accessToken, {
-        clientId: client_id,
-        expiresAt: Date.now() + 60 * 60 * 1000, // 1 hour
-      });
+    const [, , resource, id] = pathname.split('/');
 
+    if (resource === 'grants' && req.method === 'GET' && !id) {
+      sendJson(res, 200, { grants: listGrants() });
+      return;
+    }
+
+    if (resource === 'grants' && req.method === 'DELETE' && id) {
+      const removed = revokeTokens((token) => token.grantId === id);
+      console.log(`Admin revoked grant ${id} (${removed} tokens)`);
+      sendJson(res, removed > 0 ? 200 : 404, { revoked: removed });
+      return;
+    }
+
+    if (resource === 'clients' && req.method === 'GET' && !id) {
       sendJson(res, 200, {
-        access_token: accessToken,
-        token_type: 'Bearer',
-        expires_in: 3600,
-        scope: 'mcp',
+        clients: store.entries('clients').map(([clientId, client]) => ({
+          client_id: clientId,
+          client_name: client.clientName,
+          redirect_uris: client.redirectUris,
+          token_endpoint_auth_method: client.authMethod,
+          created_at: new Date(client.createdAt).toISOString(),
+          authorized_at: client.authorizedAt ? new Date(client.authorizedAt).toISOString() : null,
+        })),
       });
-    } catch (e) {
-      console.error('Token error:', e);
-      sendJson(res, 400, { error: 'invalid_request' });
+      return;
+    }
+
+    if (resource === 'clients' && req.method === 'DELETE' && id) {
+      const existed = store.delete('clients', id);
+      const removed = revokeTokens((token) => token.clientId === id);
+      store.deleteWhere('authCodes', (codeData) => codeData.clientId === id);
+      console.log(`Admin revoked client ${id} (${removed} tokens)`);
+      sendJson(res, existed ? 200 : 404, { revoked: removed });
+      return;
     }
+
+    sendJson(res, 404, { error: 'not_found' });
     return;
   }
 
@@ -261,41 +887,38 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Health check - public, reports MCP server and Vikunja connectivity
+  if (pathname === '/health' && req.method === 'GET') {
+    delete req.headers['x-mcp-scopes'];
+    delete req.headers['x-mcp-client-id'];
+    proxyToMcpServer(req, res);
+    return;
+  }
+
+  // Sync webhooks - public, signed with per-source secrets checked by the MCP server
+  if (pathname.startsWith('/webhooks/') && req.method === 'POST') {
+    delete req.headers['x-mcp-scopes'];
+    delete req.headers['x-mcp-client-id'];
+    proxyToMcpServer(req, res);
+    return;
+  }
+
   // Protected MCP endpoints - require Bearer token (both Streamable HTTP and SSE)
   if (pathname === '/mcp' || pathname.startsWith('/mcp/') ||
-      pathname === '/sse' || pathname.startsWith('/sse/')) {
+      pathname === '/sse' || pathname.startsWith('/sse/') ||
+      pathname === '/messages') {
     const tokenData = validateToken(req);
     if (!tokenData) {
-      res.setHeader('WWW-Authenticate', `Bearer realm="${OAUTH_ISSUER}", resource_metadata="${OAUTH_ISSUER}/.well-known/oauth-authorization-server"`);
+      res.setHeader('WWW-Authenticate', `Bearer realm="${OAUTH_ISSUER}", resource_metadata="${OAUTH_ISSUER}/.well-known/oauth-protected-resource"`);
       sendJson(res, 401, { error: 'unauthorized', error_description: 'Valid Bearer token required' });
       return;
     }
 
-    // Proxy to mcp-proxy
-    const proxyReq = http.request(
-      {
-        hostname: '127.0.0.1',
-        port: MCP_PROXY_PORT,
-        path: req.url,
-        method: req.method,
-        headers: req.headers,
-      },
-      (proxyRes) => {
-        Object.keys(proxyRes.headers).forEach((key) => {
-          res.setHeader(key, proxyRes.headers[key]);
-        });
-        res.writeHead(proxyRes.statusCode);
-        proxyRes.pipe(res);
-      }
-    );
+    // Forward the token's scopes; never trust scope headers from the caller
+    req.headers['x-mcp-scopes'] = parseScopes(tokenData.scope).join(' ');
+    req.headers['x-mcp-client-id'] = tokenData.clientId;
 
-    proxyReq.on('error', (err) => {
-      console.error('Proxy error:', err.message);
-      res.writeHead(502);
-      res.end('Bad Gateway');
-    });
-
-    req.pipe(proxyReq);
+    proxyToMcpServer(req, res);
     return;
   }
 
@@ -303,9 +926,48 @@ const server = http.createServer(async (req, res) => {
   sendJson(res, 404, { error: 'not_found' });
 });
 
+// Forward a request to the MCP server's native HTTP transport
+function proxyToMcpServer(req, res) {
+  const proxyReq = http.request(
+    {
+      hostname: '127.0.0.1',
+      port: MCP_SERVER_PORT,
+      path: req.url,
+      method: req.method,
+      headers: req.headers,
+    },
+    (proxyRes) => {
+      Object.keys(proxyRes.headers).forEach((key) => {
+        res.setHeader(key, proxyRes.headers[key]);
+      });
+      res.writeHead(proxyRes.statusCode);
+      proxyRes.pipe(res);
+    }
+  );
+
+  proxyReq.on('error', (err) => {
+    console.error('Proxy error:', err.message);
+    res.writeHead(502);
+    res.end('Bad Gateway');
+  });
+
+  req.pipe(proxyReq);
+}
+
 server.listen(LISTEN_PORT, '0.0.0.0', () => {
   console.log(`MCP OAuth Proxy listening on port ${LISTEN_PORT}`);
   console.log(`OAuth Issuer: ${OAUTH_ISSUER}`);
-  console.log(`Client ID: ${OAUTH_CLIENT_ID}`);
-  console.log(`Proxying MCP to port ${MCP_PROXY_PORT}`);
+  console.log(`Login mode: ${OAUTH_LOGIN_MODE}`);
+  console.log(`Trust proxy headers: ${OAUTH_TRUST_PROXY}`);
+  console.log(`Max registered clients: ${MAX_CLIENTS}`);
+  if (OAUTH_LOGIN_MODE === 'password' && !OAUTH_ADMIN_PASSWORD) {
+    console.warn('OAUTH_ADMIN_PASSWORD is not set - nobody can approve authorization requests');
+  }
+  if (OAUTH_LOGIN_MODE === 'vikunja' && OAUTH_ALLOWED_USERS.length === 0) {
+    console.warn('OAUTH_ALLOWED_USERS is not set - nobody can approve authorization requests');
+  }
+  if (OAUTH_CLIENT_SECRET) {
+    console.log(`Preconfigured client ID: ${OAUTH_CLIENT_ID}`);
+  }
+  console.log(`Proxying MCP to port ${MCP_SERVER_PORT}`);
 });
@@ -1,8 +1,10 @@
 #!/bin/sh
-# Start mcp-proxy in background on port 8081
-mcp-proxy --port 8081 --host 127.0.0.1 --pass-environment --allow-origin='*' node src/index.js &
+# Start the MCP server with its native HTTP transport on port 8081 (internal).
+# It trusts the scope headers set by proxy.cjs, so it must not be exposed directly.
+MCP_TRANSPORT=http MCP_SERVER_HOST=127.0.0.1 MCP_SERVER_PORT=8081 MCP_TRUST_PROXY_SCOPES=true \
+    node src/index.js &
 
-# Wait for mcp-proxy to start
+# Wait for the MCP server to start
 sleep 2
 
 # Start HTTP proxy on port 8080 (foreground)
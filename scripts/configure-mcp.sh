@@ -272,11 +272,22 @@ show_next_steps() {
     echo "  - vikunja_list_projects"
     echo "  - vikunja_list_tasks"
     echo "  - vikunja_create_task"
+    echo "  - vikunja_quick_add_task"
     echo "  - vikunja_update_task"
     echo "  - vikunja_complete_task"
     echo "  - vikunja_delete_task"
     echo "  - vikunja_search_tasks"
+    echo "  - vikunja_get_board"
     echo "  - vikunja_list_labels"
+    echo "  - vikunja_add_comment"
+    echo "  - vikunja_list_assigned_tasks"
+    echo "  - vikunja_assign_user"
+    echo ""
+    echo "Available prompts:"
+    echo "  - daily_plan"
+    echo "  - weekly_review"
+    echo "  - triage_inbox"
+    echo "  - overdue_by_project"
     echo ""
 }
 